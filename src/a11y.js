@@ -0,0 +1,73 @@
+// --- Accessibility Helpers ---
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+/** Returns the elements inside a container that can receive keyboard focus, in tab order. */
+export const getFocusableElements = (container) => [...container.querySelectorAll(FOCUSABLE_SELECTOR)]
+  .filter(el => !el.closest('.hidden') && el.getClientRects().length > 0);
+
+/**
+ * Keeps Tab and Shift+Tab cycling inside a dialog.
+ * @param {KeyboardEvent} event - A keydown event for the Tab key.
+ * @param {HTMLElement} container - The open dialog.
+ */
+export const trapFocus = (event, container) => {
+  const focusable = getFocusableElements(container);
+  if (focusable.length === 0) {
+    event.preventDefault();
+    container.focus();
+    return;
+  }
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  if (event.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && document.activeElement === last) {
+    event.preventDefault();
+    first.focus();
+  }
+};
+
+/**
+ * Reads a message out to screen readers through the visually hidden live region.
+ * The region is cleared first so repeating the same message is announced again.
+ * @param {string} message - The text to announce.
+ */
+export const announce = (message) => {
+  const region = document.getElementById('live-region');
+  if (!region) return;
+  region.textContent = '';
+  setTimeout(() => {
+    region.textContent = message;
+  }, 50);
+};
+
+/**
+ * Records the focused element before a dialog opens.
+ * @returns {{element: Element, focusKey: string|undefined}} Pass to `restoreFocus` on close.
+ */
+export const captureFocus = () => {
+  const element = document.activeElement;
+  return { element, focusKey: element && element.dataset ? element.dataset.focusKey : undefined };
+};
+
+/**
+ * Returns focus to where it was before a dialog opened. If that element was
+ * re-rendered meanwhile, its replacement is found by `data-focus-key`.
+ * @param {{element: Element, focusKey: string|undefined}|null} saved - From `captureFocus`.
+ */
+export const restoreFocus = (saved) => {
+  if (!saved) return;
+  const target = saved.element && saved.element.isConnected && saved.element !== document.body
+    ? saved.element
+    : saved.focusKey && document.querySelector(`[data-focus-key="${saved.focusKey}"]`);
+  if (target) target.focus();
+};
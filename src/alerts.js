@@ -0,0 +1,163 @@
+import { t } from './i18n.js';
+import { formatPercent, formatPrecisePrice, formatSignedPercent } from './format.js';
+
+// --- Alert Rules ---
+const ALERTS_STORAGE_KEY = 'alertRules';
+const DEFAULT_COOLDOWN_MINUTES = 60;
+
+/** Rules targeting this id apply to every starred coin instead of a single coin. */
+export const WATCHLIST_TARGET = 'watchlist';
+
+/**
+ * Supported conditions, each tested against a single coin. Price thresholds are
+ * entered and stored in USD, like the market data, and shown in the display currency.
+ */
+export const ALERT_CONDITIONS = {
+  above: {
+    labelKey: 'alerts.condition.above',
+    test: (coin, threshold) => coin.price > threshold,
+    thresholdUnitKey: 'alerts.unit.usd',
+    formatThreshold: (threshold) => formatPrecisePrice(threshold),
+    formatCurrent: (coin) => t('alerts.current.price', { price: formatPrecisePrice(coin.price) })
+  },
+  below: {
+    labelKey: 'alerts.condition.below',
+    test: (coin, threshold) => coin.price !== null && coin.price < threshold,
+    thresholdUnitKey: 'alerts.unit.usd',
+    formatThreshold: (threshold) => formatPrecisePrice(threshold),
+    formatCurrent: (coin) => t('alerts.current.price', { price: formatPrecisePrice(coin.price) })
+  },
+  percent_change: {
+    labelKey: 'alerts.condition.percent_change',
+    test: (coin, threshold) => coin.change24h !== null && Math.abs(coin.change24h) >= threshold,
+    thresholdUnitKey: 'alerts.unit.percent',
+    formatThreshold: (threshold) => `±${formatPercent(threshold)}`,
+    formatCurrent: (coin) => t('alerts.current.change', { change: formatSignedPercent(coin.change24h) })
+  },
+  rank_above: {
+    labelKey: 'alerts.condition.rank_above',
+    test: (coin, threshold) => coin.rank !== null && coin.rank <= threshold,
+    thresholdUnitKey: 'alerts.unit.rank',
+    formatThreshold: (threshold) => `#${threshold}`,
+    formatCurrent: (coin) => t('alerts.current.rank', { rank: coin.rank })
+  },
+  rank_below: {
+    labelKey: 'alerts.condition.rank_below',
+    test: (coin, threshold) => coin.rank > threshold,
+    thresholdUnitKey: 'alerts.unit.rank',
+    formatThreshold: (threshold) => `#${threshold}`,
+    formatCurrent: (coin) => t('alerts.current.rank', { rank: coin.rank })
+  }
+};
+
+/** Generates a reasonably unique id for a rule. */
+const createRuleId = () => (globalThis.crypto && globalThis.crypto.randomUUID)
+  ? globalThis.crypto.randomUUID()
+  : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Loads alert rules from localStorage.
+ * @returns {Array<Object>} The rules.
+ */
+export const loadAlertRules = () => {
+  try {
+    const rules = JSON.parse(localStorage.getItem(ALERTS_STORAGE_KEY) || '[]');
+    return Array.isArray(rules) ? rules : [];
+  } catch (error) {
+    console.warn('Ignoring corrupt alert rules in localStorage.', error);
+    return [];
+  }
+};
+
+/** Persists alert rules (including their trigger state) to localStorage. */
+export const saveAlertRules = (rules) => {
+  localStorage.setItem(ALERTS_STORAGE_KEY, JSON.stringify(rules));
+};
+
+/**
+ * Validates rule input and returns a rule. Passing an existing rule updates it
+ * in place and resets its trigger state, since the old state no longer applies.
+ * @param {Object} input - { coinId, symbol, name, condition, threshold }.
+ * @param {Object} [existing] - The rule being edited.
+ * @returns {Object} The new or updated rule.
+ * @throws {Error} If a field is missing or invalid.
+ */
+export const upsertAlertRule = (input, existing = null) => {
+  const threshold = parseFloat(input.threshold);
+  if (!input.coinId) throw new Error(t('alerts.error.target'));
+  if (!ALERT_CONDITIONS[input.condition]) throw new Error(t('alerts.error.condition', { condition: input.condition }));
+  if (isNaN(threshold) || threshold < 0) throw new Error(t('alerts.error.threshold'));
+
+  const rule = existing || { id: createRuleId(), active: true, createdAt: Date.now() };
+  return Object.assign(rule, {
+    coinId: String(input.coinId),
+    symbol: input.symbol || '',
+    name: input.name || '',
+    condition: input.condition,
+    threshold,
+    cooldownMinutes: DEFAULT_COOLDOWN_MINUTES,
+    triggered: {},
+    lastFiredByCoin: {},
+    lastTriggeredAt: existing ? existing.lastTriggeredAt : null
+  });
+};
+
+/** Describes a rule in plain words, e.g. "BTC: Price above $70000". */
+export const describeAlertRule = (rule) => {
+  const target = rule.coinId === WATCHLIST_TARGET ? t('alerts.anyWatchlistCoin') : (rule.symbol || rule.name || rule.coinId);
+  const { labelKey, formatThreshold } = ALERT_CONDITIONS[rule.condition];
+  return t('alerts.rule', { target, condition: t(labelKey), threshold: formatThreshold(rule.threshold) });
+};
+
+/**
+ * Evaluates active rules against fresh coin data. A rule fires for a coin when
+ * its condition becomes true, then stays latched until the condition clears, so
+ * it does not re-fire on every refresh. The cooldown also stops a price hovering
+ * around the threshold from firing over and over.
+ * @param {Array<Object>} rules - The rules; trigger state is updated in place.
+ * @param {Array<Object>} coins - The freshly fetched coins.
+ * @param {Set<string>} watchlist - Starred coin ids, for watchlist-wide rules.
+ * @param {number} [now] - The evaluation time in ms since epoch.
+ * @returns {Array<{rule: Object, coin: Object, message: string}>} The alerts that fired.
+ */
+export const evaluateAlertRules = (rules, coins, watchlist, now = Date.now()) => {
+  const coinsById = new Map(coins.map(coin => [coin.id, coin]));
+  const firings = [];
+
+  rules.filter(rule => rule.active).forEach(rule => {
+    const targets = rule.coinId === WATCHLIST_TARGET
+      ? [...watchlist].map(id => coinsById.get(id)).filter(Boolean)
+      : [coinsById.get(rule.coinId)].filter(Boolean);
+    const condition = ALERT_CONDITIONS[rule.condition];
+
+    targets.forEach(coin => {
+      if (!condition.test(coin, rule.threshold)) {
+        delete rule.triggered[coin.id]; // Re-arm once the condition clears
+        return;
+      }
+      if (rule.triggered[coin.id]) return;
+
+      const cooldownMs = rule.cooldownMinutes * 60 * 1000;
+      const lastFired = rule.lastFiredByCoin[coin.id];
+      if (lastFired !== undefined && now - lastFired < cooldownMs) return;
+
+      rule.triggered[coin.id] = true;
+      rule.lastFiredByCoin[coin.id] = now;
+      rule.lastTriggeredAt = now;
+      firings.push({ rule, coin, message: buildAlertMessage(rule, coin) });
+    });
+  });
+
+  return firings;
+};
+
+/** Builds the notification text for a fired rule. */
+const buildAlertMessage = (rule, coin) => {
+  const { labelKey, formatThreshold, formatCurrent } = ALERT_CONDITIONS[rule.condition];
+  return t('alerts.message', {
+    coin: `${coin.name} (${coin.symbol})`,
+    condition: t(labelKey),
+    threshold: formatThreshold(rule.threshold),
+    current: formatCurrent(coin)
+  });
+};
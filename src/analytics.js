@@ -0,0 +1,67 @@
+// --- Market Analytics ---
+// Pure market-wide aggregates over the internal coin model; rendering lives in app.js.
+
+/** Upper bounds, in percent, of the 24h change histogram bins; a final open-ended bin follows. */
+export const CHANGE_BIN_EDGES = [-10, -5, -2, 0, 2, 5, 10];
+
+/**
+ * Returns the highest-ranked coins.
+ * @param {Array<Object>} coins - Coins from the internal model.
+ * @param {number} count - How many coins to return.
+ * @returns {Array<Object>} The coins, rank 1 first; unranked coins are left out.
+ */
+export const getTopRanked = (coins, count) => coins
+  .filter(coin => Number.isFinite(coin.rank))
+  .sort((a, b) => a.rank - b.rank)
+  .slice(0, count);
+
+/**
+ * Splits the market cap between the largest coins and everything else.
+ * @param {Array<Object>} coins - Coins from the internal model.
+ * @param {?number} totalMarketCap - The market-wide total from the global stats; the
+ *   loaded coins' sum is used when it is missing or smaller.
+ * @param {number} count - How many coins get their own share.
+ * @returns {{slices: Array<{coin: Object, share: number}>, restShare: number}} Shares in percent,
+ *   largest first; no slices when there is no market cap to share.
+ */
+export const getDominance = (coins, totalMarketCap, count) => {
+  const byMarketCap = coins
+    .filter(coin => Number.isFinite(coin.marketCap) && coin.marketCap > 0)
+    .sort((a, b) => b.marketCap - a.marketCap);
+  const loadedMarketCap = byMarketCap.reduce((sum, coin) => sum + coin.marketCap, 0);
+  const total = Math.max(totalMarketCap || 0, loadedMarketCap);
+  if (!total) return { slices: [], restShare: 0 };
+
+  const slices = byMarketCap.slice(0, count).map(coin => ({ coin, share: (coin.marketCap / total) * 100 }));
+  const topShare = slices.reduce((sum, slice) => sum + slice.share, 0);
+  return { slices, restShare: Math.max(0, 100 - topShare) };
+};
+
+/**
+ * Counts coins into 24h change bins.
+ * @param {Array<Object>} coins - Coins from the internal model.
+ * @param {Array<number>} [edges] - Ascending bin upper bounds in percent.
+ * @returns {Array<{min: number, max: number, count: number}>} One bin more than there are edges;
+ *   each covers min <= change < max, with open ends at ±Infinity.
+ */
+export const getChangeHistogram = (coins, edges = CHANGE_BIN_EDGES) => {
+  const bins = [...edges, Infinity].map((max, i) => ({ min: i === 0 ? -Infinity : edges[i - 1], max, count: 0 }));
+  coins.forEach(coin => {
+    if (!Number.isFinite(coin.change24h)) return;
+    bins.find(bin => coin.change24h < bin.max).count++;
+  });
+  return bins;
+};
+
+/**
+ * Counts how many coins rose, fell or stayed flat over 24h.
+ * @param {Array<Object>} coins - Coins from the internal model.
+ * @returns {{up: number, down: number, unchanged: number}} Coins without a 24h change are not counted.
+ */
+export const getMarketBreadth = (coins) => coins.reduce((breadth, coin) => {
+  if (!Number.isFinite(coin.change24h)) return breadth;
+  if (coin.change24h > 0) breadth.up++;
+  else if (coin.change24h < 0) breadth.down++;
+  else breadth.unchanged++;
+  return breadth;
+}, { up: 0, down: 0, unchanged: 0 });
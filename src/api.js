@@ -0,0 +1,75 @@
+// --- HTTP Fetching ---
+// Every provider request goes through `fetchDataWithRetry`, which uses the
+// global axios loaded in index.html.
+
+const MAX_RETRIES = 5;
+const BASE_DELAY_MS = 500;
+const DEFAULT_RATE_LIMIT_MS = 60000; // Assumed when a 429 carries no Retry-After
+
+const rateLimitedHosts = new Map(); // Host → time its rate limit lifts
+
+/** Pauses execution for a specified duration. */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Parses a Retry-After header (seconds or an HTTP date) into milliseconds, or null. */
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/** Builds the error thrown for rate-limited requests; `retryAfterMs` is 0 when unknown. */
+const createRateLimitError = (host, retryAfterMs) => {
+  const error = new Error(`Rate limited by ${host}.`);
+  error.retryAfterMs = retryAfterMs;
+  return error;
+};
+
+/** Forgets every host's rate limit, e.g. between tests. */
+export const clearRateLimits = () => {
+  rateLimitedHosts.clear();
+};
+
+/**
+ * Tries to fetch data from a given URL with exponential backoff. Rate limits
+ * (HTTP 429) are not retried: the host is left alone until its Retry-After
+ * has passed, and other client errors fail straight away.
+ * @param {string} url - The API endpoint URL.
+ * @returns {Promise<Object>} The response data.
+ * @throws {Error} With `retryAfterMs` set when the host is rate limiting us.
+ */
+export const fetchDataWithRetry = async (url) => {
+  const host = new URL(url).host;
+  const limitedUntil = rateLimitedHosts.get(host);
+  if (limitedUntil > Date.now()) {
+    throw createRateLimitError(host, limitedUntil - Date.now());
+  }
+
+  for (let i = 0; i < MAX_RETRIES; i++) {
+    try {
+      const response = await axios.get(url);
+      return response.data;
+    } catch (error) {
+      const status = error.response && error.response.status;
+      if (status === 429) {
+        const retryAfterMs = parseRetryAfter(error.response.headers['retry-after']);
+        rateLimitedHosts.set(host, Date.now() + (retryAfterMs ?? DEFAULT_RATE_LIMIT_MS));
+        console.warn(`Rate limited by ${host}; retry after ${retryAfterMs ?? 'an unspecified delay'}ms.`);
+        throw createRateLimitError(host, retryAfterMs ?? 0);
+      }
+      if (status >= 400 && status < 500) {
+        console.error(`Request rejected with HTTP ${status} for URL: ${url}`, error);
+        throw new Error(`The request was rejected (HTTP ${status}).`);
+      }
+      if (i === MAX_RETRIES - 1) {
+        console.error(`Fetch failed after ${MAX_RETRIES} retries for URL: ${url}`, error);
+        throw new Error('Failed to fetch data after multiple retries.');
+      }
+      const delay = BASE_DELAY_MS * Math.pow(2, i);
+      console.warn(`Attempt ${i + 1} failed. Retrying in ${delay}ms...`);
+      await sleep(delay);
+    }
+  }
+};
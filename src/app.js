@@ -0,0 +1,797 @@
+import { recordPriceSnapshot } from './history.js';
+import { WATCHLIST_TARGET, saveAlertRules } from './alerts.js';
+import { getProvider } from './providers/index.js';
+import { saveMarketSnapshot, loadMarketSnapshot } from './snapshot.js';
+import { parseRoute, navigateTo, onRouteChange } from './router.js';
+import { fetchDataWithRetry } from './api.js';
+import { formatCurrency, formatLargeNumber, formatPercent } from './format.js';
+import { trapFocus, announce } from './a11y.js';
+import { getRankChanges } from './movers.js';
+import { html, setHtml, delegate } from './html.js';
+import { applyTheme, onSystemThemeChange } from './theme.js';
+import {
+  REFRESH_INTERVALS,
+  loadRefreshInterval,
+  saveRefreshInterval,
+  createRefreshScheduler
+} from './scheduler.js';
+import { getLocale, loadLanguage, setLanguage, t, translateDocument } from './i18n.js';
+import { recordMarketTotals } from './market-history.js';
+import { saveTransactions } from './portfolio.js';
+import { saveWatchlist } from './watchlist.js';
+import {
+  collectSavedSymbols,
+  loadPendingCoinIds,
+  migrateSavedCoinIds,
+  savePendingCoinIds
+} from './provider-migration.js';
+import { hideMessage, showMessage } from './views/ui.js';
+import {
+  clearFilters,
+  currentPage,
+  currentScope,
+  currentView,
+  filteredCoinCount,
+  goToNextPage,
+  goToPreviousPage,
+  handleFilterChange,
+  handleListFocusIn,
+  handleListKeydown,
+  handlePageSizeChange,
+  handleSearch,
+  handleSortSelect,
+  populateRangeInputs,
+  renderPageSizeSelect,
+  setScope,
+  showPage,
+  sortBy,
+  syncSortControls,
+  toggleView,
+  updateVisibleCoins,
+  visibleCoins
+} from './views/list-view.js';
+import {
+  handleWatchlistExport,
+  handleWatchlistImport,
+  toggleStar,
+  updateWatchlistCount,
+  watchlist
+} from './views/watchlist-view.js';
+import { handleMoversToggle, renderMovers, setMoversPeriod } from './views/movers-view.js';
+import {
+  handleExportSettingsChange,
+  handleMarketExport,
+  renderExportPanel
+} from './views/export-view.js';
+import {
+  closeModal,
+  handleModalTabClick,
+  handleModalTabKeydown,
+  modalCoinId,
+  renderModalChart,
+  renderModalDetails,
+  setChartRange,
+  showAdjacentCoin,
+  showCoinDetails,
+  toggleModalCompare
+} from './views/modal-view.js';
+import {
+  MIN_COMPARE_COINS,
+  clearComparison,
+  closeComparison,
+  comparedCoinIds,
+  copyComparisonLink,
+  isComparisonOpen,
+  openComparison,
+  renderCompareBar,
+  renderComparison,
+  selectComparedCoins,
+  setCompareRange,
+  setCompared,
+  toggleCompare
+} from './views/comparison-view.js';
+import {
+  deleteTransaction,
+  handleTransactionCoinChange,
+  handleTransactionSubmit,
+  handleTransactionsExport,
+  handleTransactionsImport,
+  renderPortfolio,
+  transactions
+} from './views/portfolio-view.js';
+import {
+  deleteAlertRule,
+  editAlertRule,
+  handleAlertSubmit,
+  populateAlertConditionSelect,
+  renderAlertRules,
+  resetAlertForm,
+  runAlertChecks,
+  toggleAlertRule,
+  syncBackgroundAlerts,
+  startBackgroundStateRestore,
+  backgroundStateRestored,
+  alertRules,
+  renderAlertThresholdLabel
+} from './views/alerts-view.js';
+import {
+  handleCurrencySettingsChange,
+  handlePaletteChange,
+  handleThemeToggle,
+  loadFiatRatesIfNeeded,
+  refreshCurrencyDisplay,
+  renderCurrencySettings,
+  renderProviderSettings,
+  renderThemeControls,
+  themeSettings,
+  updateDisplayRate,
+  handleLanguageChange,
+  renderLanguageSettings
+} from './views/settings-view.js';
+import { handleStreamingToggle, startPriceStream } from './views/streaming-view.js';
+import {
+  handleAnalyticsToggle,
+  renderAnalytics,
+  setAnalyticsRange
+} from './views/analytics-view.js';
+import { handleCalculatorInput } from './views/calculator-view.js';
+
+// --- App Constants ---
+const REFRESH_STATUS_INTERVAL = 1000; // Tick the refresh countdown every second
+const STALE_BANNER_INTERVAL = 30000; // Re-count the staleness banner every 30s
+const SEARCH_COIN_LIMIT = 500; // Search pages through the market up to this many coins, not the whole catalogue
+
+// --- Global State ---
+export let dataProvider = getProvider(localStorage.getItem('dataProvider'));
+export let allCoins = [];
+let loadedTickerCount = 0; // How far into the provider's ranked list we have paged
+let hasMoreTickers = true;
+export let moreTickersRequest = null; // The in-flight request for the next ticker page
+let searchLoadGeneration = 0; // Bumped to cancel a running search-driven load
+let isSearchLimitShown = false; // Whether the message area says a search stopped short of the whole market
+export let globalStats = {};
+export let rankChanges = []; // Coins whose rank moved in the latest refresh
+export let dataFetchedAt = null; // When the displayed market data was fetched
+let isShowingCachedData = false;
+let openComparisonOnLoad = false; // Set when a link asks for a comparison before data has loaded
+let pendingModalCoinId = null; // Set when a link asks for a coin before data has loaded
+let pendingPage = null; // Set when a link asks for a page before data has loaded
+let isRestoringRoute = false; // Suppresses history entries while the UI is driven by the URL
+let pendingCoinIds = loadPendingCoinIds(); // Saved ids from a previous provider still waiting for their coin
+let refreshScheduler = null;
+
+// --- Data Fetching and Rendering ---
+
+/** Stores market data in the app state and re-renders everything that depends on it. */
+const applyMarketData = (coins, stats, fetchedAt, oldPrices = {}) => {
+  allCoins = coins;
+  globalStats = stats;
+  dataFetchedAt = fetchedAt;
+  adoptPendingCoinIds();
+  updateDisplayRate(); // BTC/ETH denominations follow the latest prices
+  renderGlobalStats(globalStats);
+  renderMovers();
+  renderAnalytics();
+
+  // Re-render the visible list and revalue the portfolio at the new prices. A page
+  // asked for before any data had loaded can only be shown now.
+  if (pendingPage !== null) {
+    showPage(pendingPage);
+    pendingPage = null;
+  } else {
+    updateVisibleCoins(oldPrices);
+  }
+  announcePriceChanges(oldPrices);
+  populateCoinSelects();
+  renderPortfolio();
+  if (modalCoinId) {
+    renderModalDetails();
+    renderModalChart();
+  }
+  renderCompareBar();
+  if (openComparisonOnLoad) {
+    openComparisonOnLoad = false;
+    withoutHistory(openComparison);
+  } else if (isComparisonOpen) {
+    renderComparison();
+  }
+  if (pendingModalCoinId) {
+    const coinId = pendingModalCoinId;
+    pendingModalCoinId = null;
+    withoutHistory(() => showCoinDetails(coinId));
+  }
+  // The requested page may not exist once the real list has loaded
+  syncRoute({ replace: true });
+  renderStaleBanner();
+  feather.replace(); // Replace icon placeholders
+};
+
+/** Tells screen reader users how the prices on the current page moved in a refresh. */
+const announcePriceChanges = (oldPrices) => {
+  let up = 0;
+  let down = 0;
+  visibleCoins.forEach(coin => {
+    const oldPrice = oldPrices[coin.id];
+    if (!oldPrice || coin.price === oldPrice) return;
+    if (coin.price > oldPrice) up++;
+    else down++;
+  });
+  if (up + down > 0) announce(t('data.pricesUpdated', { up, down }));
+};
+
+/**
+ * Shows the last saved snapshot for the current provider, if there is one.
+ * @returns {Promise<boolean>} True if cached data was rendered.
+ */
+const showCachedSnapshot = async () => {
+  const provider = dataProvider;
+  let snapshot = null;
+  try {
+    snapshot = await loadMarketSnapshot(provider.id);
+  } catch (error) {
+    console.warn('Could not read the offline snapshot:', error);
+  }
+  // Never replace data that is newer than the snapshot (or from another provider)
+  if (!snapshot || provider !== dataProvider || (dataFetchedAt && dataFetchedAt >= snapshot.fetchedAt)) {
+    return false;
+  }
+  isShowingCachedData = true;
+  applyMarketData(snapshot.coins, snapshot.globalStats, snapshot.fetchedAt);
+  return true;
+};
+
+/**
+ * Fetches coin and global data and updates the state.
+ * @throws {Error} Only for rate limits, so the refresh scheduler can back off.
+ */
+const fetchCoinData = async (isRefresh = false) => {
+  const provider = dataProvider;
+  try {
+    if (!isRefresh) {
+      showMessage(t('data.loadingInitial'), 'loading');
+    }
+
+    // Fetch both data sets concurrently. Every page loaded so far by paging or search
+    // is refreshed, so deeper coins do not go stale.
+    const [pages, fetchedGlobalStats] = await Promise.all([
+      fetchLoadedTickerPages(provider),
+      provider.fetchGlobal(fetchDataWithRetry)
+    ]);
+    if (provider !== dataProvider) return; // The provider was switched while this request was in flight
+    const coins = pages.flat();
+    hasMoreTickers = pages[pages.length - 1].length >= provider.pageSize;
+    loadedTickerCount = coins.length;
+
+    const oldPrices = allCoins.reduce((acc, coin) => {
+      acc[coin.id] = coin.price;
+      return acc;
+    }, {});
+    const oldRanks = allCoins.reduce((acc, coin) => {
+      acc[coin.id] = coin.rank;
+      return acc;
+    }, {});
+    rankChanges = getRankChanges(coins, oldRanks);
+    const fetchedAt = Date.now();
+
+    // Capture this cycle's prices before rendering so sparklines include them
+    await recordPriceSnapshot(coins, fetchedAt).catch(error => console.warn('Could not save price history:', error));
+    await recordMarketTotals(provider.id, fetchedGlobalStats, fetchedAt)
+      .catch(error => console.warn('Could not save market totals:', error));
+    saveMarketSnapshot(provider.id, coins, fetchedGlobalStats, fetchedAt)
+      .catch(error => console.warn('Could not save the offline snapshot:', error));
+
+    isShowingCachedData = false;
+    // A coin missing from the refreshed pages has left the market or fallen out of
+    // the loaded range, so only coins ranked beyond that range are kept.
+    const refreshedThroughRank = hasMoreTickers ? (coins[coins.length - 1].rank ?? Infinity) : Infinity;
+    applyMarketData(mergeCoins(allCoins, coins, refreshedThroughRank), fetchedGlobalStats, fetchedAt, oldPrices);
+    runAlertChecks().catch(error => console.error('Alert Check Error:', error));
+
+    if (!isRefresh) {
+      showMessage(t('data.loaded'), 'success');
+    }
+  } catch (error) {
+    console.error('API Fetch Error:', error);
+    if (provider !== dataProvider) return;
+
+    const isRateLimited = error.retryAfterMs !== undefined;
+    const hasData = allCoins.length > 0 || await showCachedSnapshot();
+    if (hasData) {
+      isShowingCachedData = true;
+      renderStaleBanner();
+    }
+    if (isRateLimited) {
+      showMessage(t('data.rateLimited'), 'error');
+      throw error;
+    } else if (hasData) {
+      showMessage(t('data.showingSaved'), 'error');
+    } else {
+      showMessage(t('data.fetchFailed'), 'error');
+    }
+  }
+};
+
+/**
+ * Fetches the ticker pages loaded so far, at least the first one. Pages are
+ * requested one after another to go easy on rate-limited APIs, and fetching
+ * stops early at a short page.
+ * @param {Object} provider - The active provider.
+ * @returns {Promise<Array<Array<Object>>>} The pages, in rank order.
+ */
+const fetchLoadedTickerPages = async (provider) => {
+  const pageCount = Math.max(1, Math.ceil(loadedTickerCount / provider.pageSize));
+  const pages = [];
+  for (let page = 0; page < pageCount; page++) {
+    const coins = await provider.fetchTickers(fetchDataWithRetry, { start: page * provider.pageSize });
+    pages.push(coins);
+    if (coins.length < provider.pageSize) break;
+  }
+  return pages;
+};
+
+/**
+ * Merges fresh coins into a list by id, keeping the result in rank order.
+ * @param {Array<Object>} existingCoins - The coins held so far.
+ * @param {Array<Object>} freshCoins - Newly fetched coins.
+ * @param {number} [refreshedThroughRank] - The last rank the fresh coins cover;
+ *   existing coins ranked up to it that are not among them are dropped.
+ * @returns {Array<Object>} The merged coins.
+ */
+const mergeCoins = (existingCoins, freshCoins, refreshedThroughRank = 0) => {
+  const keptCoins = existingCoins.filter(coin => (coin.rank ?? Infinity) > refreshedThroughRank);
+  const coinsById = new Map(keptCoins.map(coin => [coin.id, coin]));
+  freshCoins.forEach(coin => coinsById.set(coin.id, coin));
+  return [...coinsById.values()].sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+};
+
+/**
+ * Fetches the next page of tickers from the provider and merges it into `allCoins`.
+ * Concurrent callers share the same request.
+ * @returns {Promise<boolean>} True if new coins were merged.
+ */
+const loadMoreTickers = () => {
+  if (!hasMoreTickers) return Promise.resolve(false);
+  if (!moreTickersRequest) {
+    const provider = dataProvider;
+    moreTickersRequest = provider.fetchTickers(fetchDataWithRetry, { start: loadedTickerCount })
+      .then(async coins => {
+        if (provider !== dataProvider) return false;
+        loadedTickerCount += coins.length;
+        hasMoreTickers = coins.length >= provider.pageSize;
+        allCoins = mergeCoins(allCoins, coins);
+        adoptPendingCoinIds();
+        await recordPriceSnapshot(coins, Date.now()).catch(error => console.warn('Could not save price history:', error));
+        return coins.length > 0;
+      })
+      .finally(() => {
+        moreTickersRequest = null;
+      });
+  }
+  return moreTickersRequest;
+};
+
+/** Whether paging past the loaded coins can still turn up more results. */
+export const canLoadMoreCoins = () => hasMoreTickers && currentScope === 'all' && allCoins.length > 0;
+
+/**
+ * Keeps loading ticker pages until the filtered list holds at least `count` coins
+ * or the provider runs out, re-rendering as each page arrives.
+ * @param {number} count - The number of filtered coins wanted.
+ * @param {function(): boolean} [shouldContinue] - Stops the loop early when it returns false.
+ */
+export const loadCoinsUntil = async (count, shouldContinue = () => true) => {
+  while (filteredCoinCount < count && canLoadMoreCoins() && shouldContinue()) {
+    showMessage(t('data.loadingMore', { count: formatLargeNumber(allCoins.length) }), 'loading');
+    await loadMoreTickers();
+    updateVisibleCoins();
+    feather.replace();
+  }
+};
+
+/** Shows how old the displayed data is whenever it did not come from the latest fetch. */
+export const renderStaleBanner = () => {
+  const banner = document.getElementById('stale-banner');
+  if (!isShowingCachedData || !dataFetchedAt) {
+    banner.classList.add('hidden');
+    return;
+  }
+  const minutes = Math.max(0, Math.floor((Date.now() - dataFetchedAt) / 60000));
+  const time = new Date(dataFetchedAt).toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' });
+  const stale = t('data.stale', { time, count: minutes });
+  document.getElementById('stale-banner-text').textContent = navigator.onLine ? stale : `${stale} ${t('data.offline')}`;
+  banner.classList.remove('hidden');
+};
+
+/** Renders the global market data. */
+export const renderGlobalStats = (data) => {
+  const stats = [{
+    label: t('stats.activeCoins'),
+    value: data.coinsCount,
+    icon: 'trending-up'
+  }, {
+    label: t('stats.totalMarketCap'),
+    value: formatCurrency(data.totalMarketCap),
+    icon: 'dollar-sign'
+  }, {
+    label: t('stats.volume24h'),
+    value: formatCurrency(data.totalVolume),
+    icon: 'bar-chart-2'
+  }, {
+    label: t('stats.btcDominance'),
+    value: formatPercent(data.btcDominance),
+    icon: 'percent'
+  }];
+
+  const globalStatsEl = document.getElementById('global-stats');
+  setHtml(globalStatsEl, stats.map(stat => html`
+        <div class="bg-white p-5 rounded-xl shadow-lg flex items-center gap-4 border border-gray-100">
+          <div class="p-3 rounded-full bg-indigo-100 text-indigo-600">
+            <i data-feather="${stat.icon}" class="w-6 h-6"></i>
+          </div>
+          <div>
+            <p class="text-sm font-medium text-gray-500">${stat.label}</p>
+            <p class="text-xl font-bold text-gray-800">${stat.value || t('common.na')}</p>
+          </div>
+        </div>
+      `));
+};
+
+/**
+ * Pages further into the market while a search is active, up to SEARCH_COIN_LIMIT
+ * coins, and says so when matches may exist beyond that.
+ */
+export const loadCoinsForSearch = async () => {
+  const generation = ++searchLoadGeneration;
+  if (isSearchLimitShown) {
+    isSearchLimitShown = false;
+    hideMessage();
+  }
+  if (!document.getElementById('search-input').value.trim() || !canLoadMoreCoins()) return;
+  const isCurrentSearch = () => generation === searchLoadGeneration;
+  try {
+    await loadCoinsUntil(Infinity, () => isCurrentSearch() && loadedTickerCount < SEARCH_COIN_LIMIT);
+    if (!isCurrentSearch()) return;
+    if (canLoadMoreCoins()) {
+      showMessage(t('data.searchPartial', { count: formatLargeNumber(loadedTickerCount) }), 'info');
+      isSearchLimitShown = true;
+    } else {
+      hideMessage();
+    }
+  } catch (error) {
+    console.error('Could not load more coins:', error);
+    showMessage(t('data.searchMoreFailed'), 'error');
+  }
+};
+
+/** Refills the portfolio and alert coin pickers, e.g. after new data or a language change. */
+export const populateCoinSelects = () => {
+  populateCoinSelect('tx-coin', html`<option value="">${t('portfolio.selectCoin')}</option>`);
+  populateCoinSelect('alert-target', html`<option value="${WATCHLIST_TARGET}">${t('alerts.anyWatchlistCoin')}</option>`);
+  populateCoinSelect('calc-from-coin');
+  populateCoinSelect('calc-to-coin');
+};
+
+/** Fills a coin picker from the loaded coins, keeping the current choice. */
+export const populateCoinSelect = (selectId, leadingOptions = '') => {
+  const select = document.getElementById(selectId);
+  const selected = select.value;
+  setHtml(select, html`${leadingOptions}${allCoins.map(coin =>
+    html`<option value="${coin.id}">${coin.name} (${coin.symbol})</option>`
+  )}`);
+  select.value = selected;
+};
+
+// --- Dialogs ---
+
+/** Escape closes the topmost dialog and Tab stays inside it while it is open. */
+const handleDialogKeydown = (event) => {
+  let container = null;
+  let close = null;
+  if (modalCoinId) {
+    container = document.getElementById('modal-container');
+    close = () => closeModal();
+  } else if (isComparisonOpen) {
+    container = document.getElementById('compare-container');
+    close = () => closeComparison();
+  }
+  if (!container) return;
+
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    close();
+  } else if (event.key === 'Tab') {
+    trapFocus(event, container);
+  }
+};
+
+// --- Routing ---
+
+/** Captures the shareable UI state for the URL. */
+const getCurrentRoute = () => ({
+  query: document.getElementById('search-input').value.trim(),
+  page: pendingPage ?? currentPage,
+  view: currentView,
+  coinId: modalCoinId,
+  compare: isComparisonOpen ? comparedCoinIds : []
+});
+
+/** Writes the current UI state to the URL unless the URL is what is driving the UI. */
+export const syncRoute = (options) => {
+  if (!isRestoringRoute) navigateTo(getCurrentRoute(), options);
+};
+
+/** Runs UI changes without recording them as new history entries. */
+const withoutHistory = (callback) => {
+  const wasRestoring = isRestoringRoute;
+  isRestoringRoute = true;
+  try {
+    callback();
+  } finally {
+    isRestoringRoute = wasRestoring;
+  }
+};
+
+/** Brings the UI in line with a route from the URL (on load or Back/Forward). */
+const applyRoute = (route) => withoutHistory(() => {
+  document.getElementById('search-input').value = route.query;
+  if (route.view && route.view !== currentView) toggleView(route.view);
+  showPage(route.page);
+  // Without data every page clamps to the first, so keep the asked-for one until data arrives
+  pendingPage = allCoins.length ? null : route.page;
+
+  if (route.compare.length >= MIN_COMPARE_COINS) {
+    selectComparedCoins(route.compare);
+    if (allCoins.length) openComparison();
+    else openComparisonOnLoad = true;
+  } else if (isComparisonOpen) {
+    closeComparison();
+  }
+
+  if (route.coinId && allCoins.some(coin => coin.id === route.coinId)) {
+    showCoinDetails(route.coinId);
+  } else if (route.coinId) {
+    pendingModalCoinId = route.coinId;
+  } else if (modalCoinId) {
+    closeModal();
+  }
+  feather.replace();
+});
+
+// --- Data Provider and Auto Refresh ---
+
+/** Moves saved items from a previous provider onto the loaded coins with the same symbol. */
+const adoptPendingCoinIds = () => {
+  if (Object.keys(pendingCoinIds).length === 0) return;
+  const result = migrateSavedCoinIds({ watchlist, transactions, alertRules }, pendingCoinIds, allCoins);
+  pendingCoinIds = result.pending;
+  savePendingCoinIds(pendingCoinIds);
+  if (!result.changed) return;
+
+  saveWatchlist(watchlist);
+  saveTransactions(transactions);
+  saveAlertRules(alertRules);
+  updateWatchlistCount();
+  renderPortfolio();
+  renderAlertRules();
+  syncBackgroundAlerts();
+};
+
+/** Switches the market data provider and reloads from it. */
+const handleProviderChange = (event) => {
+  // Remember which coin each saved id stands for, so it can follow to the new provider
+  pendingCoinIds = { ...pendingCoinIds, ...collectSavedSymbols({ watchlist, transactions, alertRules }, allCoins) };
+  savePendingCoinIds(pendingCoinIds);
+  dataProvider = getProvider(event.target.value);
+  localStorage.setItem('dataProvider', dataProvider.id);
+  renderProviderSettings();
+  syncBackgroundAlerts();
+
+  // Prices from different providers are not comparable, so start from a clean slate
+  allCoins = [];
+  rankChanges = [];
+  loadedTickerCount = 0;
+  hasMoreTickers = true;
+  searchLoadGeneration++;
+  dataFetchedAt = null;
+  isShowingCachedData = false;
+  showPage(1);
+  renderStaleBanner();
+  showCachedSnapshot();
+  refreshScheduler.refreshNow();
+};
+
+/** Starts the auto-refresh loop. */
+const startAutoRefresh = () => {
+  refreshScheduler = createRefreshScheduler({
+    task: () => fetchCoinData(allCoins.length > 0),
+    interval: loadRefreshInterval(),
+    onChange: renderRefreshStatus
+  });
+  refreshScheduler.start();
+};
+
+/** Formats a duration in milliseconds as a short countdown, e.g. "45s" or "2m 05s". */
+const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return minutes > 0
+    ? t('duration.minutes', { minutes, seconds: String(seconds).padStart(2, '0') })
+    : t('duration.seconds', { seconds });
+};
+
+/** Shows when the data was last updated and when (or whether) the next refresh runs. */
+export const renderRefreshStatus = () => {
+  if (!refreshScheduler) return;
+  const { isRunning, isSuspended, nextRunAt, interval, rateLimitedUntil } = refreshScheduler.getState();
+  const now = Date.now();
+
+  const updated = dataFetchedAt ? t('refresh.updatedAgo', { duration: formatDuration(now - dataFetchedAt) }) : t('refresh.notUpdated');
+  let next;
+  if (isRunning) {
+    next = t('refresh.running');
+  } else if (rateLimitedUntil) {
+    next = t('refresh.rateLimited', { duration: formatDuration(rateLimitedUntil - now) });
+  } else if (isSuspended) {
+    next = t('refresh.hidden');
+  } else if (interval === 0) {
+    next = t('refresh.paused');
+  } else if (nextRunAt) {
+    next = t('refresh.next', { duration: formatDuration(nextRunAt - now) });
+  }
+  document.getElementById('refresh-status').textContent = next ? t('refresh.status', { updated, next }) : updated;
+
+  const button = document.getElementById('refresh-now-button');
+  button.disabled = isRunning || Boolean(rateLimitedUntil);
+  button.querySelector('svg, i').classList.toggle('animate-spin', isRunning);
+};
+
+/** Fills the refresh interval picker. */
+export const renderRefreshIntervalSelect = () => {
+  const select = document.getElementById('refresh-interval-select');
+  setHtml(select, REFRESH_INTERVALS.map(option =>
+    html`<option value="${option.value}">${t(option.labelKey)}</option>`
+  ));
+  select.value = loadRefreshInterval();
+};
+
+/** Applies a newly chosen refresh interval (or pause). */
+const handleRefreshIntervalChange = (event) => {
+  saveRefreshInterval(Number(event.target.value));
+  refreshScheduler.setInterval(loadRefreshInterval());
+};
+
+/** Refreshes straight away from the "Refresh now" button. */
+const handleRefreshNow = () => {
+  refreshScheduler.refreshNow();
+};
+
+/** Registers the service worker that keeps the app shell available offline and checks alerts in the background. */
+const registerServiceWorker = () => {
+  // Skipped in development so cached assets never mask hot reloads
+  if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return;
+  navigator.serviceWorker.register('/sw.js').catch(error => {
+    console.warn('Service worker registration failed:', error);
+  });
+};
+
+/** Click handlers for every `data-action` element, in index.html and in rendered markup. */
+const CLICK_ACTIONS = {
+  'show-details': (el) => showCoinDetails(el.dataset.coinId),
+  'toggle-star': (el) => toggleStar(el.dataset.coinId),
+  'toggle-compare': (el) => toggleCompare(el, el.dataset.coinId),
+  'remove-compared': (el) => setCompared(el.dataset.coinId, false),
+  sort: (el) => sortBy(el.dataset.sortKey),
+  'set-view': (el) => toggleView(el.dataset.view),
+  'set-scope': (el) => setScope(el.dataset.scope),
+  'previous-page': () => goToPreviousPage(),
+  'next-page': () => goToNextPage(),
+  'set-movers-period': (el) => setMoversPeriod(el.dataset.moversPeriod),
+  'set-analytics-range': (el) => setAnalyticsRange(el.dataset.analyticsRange),
+  'set-chart-range': (el) => setChartRange(el.dataset.chartRange),
+  'set-compare-range': (el) => setCompareRange(el.dataset.compareRange),
+  'close-modal': () => closeModal(),
+  'dismiss-modal': (el, event) => closeModal(event), // Backdrop clicks; ignored inside the dialog
+  'close-comparison': () => closeComparison(),
+  'dismiss-comparison': (el, event) => closeComparison(event),
+  'delete-transaction': (el) => deleteTransaction(el.dataset.transactionId),
+  'edit-alert': (el) => editAlertRule(el.dataset.ruleId),
+  'toggle-alert': (el) => toggleAlertRule(el.dataset.ruleId),
+  'delete-alert': (el) => deleteAlertRule(el.dataset.ruleId)
+};
+
+/** Initializes the application. */
+export const initializeApp = () => {
+  // 0. Translate the page before anything else renders into it
+  setLanguage(loadLanguage());
+  translateDocument();
+
+  // 1. Show the last saved snapshot straight away, then start fetching fresh data;
+  //    alerts wait for the trigger state recorded by background checks
+  startBackgroundStateRestore();
+  showCachedSnapshot();
+  startAutoRefresh();
+  startPriceStream();
+
+  // 2. Set up event listeners
+  delegate(document, 'click', CLICK_ACTIONS);
+  document.getElementById('search-input').addEventListener('input', handleSearch);
+  document.getElementById('filter-panel').addEventListener('input', handleFilterChange);
+  document.getElementById('calculator-form').addEventListener('input', handleCalculatorInput);
+  document.getElementById('calculator-form').addEventListener('submit', (event) => event.preventDefault());
+  document.getElementById('sort-select').addEventListener('change', handleSortSelect);
+  document.getElementById('page-size-select').addEventListener('change', handlePageSizeChange);
+  document.getElementById('crypto-list').addEventListener('keydown', handleListKeydown);
+  document.getElementById('crypto-list').addEventListener('focusin', handleListFocusIn);
+  document.addEventListener('keydown', handleDialogKeydown);
+  document.getElementById('refresh-interval-select').addEventListener('change', handleRefreshIntervalChange);
+  document.getElementById('refresh-now-button').addEventListener('click', handleRefreshNow);
+  document.getElementById('streaming-toggle').addEventListener('change', handleStreamingToggle);
+  document.getElementById('export-panel').addEventListener('change', handleExportSettingsChange);
+  document.getElementById('export-button').addEventListener('click', handleMarketExport);
+  document.getElementById('clear-filters').addEventListener('click', clearFilters);
+  document.getElementById('watchlist-export').addEventListener('click', handleWatchlistExport);
+  document.getElementById('watchlist-import').addEventListener('change', handleWatchlistImport);
+  document.getElementById('portfolio-form').addEventListener('submit', handleTransactionSubmit);
+  document.getElementById('tx-coin').addEventListener('change', handleTransactionCoinChange);
+  document.getElementById('portfolio-export').addEventListener('click', handleTransactionsExport);
+  document.getElementById('portfolio-import').addEventListener('change', handleTransactionsImport);
+  document.getElementById('tx-date').value = new Date().toISOString().slice(0, 10);
+  document.getElementById('alert-form').addEventListener('submit', handleAlertSubmit);
+  document.getElementById('alert-condition').addEventListener('change', renderAlertThresholdLabel);
+  document.getElementById('alert-cancel-edit').addEventListener('click', resetAlertForm);
+  document.getElementById('provider-select').addEventListener('change', handleProviderChange);
+  document.getElementById('movers-section').addEventListener('toggle', handleMoversToggle);
+  document.getElementById('movers-section').open = localStorage.getItem('moversOpen') !== 'false';
+  document.getElementById('analytics-section').addEventListener('toggle', handleAnalyticsToggle);
+  document.getElementById('analytics-section').open = localStorage.getItem('analyticsOpen') === 'true';
+  document.getElementById('language-select').addEventListener('change', handleLanguageChange);
+  document.getElementById('theme-toggle').addEventListener('click', handleThemeToggle);
+  document.getElementById('palette-select').addEventListener('change', handlePaletteChange);
+  onSystemThemeChange(() => applyTheme(themeSettings));
+  document.getElementById('currency-settings').addEventListener('change', handleCurrencySettingsChange);
+  document.getElementById('compare-open-button').addEventListener('click', openComparison);
+  document.getElementById('compare-clear-button').addEventListener('click', clearComparison);
+  document.getElementById('compare-copy-link').addEventListener('click', copyComparisonLink);
+  document.getElementById('modal-compare-button').addEventListener('click', toggleModalCompare);
+  document.getElementById('modal-prev-button').addEventListener('click', () => showAdjacentCoin(-1));
+  document.getElementById('modal-next-button').addEventListener('click', () => showAdjacentCoin(1));
+  document.getElementById('modal-tabs').addEventListener('click', handleModalTabClick);
+  document.getElementById('modal-tabs').addEventListener('keydown', handleModalTabKeydown);
+  window.addEventListener('online', renderStaleBanner);
+  window.addEventListener('offline', renderStaleBanner);
+  applyTheme(themeSettings);
+  renderLanguageSettings();
+  renderThemeControls();
+  renderMovers();
+  renderProviderSettings();
+  renderCurrencySettings();
+  refreshCurrencyDisplay();
+  loadFiatRatesIfNeeded();
+  populateAlertConditionSelect();
+  populateRangeInputs();
+  syncSortControls();
+  renderPageSizeSelect();
+  renderRefreshIntervalSelect();
+  renderExportPanel();
+  updateWatchlistCount();
+  renderPortfolio();
+  renderAlertRules();
+
+  // 3. Set initial view and list scope, then restore any state from the URL
+  withoutHistory(() => {
+    toggleView(currentView);
+    setScope(currentScope);
+  });
+  applyRoute(parseRoute());
+  syncRoute({ replace: true });
+  onRouteChange(applyRoute);
+
+  // 4. Keep the staleness banner and refresh countdown ticking
+  setInterval(renderStaleBanner, STALE_BANNER_INTERVAL);
+  setInterval(() => {
+    if (!document.hidden) renderRefreshStatus();
+  }, REFRESH_STATUS_INTERVAL);
+  registerServiceWorker();
+  backgroundStateRestored.then(syncBackgroundAlerts);
+};
@@ -0,0 +1,121 @@
+import { openDatabase, promisifyRequest, transactionDone, STORES } from './db.js';
+import { evaluateAlertRules, WATCHLIST_TARGET } from './alerts.js';
+import { getProvider } from './providers/index.js';
+import { setLanguage, t } from './i18n.js';
+
+// --- Background Alert Checks ---
+// The service worker cannot read localStorage, so the app mirrors what it needs
+// (rules, watchlist, provider and language) into IndexedDB. A background check
+// writes the rules' trigger state back and flags the record, and the app adopts
+// that state on its next start so the same alert does not fire twice.
+
+const STATE_ID = 'current';
+
+/** Tag of the periodic background sync that runs the checks. */
+export const BACKGROUND_CHECK_TAG = 'alert-check';
+
+/** The shortest interval asked for between checks; the browser picks the real cadence. */
+export const BACKGROUND_CHECK_INTERVAL = 30 * 60 * 1000;
+
+/** Background checks page through the market up to this many coins looking for the watched ones. */
+export const BACKGROUND_COIN_LIMIT = 500;
+
+/**
+ * Stores the state the service worker checks against, clearing the background flag.
+ * @param {Object} state - { rules, watchlist (array of ids), providerId, language }.
+ */
+export const saveBackgroundAlertState = async ({ rules, watchlist, providerId, language }) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.backgroundAlerts, 'readwrite');
+  transaction.objectStore(STORES.backgroundAlerts).put({
+    id: STATE_ID,
+    rules,
+    watchlist,
+    providerId,
+    language,
+    checkedInBackgroundAt: null
+  });
+  await transactionDone(transaction);
+};
+
+/**
+ * Loads the mirrored alert state.
+ * @returns {Promise<?Object>} The state, or null before the app has saved one.
+ */
+export const loadBackgroundAlertState = async () => {
+  const db = await openDatabase();
+  const state = await promisifyRequest(
+    db.transaction(STORES.backgroundAlerts).objectStore(STORES.backgroundAlerts).get(STATE_ID)
+  );
+  return state || null;
+};
+
+/**
+ * Copies the trigger state a background check recorded onto the app's rules, matched by id.
+ * @param {Array<Object>} rules - The app's rules; updated in place.
+ * @param {?Object} state - The mirrored state; ignored unless a background check ran since it was saved.
+ * @returns {boolean} True if any rule was updated.
+ */
+export const adoptBackgroundTriggerState = (rules, state) => {
+  if (!state || !state.checkedInBackgroundAt) return false;
+  const backgroundRules = new Map(state.rules.map(rule => [rule.id, rule]));
+  let changed = false;
+  rules.forEach(rule => {
+    const checked = backgroundRules.get(rule.id);
+    if (!checked) return;
+    rule.triggered = checked.triggered;
+    rule.lastFiredByCoin = checked.lastFiredByCoin;
+    rule.lastTriggeredAt = checked.lastTriggeredAt;
+    changed = true;
+  });
+  return changed;
+};
+
+/**
+ * Fetches ticker pages until every coin the active rules watch has been seen,
+ * a short page ends the market, or BACKGROUND_COIN_LIMIT coins are loaded.
+ * @param {Object} provider - The provider the rules were set up against.
+ * @param {function(string): Promise<*>} fetchJson - Fetches and parses a JSON URL.
+ * @param {Array<Object>} rules - The mirrored rules.
+ * @param {Array<string>} watchlist - Ids of the watchlist coins.
+ * @returns {Promise<Array<Object>>} The fetched coins, in rank order.
+ */
+export const fetchAlertCoins = async (provider, fetchJson, rules, watchlist) => {
+  const activeRules = rules.filter(rule => rule.active);
+  const wanted = new Set(activeRules.flatMap(rule => (rule.coinId === WATCHLIST_TARGET ? watchlist : [rule.coinId])));
+  const coins = [];
+  while (coins.length < BACKGROUND_COIN_LIMIT) {
+    const page = await provider.fetchTickers(fetchJson, { start: coins.length });
+    coins.push(...page);
+    page.forEach(coin => wanted.delete(coin.id));
+    if (!wanted.size || page.length < provider.pageSize) break;
+  }
+  return coins;
+};
+
+/**
+ * Fetches fresh tickers and evaluates the mirrored rules against them, saving the
+ * updated trigger state. Runs in the service worker.
+ * @param {function(string): Promise<*>} fetchJson - Fetches and parses a JSON URL.
+ * @returns {Promise<Array<{title: string, body: string, tag: string, coinId: string}>>} Notifications to show.
+ */
+export const runBackgroundAlertCheck = async (fetchJson) => {
+  const state = await loadBackgroundAlertState();
+  if (!state || !state.rules.some(rule => rule.active)) return [];
+
+  setLanguage(state.language);
+  const coins = await fetchAlertCoins(getProvider(state.providerId), fetchJson, state.rules, state.watchlist);
+  const firings = evaluateAlertRules(state.rules, coins, new Set(state.watchlist));
+
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.backgroundAlerts, 'readwrite');
+  transaction.objectStore(STORES.backgroundAlerts).put({ ...state, checkedInBackgroundAt: Date.now() });
+  await transactionDone(transaction);
+
+  return firings.map(({ rule, coin, message }) => ({
+    title: t('alerts.notificationTitle'),
+    body: message,
+    tag: `${rule.id}-${coin.id}`,
+    coinId: coin.id
+  }));
+};
@@ -0,0 +1,55 @@
+// --- Position Calculator ---
+// Pure position-size, profit and conversion math for the detail modal's calculator.
+// Amounts and prices are in whatever currency the caller uses, as long as it is consistent.
+
+/**
+ * Converts between a cash amount and a coin quantity at a price.
+ * @param {Object} input - Either `amount` or `quantity`, plus `price`.
+ * @returns {?{amount: number, quantity: number}} Both sides, or null without a usable price or value.
+ */
+export const convertPosition = ({ amount = null, quantity = null, price }) => {
+  if (!(price > 0)) return null;
+  if (amount !== null) return { amount, quantity: amount / price };
+  if (quantity !== null) return { amount: quantity * price, quantity };
+  return null;
+};
+
+/**
+ * Works out the profit or loss of buying at one price and selling at another.
+ * The fee rate is charged on both the buy and the sell value.
+ * @param {Object} trade - { quantity, entryPrice, targetPrice, feePercent }.
+ * @returns {?{cost: number, proceeds: number, fees: number, profit: number, returnPercent: number}}
+ *   The result, with `cost` including the buy fee and `proceeds` net of the sell fee;
+ *   null when an input is missing or not positive.
+ */
+export const getTargetProfit = ({ quantity, entryPrice, targetPrice, feePercent = 0 }) => {
+  if (!(quantity > 0) || !(entryPrice > 0) || !(targetPrice >= 0) || !(feePercent >= 0)) return null;
+  const feeRate = feePercent / 100;
+  const buyValue = quantity * entryPrice;
+  const sellValue = quantity * targetPrice;
+  const cost = buyValue * (1 + feeRate);
+  const proceeds = sellValue * (1 - feeRate);
+  const profit = proceeds - cost;
+  return { cost, proceeds, fees: (buyValue + sellValue) * feeRate, profit, returnPercent: (profit / cost) * 100 };
+};
+
+/**
+ * Returns the percentage move from one price to another.
+ * @param {?number} fromPrice - The starting price, e.g. the live price.
+ * @param {?number} toPrice - The target price.
+ * @returns {?number} The move in percent, or null without a positive starting price.
+ */
+export const getRequiredMove = (fromPrice, toPrice) => (
+  fromPrice > 0 && Number.isFinite(toPrice) ? ((toPrice - fromPrice) / fromPrice) * 100 : null
+);
+
+/**
+ * Converts a quantity of one coin into another through their USD prices.
+ * @param {number} quantity - How much of the source coin.
+ * @param {?number} fromPriceUsd - The source coin's USD price.
+ * @param {?number} toPriceUsd - The target coin's USD price.
+ * @returns {?number} The target coin quantity, or null without both prices.
+ */
+export const convertBetweenCoins = (quantity, fromPriceUsd, toPriceUsd) => (
+  Number.isFinite(quantity) && fromPriceUsd > 0 && toPriceUsd > 0 ? (quantity * fromPriceUsd) / toPriceUsd : null
+);
@@ -0,0 +1,207 @@
+// --- SVG Chart Rendering ---
+// Charts are built as SVG strings so they render offline with no chart library.
+// The hex colors are fallbacks; the chart-* classes in style.css apply the theme.
+
+const UP_COLOR = '#16a34a'; // Tailwind green-600
+const DOWN_COLOR = '#dc2626'; // Tailwind red-600
+const GRID_COLOR = '#e5e7eb'; // Tailwind gray-200
+const LABEL_COLOR = '#6b7280'; // Tailwind gray-500
+
+/**
+ * Reduces a series to at most maxPoints by taking evenly spaced samples,
+ * always keeping the first and last point.
+ */
+export const downsample = (points, maxPoints) => {
+  if (points.length <= maxPoints) return points;
+  const step = (points.length - 1) / (maxPoints - 1);
+  return Array.from({ length: maxPoints }, (_, i) => points[Math.round(i * step)]);
+};
+
+/** Computes the x/y extent of one or more point series. */
+const getBounds = (pointSets) => {
+  const xs = pointSets.flatMap(points => points.map(p => p.x));
+  const ys = pointSets.flatMap(points => points.map(p => p.y));
+  return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+};
+
+/** Maps values onto SVG coordinates within the given box, optionally against shared bounds. */
+const scalePoints = (points, { left, top, width, height }, bounds = getBounds([points])) => {
+  const { minX, maxX, minY, maxY } = bounds;
+  // Flat series are drawn through the middle rather than dividing by zero
+  const spanX = maxX - minX || 1;
+  const spanY = maxY - minY || 1;
+  return points.map(p => ({
+    x: left + ((p.x - minX) / spanX) * width,
+    y: maxY === minY ? top + height / 2 : top + height - ((p.y - minY) / spanY) * height
+  }));
+};
+
+/** Joins coordinates into an SVG points attribute. */
+const toPointsAttr = (points) => points.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ');
+
+/**
+ * Renders a compact trend line with no axes.
+ * @param {Array<number>} values - The series, oldest first.
+ * @param {Object} [options] - { width, height }.
+ * @returns {string} SVG markup, or an empty string if there are fewer than two values.
+ */
+export const renderSparklineSvg = (values, { width = 100, height = 32 } = {}) => {
+  if (values.length < 2) return '';
+  const isUp = values[values.length - 1] >= values[0];
+  const color = isUp ? UP_COLOR : DOWN_COLOR;
+  const points = scalePoints(
+    downsample(values, 60).map((y, x) => ({ x, y })),
+    { left: 1, top: 2, width: width - 2, height: height - 4 }
+  );
+  return `
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+      <polyline points="${toPointsAttr(points)}" fill="none" stroke="${color}" stroke-width="1.5"
+        class="${isUp ? 'chart-up' : 'chart-down'}" stroke-linejoin="round" stroke-linecap="round" />
+    </svg>`;
+};
+
+/**
+ * Renders a line chart with horizontal gridlines and min/max/time labels.
+ * @param {Array<{x: number, y: number}>} points - Data points, ordered by x.
+ * @param {Object} options - Axis formatters: { formatX, formatY, width, height }.
+ * @returns {string} SVG markup, or an empty string if there are fewer than two points.
+ */
+export const renderLineChartSvg = (points, { formatX, formatY, width = 600, height = 220 }) => {
+  if (points.length < 2) return '';
+  const sampled = downsample(points, 300);
+  const plot = { left: 70, top: 10, width: width - 80, height: height - 40 };
+  const scaled = scalePoints(sampled, plot);
+  const ys = sampled.map(p => p.y);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  const isUp = sampled[sampled.length - 1].y >= sampled[0].y;
+  const color = isUp ? UP_COLOR : DOWN_COLOR;
+  const trendClass = isUp ? 'chart-up' : 'chart-down';
+  const baseline = plot.top + plot.height;
+
+  const gridLines = [0, 1, 2, 3].map(i => {
+    const y = plot.top + (plot.height / 3) * i;
+    const value = maxY - ((maxY - minY) / 3) * i;
+    return `
+      <line x1="${plot.left}" y1="${y}" x2="${plot.left + plot.width}" y2="${y}" stroke="${GRID_COLOR}" class="chart-grid" />
+      <text x="${plot.left - 6}" y="${y + 4}" text-anchor="end" font-size="11" fill="${LABEL_COLOR}" class="chart-label">${formatY(value)}</text>`;
+  }).join('');
+
+  const areaPoints = [
+    { x: scaled[0].x, y: baseline },
+    ...scaled,
+    { x: scaled[scaled.length - 1].x, y: baseline }
+  ];
+
+  return `
+    <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img">
+      ${gridLines}
+      <polygon points="${toPointsAttr(areaPoints)}" fill="${color}" fill-opacity="0.08" class="${trendClass}" />
+      <polyline points="${toPointsAttr(scaled)}" fill="none" stroke="${color}" stroke-width="2" class="${trendClass}"
+        stroke-linejoin="round" stroke-linecap="round" />
+      <text x="${plot.left}" y="${height - 8}" font-size="11" fill="${LABEL_COLOR}" class="chart-label">${formatX(sampled[0].x)}</text>
+      <text x="${plot.left + plot.width}" y="${height - 8}" text-anchor="end" font-size="11"
+        fill="${LABEL_COLOR}" class="chart-label">${formatX(sampled[sampled.length - 1].x)}</text>
+    </svg>`;
+};
+
+/**
+ * Renders several series on shared axes (used for relative performance).
+ * @param {Array<{color: string, points: Array<{x: number, y: number}>}>} series - The lines to draw.
+ * @param {Object} options - Axis formatters: { formatX, formatY, width, height }.
+ * @returns {string} SVG markup, or an empty string if no series has two points.
+ */
+export const renderMultiLineChartSvg = (series, { formatX, formatY, width = 600, height = 240 }) => {
+  const drawable = series
+    .filter(line => line.points.length >= 2)
+    .map(line => ({ ...line, points: downsample(line.points, 300) }));
+  if (drawable.length === 0) return '';
+
+  const plot = { left: 50, top: 10, width: width - 60, height: height - 40 };
+  const bounds = getBounds(drawable.map(line => line.points));
+
+  const gridLines = [0, 1, 2, 3].map(i => {
+    const y = plot.top + (plot.height / 3) * i;
+    const value = bounds.maxY - ((bounds.maxY - bounds.minY) / 3) * i;
+    return `
+      <line x1="${plot.left}" y1="${y}" x2="${plot.left + plot.width}" y2="${y}" stroke="${GRID_COLOR}" class="chart-grid" />
+      <text x="${plot.left - 6}" y="${y + 4}" text-anchor="end" font-size="11" fill="${LABEL_COLOR}" class="chart-label">${formatY(value)}</text>`;
+  }).join('');
+
+  const lines = drawable.map(line => `
+      <polyline points="${toPointsAttr(scalePoints(line.points, plot, bounds))}" fill="none" stroke="${line.color}"
+        stroke-width="2" stroke-linejoin="round" stroke-linecap="round" />`).join('');
+
+  return `
+    <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img">
+      ${gridLines}
+      ${lines}
+      <text x="${plot.left}" y="${height - 8}" font-size="11" fill="${LABEL_COLOR}" class="chart-label">${formatX(bounds.minX)}</text>
+      <text x="${plot.left + plot.width}" y="${height - 8}" text-anchor="end" font-size="11"
+        fill="${LABEL_COLOR}" class="chart-label">${formatX(bounds.maxX)}</text>
+    </svg>`;
+};
+
+/**
+ * Renders a donut chart of shares, drawn clockwise from the top.
+ * @param {Array<{value: number, color: string}>} slices - The segments; values need not sum to 100.
+ * @param {Object} [options] - { size, thickness }.
+ * @returns {string} SVG markup, or an empty string if there is nothing to draw.
+ */
+export const renderDonutChartSvg = (slices, { size = 160, thickness = 28 } = {}) => {
+  const total = slices.reduce((sum, slice) => sum + Math.max(0, slice.value), 0);
+  if (!total) return '';
+  const radius = (size - thickness) / 2;
+  const circumference = 2 * Math.PI * radius;
+  const center = size / 2;
+
+  // Each segment is a dashed circle stroke offset past the segments before it
+  let offset = 0;
+  const segments = slices.filter(slice => slice.value > 0).map(slice => {
+    const length = (slice.value / total) * circumference;
+    const segment = `
+      <circle cx="${center}" cy="${center}" r="${radius}" fill="none" stroke="${slice.color}" stroke-width="${thickness}"
+        stroke-dasharray="${length.toFixed(2)} ${(circumference - length).toFixed(2)}" stroke-dashoffset="${(-offset).toFixed(2)}" />`;
+    offset += length;
+    return segment;
+  }).join('');
+
+  return `
+    <svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" aria-hidden="true">
+      <g transform="rotate(-90 ${center} ${center})">${segments}</g>
+    </svg>`;
+};
+
+/**
+ * Renders a vertical bar chart with the count above each bar and its label below.
+ * @param {Array<{label: string, value: number, trend: 'up'|'down'}>} bars - The bars, left to right.
+ * @param {Object} [options] - { width, height }.
+ * @returns {string} SVG markup, or an empty string if every bar is empty.
+ */
+export const renderHistogramSvg = (bars, { width = 360, height = 180 } = {}) => {
+  const maxValue = Math.max(0, ...bars.map(bar => bar.value));
+  if (!maxValue) return '';
+  const plot = { left: 4, top: 16, width: width - 8, height: height - 36 };
+  const slot = plot.width / bars.length;
+  const baseline = plot.top + plot.height;
+
+  const columns = bars.map((bar, i) => {
+    const barHeight = (bar.value / maxValue) * plot.height;
+    const x = plot.left + slot * i;
+    const color = bar.trend === 'up' ? UP_COLOR : DOWN_COLOR;
+    const trendClass = bar.trend === 'up' ? 'chart-up' : 'chart-down';
+    return `
+      <rect x="${(x + 3).toFixed(1)}" y="${(baseline - barHeight).toFixed(1)}" width="${(slot - 6).toFixed(1)}"
+        height="${barHeight.toFixed(1)}" rx="2" fill="${color}" class="${trendClass}-fill" />
+      <text x="${(x + slot / 2).toFixed(1)}" y="${(baseline - barHeight - 4).toFixed(1)}" text-anchor="middle" font-size="11"
+        fill="${LABEL_COLOR}" class="chart-label">${bar.value}</text>
+      <text x="${(x + slot / 2).toFixed(1)}" y="${height - 6}" text-anchor="middle" font-size="10"
+        fill="${LABEL_COLOR}" class="chart-label">${bar.label}</text>`;
+  }).join('');
+
+  return `
+    <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img">
+      <line x1="${plot.left}" y1="${baseline}" x2="${plot.left + plot.width}" y2="${baseline}" stroke="${GRID_COLOR}" class="chart-grid" />
+      ${columns}
+    </svg>`;
+};
@@ -0,0 +1,86 @@
+import { searchCoins } from './search.js';
+
+// --- Coin List Filtering and Paging ---
+// The pure steps behind the main list: scope, range filters, sorting, search and pagination.
+
+/**
+ * Checks a coin against every active numeric range filter.
+ * @param {Object} coin - A coin from the internal model.
+ * @param {Object<string, {min: ?number, max: ?number}>} rangeFilters - Bounds by coin field.
+ * @returns {boolean} True when the coin is inside every range.
+ */
+export const matchesRangeFilters = (coin, rangeFilters) => Object.entries(rangeFilters).every(([field, { min, max }]) => {
+  const value = parseFloat(coin[field]);
+  if (isNaN(value)) return min == null && max == null;
+  if (min != null && value < min) return false;
+  if (max != null && value > max) return false;
+  return true;
+});
+
+/**
+ * Returns a sorted copy of the coins. Missing values always sort last.
+ * @param {Array<Object>} coins - Coins from the internal model.
+ * @param {{key: string, direction: 'asc'|'desc'}} sortState - The field and direction.
+ * @returns {Array<Object>} The sorted copy.
+ */
+export const sortCoins = (coins, { key, direction }) => {
+  const modifier = direction === 'desc' ? -1 : 1;
+  return [...coins].sort((a, b) => {
+    const aValue = parseFloat(a[key]);
+    const bValue = parseFloat(b[key]);
+    // Always push missing values to the bottom regardless of direction
+    if (isNaN(aValue)) return isNaN(bValue) ? 0 : 1;
+    if (isNaN(bValue)) return -1;
+    return (aValue - bValue) * modifier;
+  });
+};
+
+/**
+ * Narrows the coins to the ones the list should show, in display order.
+ * @param {Array<Object>} coins - Every loaded coin.
+ * @param {Object} options
+ * @param {'all'|'watchlist'} options.scope - Whether to keep only starred coins.
+ * @param {Set<string>} options.watchlist - Starred coin ids.
+ * @param {Object} options.rangeFilters - As accepted by `matchesRangeFilters`.
+ * @param {Object} options.sortState - As accepted by `sortCoins`.
+ * @param {string} options.query - The search box text; matches are ranked by relevance.
+ * @returns {Array<Object>} The matching coins.
+ */
+export const filterCoins = (coins, { scope, watchlist, rangeFilters, sortState, query }) => {
+  const scopedCoins = scope === 'watchlist' ? coins.filter(coin => watchlist.has(coin.id)) : coins;
+  const sortedCoins = sortCoins(scopedCoins.filter(coin => matchesRangeFilters(coin, rangeFilters)), sortState);
+  return searchCoins(sortedCoins, query);
+};
+
+/**
+ * Returns one page of items, moving the page back into range when filtering
+ * left fewer pages than before.
+ * @param {Array} items - Everything that matches.
+ * @param {number} page - The requested 1-based page.
+ * @param {number} pageSize - Items per page.
+ * @returns {{items: Array, page: number, totalPages: number, totalItems: number}} The page.
+ */
+export const paginate = (items, page, pageSize) => {
+  const totalItems = items.length;
+  const totalPages = Math.ceil(totalItems / pageSize);
+  const clampedPage = Math.min(Math.max(page, 1), Math.max(totalPages, 1));
+  const start = (clampedPage - 1) * pageSize;
+  return { items: items.slice(start, start + pageSize), page: clampedPage, totalPages, totalItems };
+};
+
+/**
+ * Picks one coin per ticker symbol. Symbols are not unique across coins (wrapped
+ * and bridged assets reuse them), so the highest-ranked coin stands for each.
+ * @param {Array<Object>} coins - Coins from the internal model.
+ * @returns {Map<string, Object>} Coins keyed by upper-case symbol.
+ */
+export const indexCoinsBySymbol = (coins) => {
+  const coinsBySymbol = new Map();
+  coins.forEach(coin => {
+    if (!coin.symbol) return;
+    const symbol = coin.symbol.toUpperCase();
+    const current = coinsBySymbol.get(symbol);
+    if (!current || (coin.rank ?? Infinity) < (current.rank ?? Infinity)) coinsBySymbol.set(symbol, coin);
+  });
+  return coinsBySymbol;
+};
@@ -0,0 +1,87 @@
+// --- Display Currencies ---
+const CURRENCY_STORAGE_KEY = 'currencySettings';
+const FX_CACHE_STORAGE_KEY = 'fxRates';
+const FX_RATES_URL = 'https://open.er-api.com/v6/latest/USD';
+const FX_CACHE_MAX_AGE_MS = 60 * 60 * 1000; // Fiat rates move slowly; refresh hourly
+
+/**
+ * Currencies prices can be displayed in. Fiat rates come from the exchange rate
+ * source (or manual entry); crypto rates are derived from the loaded coins.
+ * Labels are message keys.
+ */
+export const CURRENCIES = {
+  USD: { labelKey: 'currency.USD', type: 'fiat' },
+  EUR: { labelKey: 'currency.EUR', type: 'fiat' },
+  GBP: { labelKey: 'currency.GBP', type: 'fiat' },
+  NGN: { labelKey: 'currency.NGN', type: 'fiat' },
+  BTC: { labelKey: 'currency.BTC', type: 'crypto', symbol: '₿' },
+  ETH: { labelKey: 'currency.ETH', type: 'crypto', symbol: 'Ξ' }
+};
+
+export const RATE_SOURCES = {
+  live: 'currency.rateSource.live',
+  manual: 'currency.rateSource.manual'
+};
+
+/**
+ * Loads the display currency settings from localStorage.
+ * @returns {{code: string, rateSource: string, manualRates: Object<string, number>}} The settings.
+ */
+export const loadCurrencySettings = () => {
+  const defaults = { code: 'USD', rateSource: 'live', manualRates: {} };
+  try {
+    const stored = JSON.parse(localStorage.getItem(CURRENCY_STORAGE_KEY) || '{}');
+    const settings = { ...defaults, ...stored };
+    if (!CURRENCIES[settings.code]) settings.code = defaults.code;
+    if (!RATE_SOURCES[settings.rateSource]) settings.rateSource = defaults.rateSource;
+    return settings;
+  } catch (error) {
+    console.warn('Ignoring corrupt currency settings in localStorage.', error);
+    return defaults;
+  }
+};
+
+/** Persists the display currency settings to localStorage. */
+export const saveCurrencySettings = (settings) => {
+  localStorage.setItem(CURRENCY_STORAGE_KEY, JSON.stringify(settings));
+};
+
+/**
+ * Returns cached fiat rates, fetching fresh ones when the cache is stale.
+ * @param {function(string): Promise<Object>} fetchJson - The app's retrying HTTP helper.
+ * @returns {Promise<{rates: Object<string, number>, fetchedAt: number}>} Units of each currency per USD.
+ */
+export const getFiatRates = async (fetchJson) => {
+  let cached = null;
+  try {
+    cached = JSON.parse(localStorage.getItem(FX_CACHE_STORAGE_KEY) || 'null');
+  } catch (error) {
+    // Fall through and fetch fresh rates
+  }
+  if (cached && Date.now() - cached.fetchedAt < FX_CACHE_MAX_AGE_MS) return cached;
+
+  const response = await fetchJson(FX_RATES_URL);
+  if (!response || !response.rates) {
+    throw new Error('Unexpected response from the exchange rate service.');
+  }
+  const fresh = { rates: response.rates, fetchedAt: Date.now() };
+  localStorage.setItem(FX_CACHE_STORAGE_KEY, JSON.stringify(fresh));
+  return fresh;
+};
+
+/**
+ * Works out how many units of a currency one US dollar buys.
+ * @param {string} code - The display currency code.
+ * @param {Object} sources - { rateSource, manualRates, fiatRates, coins }.
+ * @returns {number|null} The rate, or null when it is not known yet.
+ */
+export const getUsdRate = (code, { rateSource, manualRates, fiatRates, coins }) => {
+  if (code === 'USD') return 1;
+  if (CURRENCIES[code].type === 'crypto') {
+    // Coins arrive sorted by rank, so the first symbol match is the real asset
+    const coin = coins.find(c => c.symbol === code);
+    return coin && coin.price ? 1 / coin.price : null;
+  }
+  const rate = parseFloat(rateSource === 'manual' ? manualRates[code] : fiatRates[code]);
+  return rate > 0 ? rate : null;
+};
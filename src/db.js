@@ -0,0 +1,73 @@
+// --- IndexedDB Access ---
+const DB_NAME = 'cryptopulse';
+const DB_VERSION = 4;
+
+/** Object store names, shared by every module that persists to IndexedDB. */
+export const STORES = {
+  priceHistory: 'priceHistory',
+  snapshots: 'snapshots',
+  marketTotals: 'marketTotals',
+  backgroundAlerts: 'backgroundAlerts'
+};
+
+let dbPromise = null;
+
+/**
+ * Creates or migrates object stores. Each block upgrades from the previous
+ * version so existing users keep their data when DB_VERSION is bumped.
+ */
+const upgradeDatabase = (db, oldVersion) => {
+  if (oldVersion < 1) {
+    // One record per coin per refresh, keyed for efficient per-coin time range queries
+    const history = db.createObjectStore(STORES.priceHistory, { keyPath: ['coinId', 'timestamp'] });
+    history.createIndex('timestamp', 'timestamp');
+  }
+  if (oldVersion < 2) {
+    // The last successful market payload per provider, for offline startup
+    db.createObjectStore(STORES.snapshots, { keyPath: 'providerId' });
+  }
+  if (oldVersion < 3) {
+    // Total market cap and volume per refresh, for the analytics trend charts
+    db.createObjectStore(STORES.marketTotals, { keyPath: 'timestamp' });
+  }
+  if (oldVersion < 4) {
+    // The alert rules and settings the service worker checks while the app is closed
+    db.createObjectStore(STORES.backgroundAlerts, { keyPath: 'id' });
+  }
+};
+
+/**
+ * Opens (once) and returns the application database.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+export const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!globalThis.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser.'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => upgradeDatabase(request.result, event.oldVersion);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn('Database upgrade blocked by another open Crypto Pulse tab.');
+    });
+    // Allow a later retry if opening failed (e.g. the user was in a private window)
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+/** Wraps an IDBRequest in a promise resolving to its result. */
+export const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/** Resolves once a transaction has committed. */
+export const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted.'));
+});
@@ -0,0 +1,102 @@
+// --- Client-Side File Helpers ---
+
+/**
+ * Triggers a browser download for generated content.
+ * @param {string} filename - The suggested file name.
+ * @param {string} content - The file contents.
+ * @param {string} mimeType - The MIME type of the file.
+ */
+export const downloadFile = (filename, content, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Reads a user-selected file as text.
+ * @param {File} file - The file from an <input type="file">.
+ * @returns {Promise<string>} The file contents.
+ */
+export const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+/** Builds a filesystem-safe timestamp for export file names (e.g. 2024-01-31T09-30-00). */
+export const fileTimestamp = (date = new Date()) => date.toISOString().slice(0, 19).replace(/:/g, '-');
+
+/**
+ * Quotes a CSV field if it contains a delimiter, quote or line break. Text that a
+ * spreadsheet would run as a formula gets a leading apostrophe; numbers are left
+ * alone so negative values stay numeric.
+ */
+const escapeCsvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes rows of values into RFC 4180 style CSV.
+ * @param {Array<Array<*>>} rows - The rows, including any header row.
+ * @returns {string} The CSV text.
+ */
+export const toCsv = (rows) => rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n');
+
+/**
+ * Parses CSV text into rows of strings. Handles quoted fields, escaped quotes
+ * and line breaks inside quotes; blank lines are skipped.
+ * @param {string} text - The CSV text.
+ * @returns {Array<Array<string>>} The parsed rows; each also carries the 1-based
+ *   source `line` it starts on, so errors can point at the file as the user sees it.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  text = text.replace(/^\uFEFF/, ''); // Spreadsheet exports often start with a BOM
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(Object.assign(row, { line: rowLine }));
+      row = [];
+      field = '';
+      rowLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(Object.assign(row, { line: rowLine }));
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
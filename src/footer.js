@@ -3,7 +3,7 @@ const scrollBtn = document.createElement('button');
 scrollBtn.id = 'scroll-top-btn';
 scrollBtn.innerHTML = '<i class="fas fa-arrow-up"></i>';
 scrollBtn.className =
-    'fixed bottom-6 right-6 bg-indigo-600 text-white rounded-full w-10 h-10 flex justify-center items-center shadow-lg hover:bg-indigo-700 transition opacity-0 pointer-events-none';
+    'fixed bottom-6 end-6 bg-indigo-600 text-white rounded-full w-10 h-10 flex justify-center items-center shadow-lg hover:bg-indigo-700 transition opacity-0 pointer-events-none';
 document.body.appendChild(scrollBtn);
 
 // Scroll visibility logic
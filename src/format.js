@@ -0,0 +1,132 @@
+import { CURRENCIES } from './currency.js';
+import { html } from './html.js';
+import { getLocale, t } from './i18n.js';
+
+// --- Number and Change Formatting ---
+// Market data is held in USD; money formatters convert to the display currency,
+// which the settings view sets through `setDisplayCurrency` whenever the settings
+// or rates change. Numbers follow the locale of the chosen language (see i18n.js).
+
+export let displayCurrency = 'USD';
+export let displayRate = 1; // Units of the display currency per USD
+
+/**
+ * Switches the currency money values are shown in.
+ * @param {string} code - A key of CURRENCIES.
+ * @param {number} rate - Units of that currency per USD.
+ */
+export const setDisplayCurrency = (code, rate) => {
+  displayCurrency = code;
+  displayRate = rate;
+};
+
+/**
+ * Formats an amount already in the display currency. Crypto denominations are
+ * not ISO currencies, so they get their symbol and more significant digits.
+ */
+export const formatMoney = (amount, options = {}) => {
+  const currency = CURRENCIES[displayCurrency];
+  if (currency.type === 'crypto') {
+    return currency.symbol + new Intl.NumberFormat(getLocale(), { maximumSignificantDigits: 6, ...options }).format(amount);
+  }
+  return new Intl.NumberFormat(getLocale(), { style: 'currency', currency: displayCurrency, ...options }).format(amount);
+};
+
+/** Formats a USD value in the selected display currency. */
+export const formatCurrency = (value) => {
+  const num = parseFloat(value);
+  if (isNaN(num) || num === 0) return formatMoney(0);
+  return formatMoney(num * displayRate);
+};
+
+/** Formats a price with enough significant digits for sub-cent coins (used on chart axes). */
+export const formatPrecisePrice = (value) => formatMoney(value * displayRate, { maximumSignificantDigits: 6 });
+
+/** Formats large numbers compactly in the locale's own style, e.g. 1.5K or "1,2 Md". */
+export const formatLargeNumber = (value) => {
+  const num = parseFloat(value);
+  if (isNaN(num)) return t('common.na');
+  return new Intl.NumberFormat(getLocale(), { notation: 'compact', maximumFractionDigits: 2 }).format(num);
+};
+
+/** Formats a large USD value (market cap, volume) compactly in the display currency. */
+export const formatLargeCurrency = (value) => {
+  const num = parseFloat(value);
+  if (isNaN(num)) return t('common.na');
+  if (CURRENCIES[displayCurrency].type === 'crypto') {
+    return CURRENCIES[displayCurrency].symbol + formatLargeNumber(num * displayRate);
+  }
+  return formatMoney(num * displayRate, { notation: 'compact', maximumFractionDigits: 2 });
+};
+
+/** Formats a percentage with two decimals, or N/A when the value is missing. */
+export const formatPercent = (value, options = {}) => {
+  const num = parseFloat(value);
+  if (isNaN(num)) return t('common.na');
+  return new Intl.NumberFormat(getLocale(), {
+    style: 'percent',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+    ...options
+  }).format(num / 100);
+};
+
+/** Formats a percentage change with an explicit sign, e.g. +1.25% or -0.40%. */
+export const formatSignedPercent = (value) => formatPercent(value, { signDisplay: 'exceptZero' });
+
+/** Renders a change with an arrow and sign, so its direction never relies on color alone. */
+export const renderChange = (value) => {
+  const num = parseFloat(value);
+  const arrow = num > 0 ? '▲' : num < 0 ? '▼' : '';
+  return html`${arrow && html`<span aria-hidden="true">${arrow}</span> `}${formatSignedPercent(value)}`;
+};
+
+/** The group and decimal separators numbers are written with in the current locale. */
+const getNumberSeparators = () => {
+  const parts = new Intl.NumberFormat(getLocale()).formatToParts(1234567.5);
+  return {
+    group: parts.find(part => part.type === 'group')?.value ?? ',',
+    decimal: parts.find(part => part.type === 'decimal')?.value ?? '.'
+  };
+};
+
+/**
+ * Parses a numeric filter input in the current locale, accepting K/M/B/T
+ * suffixes (e.g. "1.5B", or "1,5B" in French). A group separator only counts as
+ * one before three digits, so "1.5" still reads as 1.5 where "." groups thousands.
+ * @param {string} input - The raw input value.
+ * @returns {number|null} The parsed number, or null when empty or invalid.
+ */
+export const parseNumericInput = (input) => {
+  const { group, decimal } = getNumberSeparators();
+  const escapedGroup = group.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const normalized = String(input).trim().replace(/[$%\s]/g, '')
+    .replace(new RegExp(`${escapedGroup}(?=\\d{3}(?!\\d))`, 'g'), '')
+    .replace(decimal, '.');
+  const match = normalized.match(/^(-?\d*\.?\d+)([kmbt]?)$/i);
+  if (!match) return null;
+  const multipliers = { '': 1, k: 1e3, m: 1e6, b: 1e9, t: 1e12 };
+  return parseFloat(match[1]) * multipliers[match[2].toLowerCase()];
+};
+
+/** Colors a change by direction using the theme's gain/loss palette. */
+export const getGainLossClass = (value) => (value >= 0 ? 'text-gain' : 'text-loss');
+
+/** Determines the price animation class. */
+export const getPriceChangeClass = (newPriceStr, oldPrice) => {
+  if (!oldPrice || isNaN(oldPrice)) return '';
+  const newPrice = parseFloat(newPriceStr);
+  if (newPrice > oldPrice) {
+    return 'animate-price-up';
+  } else if (newPrice < oldPrice) {
+    return 'animate-price-down';
+  }
+  return '';
+};
+
+/** Marks a price that moved since the last refresh with an arrow and screen reader text. */
+export const renderPriceMove = (newPrice, oldPrice) => {
+  if (!oldPrice || isNaN(oldPrice) || newPrice === oldPrice) return '';
+  const isUp = newPrice > oldPrice;
+  return html`<span class="ms-1 text-xs" aria-hidden="true">${isUp ? '▲' : '▼'}</span><span class="sr-only">${t(isUp ? 'data.rising' : 'data.falling')}</span>`;
+};
@@ -0,0 +1,84 @@
+import { openDatabase, promisifyRequest, transactionDone, STORES } from './db.js';
+
+// --- Local Price History ---
+export const HISTORY_RANGES = {
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000
+};
+const HISTORY_RETENTION_MS = HISTORY_RANGES['7d'];
+const SPARKLINE_WINDOW_MS = HISTORY_RANGES['24h'];
+
+// Recent samples per coin for sparklines, so re-renders can draw them synchronously
+const sparklineCache = new Map();
+
+/**
+ * Appends one price sample per coin and prunes samples older than the retention window.
+ * @param {Array<Object>} coins - The freshly fetched coins.
+ * @param {number} [timestamp] - The capture time in ms since epoch.
+ */
+export const recordPriceSnapshot = async (coins, timestamp = Date.now()) => {
+  const samples = coins
+    .map(coin => ({ coinId: coin.id, timestamp, price: coin.price }))
+    .filter(sample => sample.price !== null);
+
+  // Keep cached sparklines current even if IndexedDB turns out to be unavailable
+  samples.forEach(sample => {
+    const series = sparklineCache.get(sample.coinId);
+    if (!series) return;
+    series.push({ timestamp: sample.timestamp, price: sample.price });
+    while (series.length && series[0].timestamp < timestamp - SPARKLINE_WINDOW_MS) series.shift();
+  });
+
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.priceHistory, 'readwrite');
+  const store = transaction.objectStore(STORES.priceHistory);
+  samples.forEach(sample => store.put(sample));
+
+  const expired = IDBKeyRange.upperBound(timestamp - HISTORY_RETENTION_MS, true);
+  store.index('timestamp').openCursor(expired).onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (cursor) {
+      cursor.delete();
+      cursor.continue();
+    }
+  };
+
+  await transactionDone(transaction);
+};
+
+/**
+ * Loads the captured samples for one coin within a time window, oldest first.
+ * @param {string} coinId - The coin id.
+ * @param {number} windowMs - How far back to look, in ms.
+ * @returns {Promise<Array<{timestamp: number, price: number}>>} The samples.
+ */
+export const getPriceHistory = async (coinId, windowMs) => {
+  const db = await openDatabase();
+  const range = IDBKeyRange.bound([coinId, Date.now() - windowMs], [coinId, Infinity]);
+  const records = await promisifyRequest(
+    db.transaction(STORES.priceHistory).objectStore(STORES.priceHistory).getAll(range)
+  );
+  return records.map(({ timestamp, price }) => ({ timestamp, price }));
+};
+
+/** Returns the cached sparkline samples for a coin, or null if not loaded yet. */
+export const getCachedSparkline = (coinId) => sparklineCache.get(coinId) || null;
+
+/**
+ * Loads (and caches) the last 24h of samples for a coin's sparkline.
+ * @param {string} coinId - The coin id.
+ * @returns {Promise<Array<{timestamp: number, price: number}>>} The samples.
+ */
+export const loadSparkline = async (coinId) => {
+  if (!sparklineCache.has(coinId)) {
+    let samples = [];
+    try {
+      samples = await getPriceHistory(coinId, SPARKLINE_WINDOW_MS);
+    } catch (error) {
+      // Without IndexedDB the sparkline is built from this session's refreshes only
+    }
+    if (!sparklineCache.has(coinId)) sparklineCache.set(coinId, samples);
+  }
+  return sparklineCache.get(coinId);
+};
@@ -0,0 +1,150 @@
+// --- Safe HTML Rendering ---
+// `html` is a tagged template that escapes every interpolated value unless it is
+// markup built by `html` itself (or explicitly trusted with `raw`), so strings
+// from an API response or the user can never turn into markup.
+
+const SAFE_HTML = Symbol('safeHtml');
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+};
+
+/** Wraps a string that is already safe markup. */
+const toSafeHtml = (markup) => ({ [SAFE_HTML]: true, markup, toString: () => markup });
+
+/** Escapes a value for use in element content or a quoted attribute. */
+export const escapeHtml = (value) => String(value).replace(/[&<>"'`]/g, char => ESCAPES[char]);
+
+/**
+ * Turns an interpolated value into markup: arrays are joined, `null`, `undefined`
+ * and `false` render nothing (so `${condition && html`...`}` works), and
+ * anything that is not already safe markup is escaped.
+ */
+const toMarkup = (value) => {
+  if (value == null || value === false) return '';
+  if (Array.isArray(value)) return value.map(toMarkup).join('');
+  if (value[SAFE_HTML]) return value.markup;
+  return escapeHtml(value);
+};
+
+/**
+ * Builds markup from a template literal, escaping every interpolated value.
+ * @returns {Object} Safe markup; interpolate it into another `html` template or pass it to `setHtml`.
+ */
+export const html = (strings, ...values) => toSafeHtml(
+  strings.reduce((markup, string, index) => markup + toMarkup(values[index - 1]) + string)
+);
+
+/**
+ * Marks a trusted string, such as SVG generated by charts.js, as markup.
+ * Never pass data that came from an API or the user.
+ */
+export const raw = (markup) => toSafeHtml(String(markup));
+
+/** Replaces an element's content with markup built by `html`. */
+export const setHtml = (element, markup) => {
+  element.innerHTML = toMarkup(markup);
+};
+
+// --- Keyed Rendering ---
+
+const renderedMarkup = new WeakMap(); // Element → the markup it was last rendered from
+
+/** Parses markup with a single root element, keeping table rows and cells intact. */
+const parseElement = (markup) => {
+  const template = document.createElement('template');
+  template.innerHTML = toMarkup(markup).trim();
+  return template.content.firstElementChild;
+};
+
+/** Remembers the markup an element and its child elements were rendered from. */
+const recordMarkup = (element) => {
+  renderedMarkup.set(element, element.outerHTML);
+  [...element.children].forEach(child => renderedMarkup.set(child, child.outerHTML));
+};
+
+/**
+ * Brings a rendered element up to date with freshly parsed markup. Attributes
+ * are synced in place and only the child elements whose markup changed are
+ * replaced, so unchanged cells keep their nodes, focus and drawn icons.
+ */
+const patchElement = (current, next) => {
+  [...current.attributes].forEach(attribute => {
+    if (!next.hasAttribute(attribute.name)) current.removeAttribute(attribute.name);
+  });
+  [...next.attributes].forEach(attribute => {
+    if (current.getAttribute(attribute.name) !== attribute.value) current.setAttribute(attribute.name, attribute.value);
+  });
+
+  const currentNodes = [...current.childNodes];
+  const nextNodes = [...next.childNodes];
+  recordMarkup(next);
+  if (currentNodes.length !== nextNodes.length) {
+    current.replaceChildren(...nextNodes);
+  } else {
+    nextNodes.forEach((node, index) => {
+      const currentNode = currentNodes[index];
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        if (currentNode.nodeValue !== node.nodeValue) currentNode.replaceWith(node);
+      } else if (renderedMarkup.get(currentNode) !== renderedMarkup.get(node)) {
+        currentNode.replaceWith(node);
+      }
+    });
+  }
+  renderedMarkup.set(current, renderedMarkup.get(next));
+};
+
+/**
+ * Renders a list into a container, reusing existing children by key. Each item
+ * must have a single root element with a `data-key` attribute. Unchanged items
+ * are left untouched, changed ones are patched, and the rest are added,
+ * reordered or removed, so a refresh only touches what actually changed.
+ * @param {HTMLElement} container - The list's parent element, e.g. a tbody.
+ * @param {Array<Object>} items - Markup built by `html`, one per item, in display order.
+ */
+export const renderKeyed = (container, items) => {
+  const existing = new Map([...container.children].map(element => [element.dataset.key, element]));
+  const rendered = new Set();
+
+  items.forEach((item, index) => {
+    const next = parseElement(item);
+    const key = next.dataset.key;
+    let element = existing.get(key);
+    if (!element) {
+      element = next;
+      recordMarkup(element);
+    } else if (renderedMarkup.get(element) !== next.outerHTML) {
+      patchElement(element, next);
+    }
+    rendered.add(element);
+    const slot = container.children[index];
+    if (slot !== element) container.insertBefore(element, slot || null);
+  });
+
+  [...container.children].forEach(element => {
+    if (!rendered.has(element)) element.remove();
+  });
+};
+
+// --- Delegated Events ---
+
+/**
+ * Routes events from elements with a `data-action` attribute to a handler map,
+ * so markup never needs inline handlers or global functions. Only the innermost
+ * action runs, which lets a button sit inside a clickable row.
+ * @param {HTMLElement|Document} root - Where to listen.
+ * @param {string} type - The event type, e.g. 'click'.
+ * @param {Object<string, function(HTMLElement, Event): void>} handlers - Keyed by action name;
+ *   each receives the element carrying `data-action` and the event.
+ */
+export const delegate = (root, type, handlers) => {
+  root.addEventListener(type, (event) => {
+    const target = event.target.closest('[data-action]');
+    if (target && handlers[target.dataset.action]) handlers[target.dataset.action](target, event);
+  });
+};
@@ -0,0 +1,92 @@
+import { messages as en } from './locales/en.js';
+import { messages as fr } from './locales/fr.js';
+import { messages as es } from './locales/es.js';
+
+// --- Internationalization ---
+// UI text lives in one flat message catalog per language under src/locales.
+// `t` looks a key up in the active language, falls back to English, and fills
+// in {placeholders}; plural messages are objects keyed by the categories of
+// Intl.PluralRules ('one', 'other', ...) and pick their form from `count`.
+
+/** Selectable languages. Labels are endonyms, so they never need translating. */
+export const LANGUAGES = {
+  en: { label: 'English', locale: 'en-US', dir: 'ltr', messages: en },
+  fr: { label: 'Français', locale: 'fr-FR', dir: 'ltr', messages: fr },
+  es: { label: 'Español', locale: 'es-ES', dir: 'ltr', messages: es }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export let currentLanguage = DEFAULT_LANGUAGE;
+
+/** Loads the saved language, else the browser's if it is supported. */
+export const loadLanguage = () => {
+  const saved = localStorage.getItem('language');
+  if (LANGUAGES[saved]) return saved;
+  const browserLanguage = (navigator.languages || [navigator.language])
+    .map(tag => String(tag).split('-')[0])
+    .find(code => LANGUAGES[code]);
+  return browserLanguage || DEFAULT_LANGUAGE;
+};
+
+/** Persists the language. */
+export const saveLanguage = (code) => {
+  localStorage.setItem('language', code);
+};
+
+/** Switches the language `t` and the formatters use. Unknown codes fall back to English. */
+export const setLanguage = (code) => {
+  currentLanguage = LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+};
+
+/**
+ * The locale numbers and dates are formatted in. The browser's own locale is
+ * kept when it is a variant of the chosen language (e.g. en-GB or fr-CA).
+ */
+export const getLocale = () => {
+  const browserLocale = navigator.language || '';
+  return browserLocale.split('-')[0] === currentLanguage ? browserLocale : LANGUAGES[currentLanguage].locale;
+};
+
+/** Picks the plural form of a message for `count`, falling back to 'other'. */
+const selectPlural = (forms, count) => {
+  const category = new Intl.PluralRules(getLocale()).select(Number(count) || 0);
+  return forms[category] ?? forms.other;
+};
+
+/**
+ * Translates a message key.
+ * @param {string} key - A catalog key, e.g. 'stats.activeCoins'.
+ * @param {Object} [params] - Values for {placeholders}; `count` also selects the plural form.
+ * @returns {string} The message, or the key itself when no catalog has it.
+ */
+export const t = (key, params = {}) => {
+  let message = LANGUAGES[currentLanguage].messages[key] ?? LANGUAGES[DEFAULT_LANGUAGE].messages[key];
+  if (message === undefined) {
+    console.warn(`Missing translation for "${key}".`);
+    return key;
+  }
+  if (typeof message === 'object') message = selectPlural(message, params.count);
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+};
+
+/**
+ * Translates the static markup and sets the page's language and direction.
+ * `data-i18n="key"` replaces an element's text; `data-i18n-attr="title:key;aria-label:key"`
+ * sets attributes.
+ * @param {ParentNode} [root] - Where to look for marked elements.
+ */
+export const translateDocument = (root = document) => {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+    element.dataset.i18nAttr.split(';').forEach(pair => {
+      const [attribute, key] = pair.split(':').map(part => part.trim());
+      element.setAttribute(attribute, t(key));
+    });
+  });
+  document.documentElement.lang = currentLanguage;
+  document.documentElement.dir = LANGUAGES[currentLanguage].dir;
+  document.title = t('app.documentTitle');
+};
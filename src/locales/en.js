@@ -0,0 +1,397 @@
+// --- English Messages ---
+// The reference catalog: every key must exist here, and other languages fall
+// back to it. Plural messages are keyed by Intl.PluralRules category.
+
+export const messages = {
+  // App shell
+  'app.documentTitle': 'Crypto Pulse',
+  'app.title': 'Crypto Pulse Tracker',
+  'app.subtitle': 'Real-time cryptocurrency market data.',
+  'footer.rights': 'All Rights Reserved.',
+
+  // Shared
+  'common.na': 'N/A',
+  'common.withUnit': '{label} ({unit})',
+  'common.cancel': 'Cancel',
+  'common.min': 'Min',
+  'common.max': 'Max',
+
+  // Coin metrics, shared by the table, modal, comparison and filters
+  'metric.rank': 'Rank',
+  'metric.name': 'Name',
+  'metric.symbol': 'Symbol',
+  'metric.price': 'Price',
+  'metric.priceBtc': 'Price (BTC)',
+  'metric.change1h': '1h Change',
+  'metric.change24h': '24h Change',
+  'metric.change7d': '7d Change',
+  'metric.volume24h': '24h Volume',
+  'metric.marketCap': 'Market Cap',
+  'metric.sparkline': 'Last 24h',
+  'metric.circulatingSupply': 'Circulating Supply',
+  'metric.totalSupply': 'Total Supply',
+  'metric.maxSupply': 'Max Supply',
+  'metric.noFixedCap': 'No fixed cap',
+  'metric.circulatingOfTotal': 'Circulating / Total',
+  'metric.circulatingOfMax': 'Circulating / Max',
+  'metric.fullyDilutedValuation': 'Fully Diluted Valuation',
+  'metric.volumeToMarketCap': 'Volume / Market Cap',
+
+  // Settings
+  'settings.title': 'Settings',
+  'settings.language': 'Language',
+  'settings.provider': 'Data provider',
+  'settings.providerNote': 'Coin ids differ between providers; on a switch, starred coins, holdings and alerts move to the new provider’s coin with the same symbol.',
+  'settings.currency': 'Display currency',
+  'settings.rateSource': 'Exchange rate source',
+  'settings.manualRatePlaceholder': 'e.g. 0.92',
+  'settings.palette': 'Gain / loss colors',
+
+  'theme.light': 'Light',
+  'theme.dark': 'Dark',
+  'theme.system': 'System',
+  'theme.title': 'Theme: {theme}',
+  'theme.switchLabel': 'Theme: {theme}. Switch to {next}.',
+  'palette.standard': 'Green / red',
+  'palette.colorblind': 'Blue / orange (colorblind-safe)',
+
+  'provider.coinlore': 'CoinLore',
+  'provider.coinlore.attribution': 'Data provided by CoinLore API.',
+  'provider.coingecko': 'CoinGecko',
+  'provider.coingecko.attribution': 'Data provided by CoinGecko API.',
+  'provider.mock': 'Offline mock data',
+  'provider.mock.attribution': 'Showing offline mock data for development.',
+
+  'currency.USD': 'US Dollar',
+  'currency.EUR': 'Euro',
+  'currency.GBP': 'British Pound',
+  'currency.NGN': 'Nigerian Naira',
+  'currency.BTC': 'Bitcoin',
+  'currency.ETH': 'Ether',
+  'currency.option': '{code} — {name}',
+  'currency.rateSource.live': 'Live rates (open.er-api.com)',
+  'currency.rateSource.manual': 'Manual rates',
+  'currency.enterManualRate': 'Enter a rate for {code} to use it. Showing USD meanwhile.',
+  'currency.noRate': 'No {code} rate available yet. Showing USD meanwhile.',
+  'currency.source.derived': 'derived from live prices',
+  'currency.source.manual': 'manual rate',
+  'currency.source.live': 'live rate, updated {time}',
+  'currency.rateInfo': '1 USD = {rate} {code} ({source})',
+  'currency.ratesFailed': 'Could not load exchange rates. Prices are shown in USD.',
+
+  // Global stats
+  'stats.activeCoins': 'Active Coins',
+  'stats.totalMarketCap': 'Total Market Cap',
+  'stats.volume24h': '24h Volume',
+  'stats.btcDominance': 'BTC Dominance',
+
+  // Market movers
+  'movers.title': 'Market Movers',
+  'movers.periodLabel': 'Change period',
+  'movers.topGainers': 'Top gainers ({period})',
+  'movers.noGainers': 'No coins gained over this period.',
+  'movers.topLosers': 'Top losers ({period})',
+  'movers.noLosers': 'No coins lost value over this period.',
+  'movers.volumeSpikes': '24h volume vs market cap',
+  'movers.ofMarketCap': '{percent} of cap',
+  'movers.noVolume': 'No volume data yet.',
+  'movers.rankChanges': 'Rank changes',
+  'movers.noRankChanges': 'No rank changes since the last refresh.',
+
+  // Market analytics
+  'analytics.title': 'Market Analytics',
+  'analytics.dominance': 'Market Cap Dominance',
+  'analytics.others': 'Others',
+  'analytics.changeDistribution': '24h Change Distribution (Top {count})',
+  'analytics.changeAxis': '24h change (%)',
+  'analytics.binBelow': '< {max}',
+  'analytics.binRange': '{min} to {max}',
+  'analytics.binAbove': '≥ {min}',
+  'analytics.breadth': 'Up vs. Down (Top {count})',
+  'analytics.up': '{count} up ({percent})',
+  'analytics.down': '{count} down ({percent})',
+  'analytics.unchanged': '{count} unchanged',
+  'analytics.trends': 'Market Cap and Volume',
+  'analytics.rangeLabel': 'Trend range',
+  'analytics.noData': 'No market data yet.',
+  'analytics.notEnoughTotals': 'Totals are recorded at every refresh; the trend appears after a few refreshes in this range.',
+
+  // Loading and data freshness
+  'data.loadingInitial': 'Fetching initial market data...',
+  'data.loaded': 'Market data loaded successfully.',
+  'data.rateLimited': 'The market data service is limiting requests. Refreshing will resume automatically.',
+  'data.showingSaved': 'Could not reach the market data service. Showing the last saved data.',
+  'data.fetchFailed': 'Error fetching market data. Please check the console for details.',
+  'data.loadingMore': 'Loading more coins ({count} loaded)...',
+  'data.searchPartial': 'Searched the top {count} coins; more results may exist.',
+  'data.searchMoreFailed': 'Could not search beyond the coins loaded so far.',
+  'data.loadMoreFailed': 'Could not load more coins. Please try again.',
+  'data.stale': {
+    one: 'Data as of {time}, {count} minute stale.',
+    other: 'Data as of {time}, {count} minutes stale.'
+  },
+  'data.offline': 'You appear to be offline.',
+  'data.pricesUpdated': 'Prices updated: {up} up, {down} down on this page.',
+  'data.rising': 'rising',
+  'data.falling': 'falling',
+
+  // Refresh and live prices
+  'refresh.intervalLabel': 'Auto-refresh interval',
+  'refresh.nowTitle': 'Refresh market data now',
+  'refresh.now': 'Refresh now',
+  'refresh.interval.paused': 'Paused',
+  'refresh.interval.30s': 'Every 30 seconds',
+  'refresh.interval.1m': 'Every minute',
+  'refresh.interval.2m': 'Every 2 minutes',
+  'refresh.interval.5m': 'Every 5 minutes',
+  'refresh.interval.15m': 'Every 15 minutes',
+  'refresh.updatedAgo': 'Updated {duration} ago',
+  'refresh.notUpdated': 'Not updated yet',
+  'refresh.running': 'refreshing…',
+  'refresh.rateLimited': 'rate limited, retrying in {duration}',
+  'refresh.hidden': 'paused while the tab is hidden',
+  'refresh.paused': 'auto-refresh paused',
+  'refresh.next': 'next refresh in {duration}',
+  'refresh.status': '{updated} · {next}',
+  'duration.seconds': '{seconds}s',
+  'duration.minutes': '{minutes}m {seconds}s',
+  'stream.toggle': 'Live prices',
+  'stream.connecting': 'Connecting to live prices…',
+  'stream.live': 'Live prices',
+  'stream.reconnecting': 'Live prices down, reconnecting…',
+  'stream.paused': 'Live prices paused while the tab is hidden',
+
+  // Coin list
+  'search.placeholder': 'Search by name or symbol (e.g., Bitcoin, BTC)...',
+  'view.table': 'Table',
+  'view.cards': 'Cards',
+  'scope.all': 'All Coins',
+  'scope.watchlist': 'Watchlist',
+  'list.label': 'Cryptocurrencies',
+  'list.watchlistEmpty': 'Your watchlist is empty. Star a coin to add it here.',
+  'list.noMatches': 'No cryptocurrencies match your search criteria.',
+  'list.sparklineTitle': 'Captured price history (last 24h)',
+  'list.cardChange': '{change} (24h)',
+  'list.cardMarketCap': 'M. Cap',
+  'pagination.previous': 'Previous',
+  'pagination.next': 'Next',
+  'pagination.perPage': 'Per page',
+  'pagination.page': 'Page {page} of {total}',
+  'pagination.noResults': 'No results',
+  'pagination.noResultsYet': 'No results yet',
+
+  // Watchlist
+  'watchlist.add': 'Add to watchlist',
+  'watchlist.remove': 'Remove from watchlist',
+  'watchlist.starLabel': 'Watchlist: {name}',
+  'watchlist.exportTitle': 'Export watchlist as JSON',
+  'watchlist.importTitle': 'Import watchlist from JSON',
+  'watchlist.nothingToExport': 'Your watchlist is empty; there is nothing to export.',
+  'watchlist.imported': {
+    one: 'Imported {count} new coin into your watchlist.',
+    other: 'Imported {count} new coins into your watchlist.'
+  },
+  'watchlist.importFailed': 'Could not import watchlist: {error}',
+  'watchlist.error.invalidJson': 'Watchlist file is not valid JSON.',
+  'watchlist.error.notAList': 'Watchlist file does not contain a list of coins.',
+
+  // Sort and filter
+  'filters.title': 'Sort & Filter',
+  'filters.activeCount': '({count} active)',
+  'filters.sortBy': 'Sort by',
+  'filters.marketCap': 'Market Cap (USD, e.g. 1B)',
+  'filters.volume24h': '24h Volume (USD)',
+  'filters.price': 'Price (USD)',
+  'filters.change24h': '24h Change (%)',
+  'filters.change7d': '7d Change (%)',
+  'filters.minExample': 'Min, e.g. -5',
+  'filters.maxExample': 'Max, e.g. 5',
+  'filters.clear': 'Clear filters',
+  'sort.rankAsc': 'Rank (1 → 100)',
+  'sort.rankDesc': 'Rank (100 → 1)',
+  'sort.priceDesc': 'Price (high → low)',
+  'sort.priceAsc': 'Price (low → high)',
+  'sort.change24hDesc': '24h Change (best first)',
+  'sort.change24hAsc': '24h Change (worst first)',
+  'sort.change7dDesc': '7d Change (best first)',
+  'sort.change7dAsc': '7d Change (worst first)',
+  'sort.volume24hDesc': '24h Volume (high → low)',
+  'sort.volume24hAsc': '24h Volume (low → high)',
+  'sort.marketCapDesc': 'Market Cap (high → low)',
+  'sort.marketCapAsc': 'Market Cap (low → high)',
+
+  // Market export
+  'export.title': 'Export',
+  'export.format': 'Format',
+  'export.format.csv': 'CSV (spreadsheet)',
+  'export.format.json': 'JSON',
+  'export.rows': 'Rows',
+  'export.rowsPage': 'Visible page',
+  'export.rowsAll': 'All matches',
+  'export.keepSort': 'Keep the current sort order (otherwise by rank)',
+  'export.columns': 'Columns (raw USD values)',
+  'export.download': 'Download',
+  'export.noColumns': 'Select at least one column to export.',
+  'export.noCoins': 'There are no coins in the current view to export.',
+  'export.done': {
+    one: 'Exported {count} coin as {format}.',
+    other: 'Exported {count} coins as {format}.'
+  },
+
+  // Coin detail modal
+  'modal.tabsLabel': 'Coin details',
+  'modal.tab.overview': 'Overview',
+  'modal.tab.supply': 'Supply & Metrics',
+  'modal.tab.markets': 'Markets',
+  'modal.tab.calculator': 'Calculator',
+  'modal.rank': 'Rank:',
+  'modal.close': 'Close details',
+  'modal.previous': 'Previous coin',
+  'modal.next': 'Next coin',
+  'modal.navigateTo': '{label}: {name}',
+  'modal.priceHistory': 'Price History',
+  'chart.storageBlocked': 'Price history is unavailable because this browser blocks local storage (IndexedDB).',
+  'chart.notEnoughData': 'Not enough captured data for this range yet. Prices are recorded on every refresh while the app is open.',
+  'markets.loading': 'Loading markets…',
+  'markets.rateLimited': 'The market data service is limiting requests. Try this tab again shortly.',
+  'markets.failed': 'Could not load exchange markets for this coin.',
+  'markets.empty': 'No exchange markets are listed for this coin.',
+  'markets.exchange': 'Exchange',
+  'markets.pair': 'Pair',
+  'markets.summary': 'Showing the {shown} busiest of {total} markets from {provider}.',
+
+  // Position calculator
+  'calculator.position': 'Position Size',
+  'calculator.amount': 'Amount',
+  'calculator.quantity': 'Quantity ({symbol})',
+  'calculator.atPrice': 'At the live price of {price} per {symbol}; updates with every refresh.',
+  'calculator.noPrice': 'No live price for this coin, so nothing can be calculated.',
+  'calculator.target': 'Profit at a Target Price',
+  'calculator.entryPrice': 'Entry price',
+  'calculator.targetPrice': 'Target price',
+  'calculator.feePercent': 'Fee per trade (%)',
+  'calculator.enterTarget': 'Enter a target price to see the move it needs.',
+  'calculator.enterPosition': 'Enter an amount or quantity above to see the profit or loss.',
+  'calculator.moveNeeded': 'Move needed from now',
+  'calculator.profit': 'Profit / loss',
+  'calculator.return': 'Return',
+  'calculator.fees': 'Fees (buy + sell)',
+  'calculator.convert': 'Coin Converter',
+  'calculator.convertQuantity': 'Quantity',
+  'calculator.from': 'From',
+  'calculator.to': 'To',
+  'calculator.converted': '{quantity} {fromSymbol} = {result} {toSymbol}',
+  'calculator.rate': '1 {fromSymbol} = {rate} {toSymbol}',
+  'calculator.noConversion': 'Both coins need a live price to convert.',
+
+  // Portfolio
+  'portfolio.title': 'Portfolio',
+  'portfolio.exportTitle': 'Export transactions as CSV',
+  'portfolio.importTitle': 'Import transactions from CSV',
+  'portfolio.selectCoin': 'Select a coin…',
+  'portfolio.buy': 'Buy',
+  'portfolio.sell': 'Sell',
+  'portfolio.quantity': 'Quantity',
+  'portfolio.priceUsd': 'Price (USD)',
+  'portfolio.feeUsd': 'Fee (USD)',
+  'portfolio.add': 'Add Transaction',
+  'portfolio.history': 'Transaction History',
+  'portfolio.totalValue': 'Total Value',
+  'portfolio.costBasis': 'Cost Basis',
+  'portfolio.unrealizedPnl': 'Unrealized P&L',
+  'portfolio.realizedPnl': 'Realized P&L',
+  'portfolio.unpriced': {
+    one: '{count} holding is outside the loaded coins and is excluded from value and unrealized P&L.',
+    other: '{count} holdings are outside the loaded coins and are excluded from value and unrealized P&L.'
+  },
+  'portfolio.noHoldings': 'No open holdings. Record a buy to get started.',
+  'portfolio.coin': 'Coin',
+  'portfolio.averageCost': 'Avg. Cost',
+  'portfolio.value': 'Value',
+  'portfolio.noTransactions': 'No transactions recorded.',
+  'portfolio.fee': 'Fee {fee}',
+  'portfolio.deleteTransaction': 'Delete transaction',
+  'portfolio.recorded.buy': 'Recorded buy of {quantity} {symbol}.',
+  'portfolio.recorded.sell': 'Recorded sell of {quantity} {symbol}.',
+  'portfolio.recordFailed': 'Could not record transaction: {error}',
+  'portfolio.deleteFailed': 'Cannot delete this transaction: {error}',
+  'portfolio.nothingToExport': 'There are no transactions to export.',
+  'portfolio.imported': {
+    one: 'Imported {count} transaction.',
+    other: 'Imported {count} transactions.'
+  },
+  'portfolio.importFailed': 'Could not import transactions: {error}',
+  'portfolio.error.coinRequired': 'A coin is required.',
+  'portfolio.error.unknownType': 'Unknown transaction type "{type}".',
+  'portfolio.error.quantity': 'Quantity must be greater than zero.',
+  'portfolio.error.price': 'Price must be zero or more.',
+  'portfolio.error.fee': 'Fee must be zero or more.',
+  'portfolio.error.date': 'Invalid date "{date}" (expected YYYY-MM-DD).',
+  'portfolio.error.oversold': 'Sell of {quantity} {coin} on {date} exceeds the {held} held.',
+  'portfolio.error.emptyFile': 'The file is empty.',
+  'portfolio.error.missingColumn': 'Missing required column "{column}".',
+  'portfolio.error.coinColumn': 'Either a "coin_id" or a "symbol" column is required.',
+  'portfolio.error.line': 'Line {line}: {error}',
+
+  // Alerts
+  'alerts.title': 'Alerts',
+  'alerts.activeCount': '{count} active',
+  'alerts.anyWatchlistCoin': 'Any watchlist coin',
+  'alerts.threshold': 'Threshold',
+  'alerts.unit.usd': 'USD',
+  'alerts.unit.percent': '%',
+  'alerts.unit.rank': 'rank',
+  'alerts.create': 'Create Alert',
+  'alerts.save': 'Save Alert',
+  'alerts.empty': 'No alerts yet. Create one above.',
+  'alerts.active': 'Active',
+  'alerts.paused': 'Paused',
+  'alerts.lastTriggered': 'Last triggered {time}',
+  'alerts.neverTriggered': 'Never triggered',
+  'alerts.edit': 'Edit alert',
+  'alerts.pause': 'Pause alert',
+  'alerts.resume': 'Resume alert',
+  'alerts.delete': 'Delete alert',
+  'alerts.created': 'Created alert: {rule}.',
+  'alerts.updated': 'Updated alert: {rule}.',
+  'alerts.saveFailed': 'Could not save alert: {error}',
+  'alerts.notificationTitle': 'Crypto Pulse Alert',
+  'alerts.fired': 'Alert: {messages}',
+  'alerts.background.on': 'Active alerts on the top {count} coins are also checked in the background while the app is closed.',
+  'alerts.background.off': 'Alerts are checked while the app is open. Install the app in a browser with periodic background sync and allow notifications to get them while it is closed.',
+  'alerts.rule': '{target}: {condition} {threshold}',
+  'alerts.message': '{coin} — {condition} {threshold}: {current}.',
+  'alerts.condition.above': 'Price above',
+  'alerts.condition.below': 'Price below',
+  'alerts.condition.percent_change': '24h change beyond',
+  'alerts.condition.rank_above': 'Rank at or above',
+  'alerts.condition.rank_below': 'Rank below',
+  'alerts.current.price': 'price is {price}',
+  'alerts.current.change': '24h change is {change}',
+  'alerts.current.rank': 'rank is #{rank}',
+  'alerts.error.target': 'Choose a coin or the watchlist.',
+  'alerts.error.condition': 'Unknown condition "{condition}".',
+  'alerts.error.threshold': 'Threshold must be a number of zero or more.',
+
+  // Comparison
+  'compare.checkbox': 'Compare',
+  'compare.checkboxLabel': 'Compare {name}',
+  'compare.add': 'Add to comparison',
+  'compare.remove': 'Remove from comparison',
+  'compare.open': 'Compare',
+  'compare.clear': 'Clear',
+  'compare.title': 'Compare Coins',
+  'compare.copyLinkTitle': 'Copy a link to this comparison',
+  'compare.close': 'Close comparison',
+  'compare.relativePerformance': 'Relative Performance (start = 100)',
+  'compare.metric': 'Metric',
+  'compare.bar': 'Comparing {names} ({count}/{max})',
+  'compare.limit': 'You can compare up to {max} coins at a time.',
+  'compare.minimum': 'Pick at least {min} coins to compare.',
+  'compare.missing': {
+    one: '{count} linked coin is not in the loaded market data.',
+    other: '{count} linked coins are not in the loaded market data.'
+  },
+  'compare.linkCopied': 'Comparison link copied to the clipboard.',
+  'compare.copyManually': 'Copy this link to share the comparison: {url}'
+};
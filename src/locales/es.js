@@ -0,0 +1,407 @@
+// --- Spanish Messages ---
+
+export const messages = {
+  // App shell
+  'app.documentTitle': 'Crypto Pulse',
+  'app.title': 'Crypto Pulse Tracker',
+  'app.subtitle': 'Datos del mercado de criptomonedas en tiempo real.',
+  'footer.rights': 'Todos los derechos reservados.',
+
+  // Shared
+  'common.na': 'N/D',
+  'common.withUnit': '{label} ({unit})',
+  'common.cancel': 'Cancelar',
+  'common.min': 'Mín.',
+  'common.max': 'Máx.',
+
+  // Coin metrics, shared by the table, modal, comparison and filters
+  'metric.rank': 'Posición',
+  'metric.name': 'Nombre',
+  'metric.symbol': 'Símbolo',
+  'metric.price': 'Precio',
+  'metric.priceBtc': 'Precio (BTC)',
+  'metric.change1h': 'Cambio 1 h',
+  'metric.change24h': 'Cambio 24 h',
+  'metric.change7d': 'Cambio 7 d',
+  'metric.volume24h': 'Volumen 24 h',
+  'metric.marketCap': 'Capitalización',
+  'metric.sparkline': 'Últimas 24 h',
+  'metric.circulatingSupply': 'Suministro circulante',
+  'metric.totalSupply': 'Suministro total',
+  'metric.maxSupply': 'Suministro máximo',
+  'metric.noFixedCap': 'Sin límite fijo',
+  'metric.circulatingOfTotal': 'Circulante / total',
+  'metric.circulatingOfMax': 'Circulante / máximo',
+  'metric.fullyDilutedValuation': 'Valoración totalmente diluida',
+  'metric.volumeToMarketCap': 'Volumen / capitalización',
+
+  // Settings
+  'settings.title': 'Ajustes',
+  'settings.language': 'Idioma',
+  'settings.provider': 'Proveedor de datos',
+  'settings.providerNote': 'Los identificadores de las monedas varían entre proveedores; al cambiar, los favoritos, las posiciones y las alertas pasan a la moneda con el mismo símbolo del nuevo proveedor.',
+  'settings.currency': 'Moneda de visualización',
+  'settings.rateSource': 'Fuente del tipo de cambio',
+  'settings.manualRatePlaceholder': 'p. ej. 0,92',
+  'settings.palette': 'Colores de subida / bajada',
+
+  'theme.light': 'Claro',
+  'theme.dark': 'Oscuro',
+  'theme.system': 'Sistema',
+  'theme.title': 'Tema: {theme}',
+  'theme.switchLabel': 'Tema: {theme}. Cambiar a {next}.',
+  'palette.standard': 'Verde / rojo',
+  'palette.colorblind': 'Azul / naranja (apto para daltonismo)',
+
+  'provider.coinlore': 'CoinLore',
+  'provider.coinlore.attribution': 'Datos proporcionados por la API de CoinLore.',
+  'provider.coingecko': 'CoinGecko',
+  'provider.coingecko.attribution': 'Datos proporcionados por la API de CoinGecko.',
+  'provider.mock': 'Datos de prueba sin conexión',
+  'provider.mock.attribution': 'Mostrando datos de prueba sin conexión para desarrollo.',
+
+  'currency.USD': 'Dólar estadounidense',
+  'currency.EUR': 'Euro',
+  'currency.GBP': 'Libra esterlina',
+  'currency.NGN': 'Naira nigeriana',
+  'currency.BTC': 'Bitcoin',
+  'currency.ETH': 'Ether',
+  'currency.option': '{code} — {name}',
+  'currency.rateSource.live': 'Tipos en directo (open.er-api.com)',
+  'currency.rateSource.manual': 'Tipos manuales',
+  'currency.enterManualRate': 'Introduce un tipo para {code} para usarlo. Mientras tanto se muestra en USD.',
+  'currency.noRate': 'Aún no hay tipo de cambio para {code}. Mientras tanto se muestra en USD.',
+  'currency.source.derived': 'derivado de los precios en directo',
+  'currency.source.manual': 'tipo manual',
+  'currency.source.live': 'tipo en directo, actualizado a las {time}',
+  'currency.rateInfo': '1 USD = {rate} {code} ({source})',
+  'currency.ratesFailed': 'No se pudieron cargar los tipos de cambio. Los precios se muestran en USD.',
+
+  // Global stats
+  'stats.activeCoins': 'Monedas activas',
+  'stats.totalMarketCap': 'Capitalización total',
+  'stats.volume24h': 'Volumen 24 h',
+  'stats.btcDominance': 'Dominancia de BTC',
+
+  // Market movers
+  'movers.title': 'Mayores movimientos',
+  'movers.periodLabel': 'Periodo del cambio',
+  'movers.topGainers': 'Mayores subidas ({period})',
+  'movers.noGainers': 'Ninguna moneda subió en este periodo.',
+  'movers.topLosers': 'Mayores bajadas ({period})',
+  'movers.noLosers': 'Ninguna moneda perdió valor en este periodo.',
+  'movers.volumeSpikes': 'Volumen 24 h frente a capitalización',
+  'movers.ofMarketCap': '{percent} de la cap.',
+  'movers.noVolume': 'Aún no hay datos de volumen.',
+  'movers.rankChanges': 'Cambios de posición',
+  'movers.noRankChanges': 'No hay cambios de posición desde la última actualización.',
+
+  // Market analytics
+  'analytics.title': 'Análisis del mercado',
+  'analytics.dominance': 'Dominancia por capitalización',
+  'analytics.others': 'Otras',
+  'analytics.changeDistribution': 'Distribución del cambio 24 h (top {count})',
+  'analytics.changeAxis': 'Cambio 24 h (%)',
+  'analytics.binBelow': '< {max}',
+  'analytics.binRange': '{min} a {max}',
+  'analytics.binAbove': '≥ {min}',
+  'analytics.breadth': 'Subidas y bajadas (top {count})',
+  'analytics.up': {
+    one: '{count} sube ({percent})',
+    other: '{count} suben ({percent})'
+  },
+  'analytics.down': {
+    one: '{count} baja ({percent})',
+    other: '{count} bajan ({percent})'
+  },
+  'analytics.unchanged': '{count} sin cambios',
+  'analytics.trends': 'Capitalización y volumen',
+  'analytics.rangeLabel': 'Periodo de la tendencia',
+  'analytics.noData': 'Aún no hay datos de mercado.',
+  'analytics.notEnoughTotals': 'Los totales se registran en cada actualización; la tendencia aparece tras unas cuantas actualizaciones en este periodo.',
+
+  // Loading and data freshness
+  'data.loadingInitial': 'Obteniendo datos de mercado…',
+  'data.loaded': 'Datos de mercado cargados correctamente.',
+  'data.rateLimited': 'El servicio de datos de mercado está limitando las solicitudes. La actualización se reanudará automáticamente.',
+  'data.showingSaved': 'No se pudo conectar con el servicio de datos de mercado. Se muestran los últimos datos guardados.',
+  'data.fetchFailed': 'Error al obtener los datos de mercado. Consulta la consola para más detalles.',
+  'data.loadingMore': 'Cargando más monedas ({count} cargadas)…',
+  'data.searchPartial': 'Se buscó entre las {count} primeras monedas; puede haber más resultados.',
+  'data.searchMoreFailed': 'No se pudo buscar más allá de las monedas ya cargadas.',
+  'data.loadMoreFailed': 'No se pudieron cargar más monedas. Inténtalo de nuevo.',
+  'data.stale': {
+    one: 'Datos de las {time}, con {count} minuto de retraso.',
+    other: 'Datos de las {time}, con {count} minutos de retraso.'
+  },
+  'data.offline': 'Parece que no tienes conexión.',
+  'data.pricesUpdated': 'Precios actualizados: {up} suben y {down} bajan en esta página.',
+  'data.rising': 'subiendo',
+  'data.falling': 'bajando',
+
+  // Refresh and live prices
+  'refresh.intervalLabel': 'Intervalo de actualización automática',
+  'refresh.nowTitle': 'Actualizar ahora los datos de mercado',
+  'refresh.now': 'Actualizar',
+  'refresh.interval.paused': 'En pausa',
+  'refresh.interval.30s': 'Cada 30 segundos',
+  'refresh.interval.1m': 'Cada minuto',
+  'refresh.interval.2m': 'Cada 2 minutos',
+  'refresh.interval.5m': 'Cada 5 minutos',
+  'refresh.interval.15m': 'Cada 15 minutos',
+  'refresh.updatedAgo': 'Actualizado hace {duration}',
+  'refresh.notUpdated': 'Aún sin actualizar',
+  'refresh.running': 'actualizando…',
+  'refresh.rateLimited': 'solicitudes limitadas, nuevo intento en {duration}',
+  'refresh.hidden': 'en pausa mientras la pestaña está oculta',
+  'refresh.paused': 'actualización automática en pausa',
+  'refresh.next': 'próxima actualización en {duration}',
+  'refresh.status': '{updated} · {next}',
+  'duration.seconds': '{seconds} s',
+  'duration.minutes': '{minutes} min {seconds} s',
+  'stream.toggle': 'Precios en directo',
+  'stream.connecting': 'Conectando con los precios en directo…',
+  'stream.live': 'Precios en directo',
+  'stream.reconnecting': 'Precios en directo caídos; reconectando…',
+  'stream.paused': 'Precios en directo en pausa mientras la pestaña está oculta',
+
+  // Coin list
+  'search.placeholder': 'Buscar por nombre o símbolo (p. ej., Bitcoin, BTC)…',
+  'view.table': 'Tabla',
+  'view.cards': 'Tarjetas',
+  'scope.all': 'Todas',
+  'scope.watchlist': 'Favoritos',
+  'list.label': 'Criptomonedas',
+  'list.watchlistEmpty': 'Tu lista de favoritos está vacía. Marca una moneda con la estrella para añadirla aquí.',
+  'list.noMatches': 'Ninguna criptomoneda coincide con tus criterios de búsqueda.',
+  'list.sparklineTitle': 'Historial de precios registrado (últimas 24 h)',
+  'list.cardChange': '{change} (24 h)',
+  'list.cardMarketCap': 'Cap.',
+  'pagination.previous': 'Anterior',
+  'pagination.next': 'Siguiente',
+  'pagination.perPage': 'Por página',
+  'pagination.page': 'Página {page} de {total}',
+  'pagination.noResults': 'Sin resultados',
+  'pagination.noResultsYet': 'Aún no hay resultados',
+
+  // Watchlist
+  'watchlist.add': 'Añadir a favoritos',
+  'watchlist.remove': 'Quitar de favoritos',
+  'watchlist.starLabel': 'Favorito: {name}',
+  'watchlist.exportTitle': 'Exportar favoritos como JSON',
+  'watchlist.importTitle': 'Importar favoritos desde JSON',
+  'watchlist.nothingToExport': 'Tu lista de favoritos está vacía; no hay nada que exportar.',
+  'watchlist.imported': {
+    one: 'Se importó {count} moneda nueva a tus favoritos.',
+    other: 'Se importaron {count} monedas nuevas a tus favoritos.'
+  },
+  'watchlist.importFailed': 'No se pudieron importar los favoritos: {error}',
+  'watchlist.error.invalidJson': 'El archivo de favoritos no es un JSON válido.',
+  'watchlist.error.notAList': 'El archivo de favoritos no contiene una lista de monedas.',
+
+  // Sort and filter
+  'filters.title': 'Ordenar y filtrar',
+  'filters.activeCount': {
+    one: '({count} activo)',
+    other: '({count} activos)'
+  },
+  'filters.sortBy': 'Ordenar por',
+  'filters.marketCap': 'Capitalización (USD, p. ej. 1B)',
+  'filters.volume24h': 'Volumen 24 h (USD)',
+  'filters.price': 'Precio (USD)',
+  'filters.change24h': 'Cambio 24 h (%)',
+  'filters.change7d': 'Cambio 7 d (%)',
+  'filters.minExample': 'Mín., p. ej. -5',
+  'filters.maxExample': 'Máx., p. ej. 5',
+  'filters.clear': 'Borrar filtros',
+  'sort.rankAsc': 'Posición (1 → 100)',
+  'sort.rankDesc': 'Posición (100 → 1)',
+  'sort.priceDesc': 'Precio (mayor → menor)',
+  'sort.priceAsc': 'Precio (menor → mayor)',
+  'sort.change24hDesc': 'Cambio 24 h (mejores primero)',
+  'sort.change24hAsc': 'Cambio 24 h (peores primero)',
+  'sort.change7dDesc': 'Cambio 7 d (mejores primero)',
+  'sort.change7dAsc': 'Cambio 7 d (peores primero)',
+  'sort.volume24hDesc': 'Volumen 24 h (mayor → menor)',
+  'sort.volume24hAsc': 'Volumen 24 h (menor → mayor)',
+  'sort.marketCapDesc': 'Capitalización (mayor → menor)',
+  'sort.marketCapAsc': 'Capitalización (menor → mayor)',
+
+  // Market export
+  'export.title': 'Exportar',
+  'export.format': 'Formato',
+  'export.format.csv': 'CSV (hoja de cálculo)',
+  'export.format.json': 'JSON',
+  'export.rows': 'Filas',
+  'export.rowsPage': 'Página visible',
+  'export.rowsAll': 'Todos los resultados',
+  'export.keepSort': 'Mantener el orden actual (si no, por posición)',
+  'export.columns': 'Columnas (valores brutos en USD)',
+  'export.download': 'Descargar',
+  'export.noColumns': 'Selecciona al menos una columna para exportar.',
+  'export.noCoins': 'No hay monedas en la vista actual para exportar.',
+  'export.done': {
+    one: 'Se exportó {count} moneda como {format}.',
+    other: 'Se exportaron {count} monedas como {format}.'
+  },
+
+  // Coin detail modal
+  'modal.tabsLabel': 'Detalles de la moneda',
+  'modal.tab.overview': 'Resumen',
+  'modal.tab.supply': 'Suministro y métricas',
+  'modal.tab.markets': 'Mercados',
+  'modal.tab.calculator': 'Calculadora',
+  'modal.rank': 'Posición:',
+  'modal.close': 'Cerrar detalles',
+  'modal.previous': 'Moneda anterior',
+  'modal.next': 'Moneda siguiente',
+  'modal.navigateTo': '{label}: {name}',
+  'modal.priceHistory': 'Historial de precios',
+  'chart.storageBlocked': 'El historial de precios no está disponible porque este navegador bloquea el almacenamiento local (IndexedDB).',
+  'chart.notEnoughData': 'Aún no hay suficientes datos registrados para este intervalo. Los precios se registran en cada actualización mientras la aplicación está abierta.',
+  'markets.loading': 'Cargando mercados…',
+  'markets.rateLimited': 'El servicio de datos de mercado está limitando las solicitudes. Vuelve a abrir esta pestaña en unos instantes.',
+  'markets.failed': 'No se pudieron cargar los mercados de esta moneda.',
+  'markets.empty': 'No hay mercados listados para esta moneda.',
+  'markets.exchange': 'Plataforma',
+  'markets.pair': 'Par',
+  'markets.summary': 'Se muestran los {shown} mercados con más actividad de {total}, según {provider}.',
+
+  // Position calculator
+  'calculator.position': 'Tamaño de la posición',
+  'calculator.amount': 'Importe',
+  'calculator.quantity': 'Cantidad ({symbol})',
+  'calculator.atPrice': 'Al precio en directo de {price} por {symbol}; se actualiza en cada actualización.',
+  'calculator.noPrice': 'No hay precio en directo para esta moneda, así que no se puede calcular nada.',
+  'calculator.target': 'Ganancia a un precio objetivo',
+  'calculator.entryPrice': 'Precio de entrada',
+  'calculator.targetPrice': 'Precio objetivo',
+  'calculator.feePercent': 'Comisión por operación (%)',
+  'calculator.enterTarget': 'Introduce un precio objetivo para ver el movimiento necesario.',
+  'calculator.enterPosition': 'Introduce un importe o una cantidad arriba para ver la ganancia o pérdida.',
+  'calculator.moveNeeded': 'Movimiento necesario',
+  'calculator.profit': 'Ganancia / pérdida',
+  'calculator.return': 'Rentabilidad',
+  'calculator.fees': 'Comisiones (compra + venta)',
+  'calculator.convert': 'Conversor de monedas',
+  'calculator.convertQuantity': 'Cantidad',
+  'calculator.from': 'De',
+  'calculator.to': 'A',
+  'calculator.converted': '{quantity} {fromSymbol} = {result} {toSymbol}',
+  'calculator.rate': '1 {fromSymbol} = {rate} {toSymbol}',
+  'calculator.noConversion': 'Ambas monedas necesitan un precio en directo para convertir.',
+
+  // Portfolio
+  'portfolio.title': 'Cartera',
+  'portfolio.exportTitle': 'Exportar transacciones como CSV',
+  'portfolio.importTitle': 'Importar transacciones desde CSV',
+  'portfolio.selectCoin': 'Selecciona una moneda…',
+  'portfolio.buy': 'Compra',
+  'portfolio.sell': 'Venta',
+  'portfolio.quantity': 'Cantidad',
+  'portfolio.priceUsd': 'Precio (USD)',
+  'portfolio.feeUsd': 'Comisión (USD)',
+  'portfolio.add': 'Añadir transacción',
+  'portfolio.history': 'Historial de transacciones',
+  'portfolio.totalValue': 'Valor total',
+  'portfolio.costBasis': 'Coste base',
+  'portfolio.unrealizedPnl': 'G/P no realizada',
+  'portfolio.realizedPnl': 'G/P realizada',
+  'portfolio.unpriced': {
+    one: '{count} posición está fuera de las monedas cargadas y no se incluye en el valor ni en la G/P no realizada.',
+    other: '{count} posiciones están fuera de las monedas cargadas y no se incluyen en el valor ni en la G/P no realizada.'
+  },
+  'portfolio.noHoldings': 'No hay posiciones abiertas. Registra una compra para empezar.',
+  'portfolio.coin': 'Moneda',
+  'portfolio.averageCost': 'Coste medio',
+  'portfolio.value': 'Valor',
+  'portfolio.noTransactions': 'No hay transacciones registradas.',
+  'portfolio.fee': 'Comisión {fee}',
+  'portfolio.deleteTransaction': 'Eliminar transacción',
+  'portfolio.recorded.buy': 'Compra de {quantity} {symbol} registrada.',
+  'portfolio.recorded.sell': 'Venta de {quantity} {symbol} registrada.',
+  'portfolio.recordFailed': 'No se pudo registrar la transacción: {error}',
+  'portfolio.deleteFailed': 'No se puede eliminar esta transacción: {error}',
+  'portfolio.nothingToExport': 'No hay transacciones que exportar.',
+  'portfolio.imported': {
+    one: 'Se importó {count} transacción.',
+    other: 'Se importaron {count} transacciones.'
+  },
+  'portfolio.importFailed': 'No se pudieron importar las transacciones: {error}',
+  'portfolio.error.coinRequired': 'Se requiere una moneda.',
+  'portfolio.error.unknownType': 'Tipo de transacción desconocido «{type}».',
+  'portfolio.error.quantity': 'La cantidad debe ser mayor que cero.',
+  'portfolio.error.price': 'El precio debe ser cero o mayor.',
+  'portfolio.error.fee': 'La comisión debe ser cero o mayor.',
+  'portfolio.error.date': 'Fecha no válida «{date}» (se esperaba AAAA-MM-DD).',
+  'portfolio.error.oversold': 'La venta de {quantity} {coin} del {date} supera los {held} que se tenían.',
+  'portfolio.error.emptyFile': 'El archivo está vacío.',
+  'portfolio.error.missingColumn': 'Falta la columna obligatoria «{column}».',
+  'portfolio.error.coinColumn': 'Se requiere una columna «coin_id» o «symbol».',
+  'portfolio.error.line': 'Línea {line}: {error}',
+
+  // Alerts
+  'alerts.title': 'Alertas',
+  'alerts.activeCount': {
+    one: '{count} activa',
+    other: '{count} activas'
+  },
+  'alerts.anyWatchlistCoin': 'Cualquier moneda favorita',
+  'alerts.threshold': 'Umbral',
+  'alerts.unit.usd': 'USD',
+  'alerts.unit.percent': '%',
+  'alerts.unit.rank': 'posición',
+  'alerts.create': 'Crear alerta',
+  'alerts.save': 'Guardar alerta',
+  'alerts.empty': 'Aún no hay alertas. Crea una arriba.',
+  'alerts.active': 'Activa',
+  'alerts.paused': 'En pausa',
+  'alerts.lastTriggered': 'Última activación: {time}',
+  'alerts.neverTriggered': 'Nunca activada',
+  'alerts.edit': 'Editar alerta',
+  'alerts.pause': 'Pausar alerta',
+  'alerts.resume': 'Reanudar alerta',
+  'alerts.delete': 'Eliminar alerta',
+  'alerts.created': 'Alerta creada: {rule}.',
+  'alerts.updated': 'Alerta actualizada: {rule}.',
+  'alerts.saveFailed': 'No se pudo guardar la alerta: {error}',
+  'alerts.notificationTitle': 'Alerta de Crypto Pulse',
+  'alerts.fired': 'Alerta: {messages}',
+  'alerts.background.on': 'Las alertas activas de las {count} principales monedas también se comprueban en segundo plano mientras la aplicación está cerrada.',
+  'alerts.background.off': 'Las alertas se comprueban mientras la aplicación está abierta. Instala la aplicación en un navegador con sincronización periódica en segundo plano y permite las notificaciones para recibirlas cuando esté cerrada.',
+  'alerts.rule': '{target}: {condition} {threshold}',
+  'alerts.message': '{coin} — {condition} {threshold}: {current}.',
+  'alerts.condition.above': 'Precio por encima de',
+  'alerts.condition.below': 'Precio por debajo de',
+  'alerts.condition.percent_change': 'Cambio 24 h superior a',
+  'alerts.condition.rank_above': 'Posición igual o mejor que',
+  'alerts.condition.rank_below': 'Posición por debajo de',
+  'alerts.current.price': 'el precio es {price}',
+  'alerts.current.change': 'el cambio 24 h es {change}',
+  'alerts.current.rank': 'la posición es #{rank}',
+  'alerts.error.target': 'Elige una moneda o los favoritos.',
+  'alerts.error.condition': 'Condición desconocida «{condition}».',
+  'alerts.error.threshold': 'El umbral debe ser un número igual o mayor que cero.',
+
+  // Comparison
+  'compare.checkbox': 'Comparar',
+  'compare.checkboxLabel': 'Comparar {name}',
+  'compare.add': 'Añadir a la comparación',
+  'compare.remove': 'Quitar de la comparación',
+  'compare.open': 'Comparar',
+  'compare.clear': 'Borrar',
+  'compare.title': 'Comparar monedas',
+  'compare.copyLinkTitle': 'Copiar un enlace a esta comparación',
+  'compare.close': 'Cerrar comparación',
+  'compare.relativePerformance': 'Rendimiento relativo (inicio = 100)',
+  'compare.metric': 'Métrica',
+  'compare.bar': 'Comparando {names} ({count}/{max})',
+  'compare.limit': 'Puedes comparar hasta {max} monedas a la vez.',
+  'compare.minimum': 'Elige al menos {min} monedas para comparar.',
+  'compare.missing': {
+    one: '{count} moneda enlazada no está en los datos de mercado cargados.',
+    other: '{count} monedas enlazadas no están en los datos de mercado cargados.'
+  },
+  'compare.linkCopied': 'Enlace de la comparación copiado al portapapeles.',
+  'compare.copyManually': 'Copia este enlace para compartir la comparación: {url}'
+};
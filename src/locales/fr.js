@@ -0,0 +1,404 @@
+// --- French Messages ---
+
+export const messages = {
+  // App shell
+  'app.documentTitle': 'Crypto Pulse',
+  'app.title': 'Crypto Pulse Tracker',
+  'app.subtitle': 'Données du marché des cryptomonnaies en temps réel.',
+  'footer.rights': 'Tous droits réservés.',
+
+  // Shared
+  'common.na': 'N/D',
+  'common.withUnit': '{label} ({unit})',
+  'common.cancel': 'Annuler',
+  'common.min': 'Min.',
+  'common.max': 'Max.',
+
+  // Coin metrics, shared by the table, modal, comparison and filters
+  'metric.rank': 'Rang',
+  'metric.name': 'Nom',
+  'metric.symbol': 'Symbole',
+  'metric.price': 'Prix',
+  'metric.priceBtc': 'Prix (BTC)',
+  'metric.change1h': 'Variation 1 h',
+  'metric.change24h': 'Variation 24 h',
+  'metric.change7d': 'Variation 7 j',
+  'metric.volume24h': 'Volume 24 h',
+  'metric.marketCap': 'Capitalisation',
+  'metric.sparkline': 'Dernières 24 h',
+  'metric.circulatingSupply': 'Offre en circulation',
+  'metric.totalSupply': 'Offre totale',
+  'metric.maxSupply': 'Offre maximale',
+  'metric.noFixedCap': 'Pas de plafond',
+  'metric.circulatingOfTotal': 'En circulation / totale',
+  'metric.circulatingOfMax': 'En circulation / maximale',
+  'metric.fullyDilutedValuation': 'Valorisation entièrement diluée',
+  'metric.volumeToMarketCap': 'Volume / capitalisation',
+
+  // Settings
+  'settings.title': 'Paramètres',
+  'settings.language': 'Langue',
+  'settings.provider': 'Source des données',
+  'settings.providerNote': 'Les identifiants des cryptomonnaies diffèrent d’une source à l’autre : lors d’un changement, les favoris, les positions et les alertes passent à la cryptomonnaie de même symbole de la nouvelle source.',
+  'settings.currency': 'Devise d’affichage',
+  'settings.rateSource': 'Source des taux de change',
+  'settings.manualRatePlaceholder': 'ex. 0,92',
+  'settings.palette': 'Couleurs de hausse / baisse',
+
+  'theme.light': 'Clair',
+  'theme.dark': 'Sombre',
+  'theme.system': 'Système',
+  'theme.title': 'Thème : {theme}',
+  'theme.switchLabel': 'Thème : {theme}. Passer au thème {next}.',
+  'palette.standard': 'Vert / rouge',
+  'palette.colorblind': 'Bleu / orange (adapté au daltonisme)',
+
+  'provider.coinlore': 'CoinLore',
+  'provider.coinlore.attribution': 'Données fournies par l’API CoinLore.',
+  'provider.coingecko': 'CoinGecko',
+  'provider.coingecko.attribution': 'Données fournies par l’API CoinGecko.',
+  'provider.mock': 'Données fictives hors ligne',
+  'provider.mock.attribution': 'Affichage de données fictives hors ligne pour le développement.',
+
+  'currency.USD': 'Dollar américain',
+  'currency.EUR': 'Euro',
+  'currency.GBP': 'Livre sterling',
+  'currency.NGN': 'Naira nigérian',
+  'currency.BTC': 'Bitcoin',
+  'currency.ETH': 'Ether',
+  'currency.option': '{code} — {name}',
+  'currency.rateSource.live': 'Taux en direct (open.er-api.com)',
+  'currency.rateSource.manual': 'Taux manuels',
+  'currency.enterManualRate': 'Saisissez un taux pour {code} pour l’utiliser. Affichage en USD en attendant.',
+  'currency.noRate': 'Aucun taux {code} disponible pour l’instant. Affichage en USD en attendant.',
+  'currency.source.derived': 'déduit des prix en direct',
+  'currency.source.manual': 'taux manuel',
+  'currency.source.live': 'taux en direct, mis à jour à {time}',
+  'currency.rateInfo': '1 USD = {rate} {code} ({source})',
+  'currency.ratesFailed': 'Impossible de charger les taux de change. Les prix sont affichés en USD.',
+
+  // Global stats
+  'stats.activeCoins': 'Cryptomonnaies actives',
+  'stats.totalMarketCap': 'Capitalisation totale',
+  'stats.volume24h': 'Volume 24 h',
+  'stats.btcDominance': 'Dominance du BTC',
+
+  // Market movers
+  'movers.title': 'Plus fortes variations',
+  'movers.periodLabel': 'Période de variation',
+  'movers.topGainers': 'Plus fortes hausses ({period})',
+  'movers.noGainers': 'Aucune cryptomonnaie n’a progressé sur cette période.',
+  'movers.topLosers': 'Plus fortes baisses ({period})',
+  'movers.noLosers': 'Aucune cryptomonnaie n’a reculé sur cette période.',
+  'movers.volumeSpikes': 'Volume 24 h par rapport à la capitalisation',
+  'movers.ofMarketCap': '{percent} de la cap.',
+  'movers.noVolume': 'Pas encore de données de volume.',
+  'movers.rankChanges': 'Changements de rang',
+  'movers.noRankChanges': 'Aucun changement de rang depuis la dernière actualisation.',
+
+  // Market analytics
+  'analytics.title': 'Analyse du marché',
+  'analytics.dominance': 'Dominance en capitalisation',
+  'analytics.others': 'Autres',
+  'analytics.changeDistribution': 'Répartition des variations 24 h (top {count})',
+  'analytics.changeAxis': 'Variation 24 h (%)',
+  'analytics.binBelow': '< {max}',
+  'analytics.binRange': '{min} à {max}',
+  'analytics.binAbove': '≥ {min}',
+  'analytics.breadth': 'Hausses et baisses (top {count})',
+  'analytics.up': '{count} en hausse ({percent})',
+  'analytics.down': '{count} en baisse ({percent})',
+  'analytics.unchanged': {
+    one: '{count} inchangée',
+    other: '{count} inchangées'
+  },
+  'analytics.trends': 'Capitalisation et volume',
+  'analytics.rangeLabel': 'Période de la tendance',
+  'analytics.noData': 'Pas encore de données de marché.',
+  'analytics.notEnoughTotals': 'Les totaux sont enregistrés à chaque actualisation ; la tendance apparaît après quelques actualisations sur cette période.',
+
+  // Loading and data freshness
+  'data.loadingInitial': 'Chargement des données de marché…',
+  'data.loaded': 'Données de marché chargées.',
+  'data.rateLimited': 'Le service de données de marché limite les requêtes. L’actualisation reprendra automatiquement.',
+  'data.showingSaved': 'Impossible de joindre le service de données de marché. Affichage des dernières données enregistrées.',
+  'data.fetchFailed': 'Erreur lors du chargement des données de marché. Consultez la console pour plus de détails.',
+  'data.loadingMore': 'Chargement d’autres cryptomonnaies ({count} chargées)…',
+  'data.searchPartial': 'Recherche limitée aux {count} premières cryptomonnaies ; d’autres résultats peuvent exister.',
+  'data.searchMoreFailed': 'Impossible de chercher au-delà des cryptomonnaies déjà chargées.',
+  'data.loadMoreFailed': 'Impossible de charger d’autres cryptomonnaies. Veuillez réessayer.',
+  'data.stale': {
+    one: 'Données de {time}, en retard de {count} minute.',
+    other: 'Données de {time}, en retard de {count} minutes.'
+  },
+  'data.offline': 'Vous semblez être hors ligne.',
+  'data.pricesUpdated': 'Prix mis à jour : {up} en hausse, {down} en baisse sur cette page.',
+  'data.rising': 'en hausse',
+  'data.falling': 'en baisse',
+
+  // Refresh and live prices
+  'refresh.intervalLabel': 'Intervalle d’actualisation automatique',
+  'refresh.nowTitle': 'Actualiser les données de marché maintenant',
+  'refresh.now': 'Actualiser',
+  'refresh.interval.paused': 'En pause',
+  'refresh.interval.30s': 'Toutes les 30 secondes',
+  'refresh.interval.1m': 'Toutes les minutes',
+  'refresh.interval.2m': 'Toutes les 2 minutes',
+  'refresh.interval.5m': 'Toutes les 5 minutes',
+  'refresh.interval.15m': 'Toutes les 15 minutes',
+  'refresh.updatedAgo': 'Mis à jour il y a {duration}',
+  'refresh.notUpdated': 'Pas encore mis à jour',
+  'refresh.running': 'actualisation…',
+  'refresh.rateLimited': 'requêtes limitées, nouvel essai dans {duration}',
+  'refresh.hidden': 'en pause tant que l’onglet est masqué',
+  'refresh.paused': 'actualisation automatique en pause',
+  'refresh.next': 'prochaine actualisation dans {duration}',
+  'refresh.status': '{updated} · {next}',
+  'duration.seconds': '{seconds} s',
+  'duration.minutes': '{minutes} min {seconds} s',
+  'stream.toggle': 'Prix en direct',
+  'stream.connecting': 'Connexion aux prix en direct…',
+  'stream.live': 'Prix en direct',
+  'stream.reconnecting': 'Prix en direct indisponibles, reconnexion…',
+  'stream.paused': 'Prix en direct en pause tant que l’onglet est masqué',
+
+  // Coin list
+  'search.placeholder': 'Rechercher par nom ou symbole (ex. Bitcoin, BTC)…',
+  'view.table': 'Tableau',
+  'view.cards': 'Cartes',
+  'scope.all': 'Toutes',
+  'scope.watchlist': 'Favoris',
+  'list.label': 'Cryptomonnaies',
+  'list.watchlistEmpty': 'Vos favoris sont vides. Ajoutez une étoile à une cryptomonnaie pour l’y retrouver.',
+  'list.noMatches': 'Aucune cryptomonnaie ne correspond à vos critères de recherche.',
+  'list.sparklineTitle': 'Historique des prix enregistré (dernières 24 h)',
+  'list.cardChange': '{change} (24 h)',
+  'list.cardMarketCap': 'Cap.',
+  'pagination.previous': 'Précédente',
+  'pagination.next': 'Suivante',
+  'pagination.perPage': 'Par page',
+  'pagination.page': 'Page {page} sur {total}',
+  'pagination.noResults': 'Aucun résultat',
+  'pagination.noResultsYet': 'Aucun résultat pour l’instant',
+
+  // Watchlist
+  'watchlist.add': 'Ajouter aux favoris',
+  'watchlist.remove': 'Retirer des favoris',
+  'watchlist.starLabel': 'Favori : {name}',
+  'watchlist.exportTitle': 'Exporter les favoris en JSON',
+  'watchlist.importTitle': 'Importer des favoris depuis un fichier JSON',
+  'watchlist.nothingToExport': 'Vos favoris sont vides ; il n’y a rien à exporter.',
+  'watchlist.imported': {
+    one: '{count} nouvelle cryptomonnaie importée dans vos favoris.',
+    other: '{count} nouvelles cryptomonnaies importées dans vos favoris.'
+  },
+  'watchlist.importFailed': 'Impossible d’importer les favoris : {error}',
+  'watchlist.error.invalidJson': 'Le fichier de favoris n’est pas un JSON valide.',
+  'watchlist.error.notAList': 'Le fichier de favoris ne contient pas de liste de cryptomonnaies.',
+
+  // Sort and filter
+  'filters.title': 'Tri et filtres',
+  'filters.activeCount': {
+    one: '({count} actif)',
+    other: '({count} actifs)'
+  },
+  'filters.sortBy': 'Trier par',
+  'filters.marketCap': 'Capitalisation (USD, ex. 1B)',
+  'filters.volume24h': 'Volume 24 h (USD)',
+  'filters.price': 'Prix (USD)',
+  'filters.change24h': 'Variation 24 h (%)',
+  'filters.change7d': 'Variation 7 j (%)',
+  'filters.minExample': 'Min., ex. -5',
+  'filters.maxExample': 'Max., ex. 5',
+  'filters.clear': 'Effacer les filtres',
+  'sort.rankAsc': 'Rang (1 → 100)',
+  'sort.rankDesc': 'Rang (100 → 1)',
+  'sort.priceDesc': 'Prix (décroissant)',
+  'sort.priceAsc': 'Prix (croissant)',
+  'sort.change24hDesc': 'Variation 24 h (meilleures d’abord)',
+  'sort.change24hAsc': 'Variation 24 h (pires d’abord)',
+  'sort.change7dDesc': 'Variation 7 j (meilleures d’abord)',
+  'sort.change7dAsc': 'Variation 7 j (pires d’abord)',
+  'sort.volume24hDesc': 'Volume 24 h (décroissant)',
+  'sort.volume24hAsc': 'Volume 24 h (croissant)',
+  'sort.marketCapDesc': 'Capitalisation (décroissante)',
+  'sort.marketCapAsc': 'Capitalisation (croissante)',
+
+  // Market export
+  'export.title': 'Exporter',
+  'export.format': 'Format',
+  'export.format.csv': 'CSV (tableur)',
+  'export.format.json': 'JSON',
+  'export.rows': 'Lignes',
+  'export.rowsPage': 'Page affichée',
+  'export.rowsAll': 'Tous les résultats',
+  'export.keepSort': 'Conserver l’ordre de tri actuel (sinon par rang)',
+  'export.columns': 'Colonnes (valeurs brutes en USD)',
+  'export.download': 'Télécharger',
+  'export.noColumns': 'Sélectionnez au moins une colonne à exporter.',
+  'export.noCoins': 'Aucune cryptomonnaie à exporter dans la vue actuelle.',
+  'export.done': {
+    one: '{count} cryptomonnaie exportée au format {format}.',
+    other: '{count} cryptomonnaies exportées au format {format}.'
+  },
+
+  // Coin detail modal
+  'modal.tabsLabel': 'Détails de la cryptomonnaie',
+  'modal.tab.overview': 'Aperçu',
+  'modal.tab.supply': 'Offre et indicateurs',
+  'modal.tab.markets': 'Marchés',
+  'modal.tab.calculator': 'Calculatrice',
+  'modal.rank': 'Rang :',
+  'modal.close': 'Fermer les détails',
+  'modal.previous': 'Cryptomonnaie précédente',
+  'modal.next': 'Cryptomonnaie suivante',
+  'modal.navigateTo': '{label} : {name}',
+  'modal.priceHistory': 'Historique des prix',
+  'chart.storageBlocked': 'L’historique des prix est indisponible car ce navigateur bloque le stockage local (IndexedDB).',
+  'chart.notEnoughData': 'Pas encore assez de données enregistrées pour cette période. Les prix sont enregistrés à chaque actualisation tant que l’application est ouverte.',
+  'markets.loading': 'Chargement des marchés…',
+  'markets.rateLimited': 'Le service de données de marché limite les requêtes. Réessayez cet onglet dans un instant.',
+  'markets.failed': 'Impossible de charger les marchés de cette cryptomonnaie.',
+  'markets.empty': 'Aucun marché n’est répertorié pour cette cryptomonnaie.',
+  'markets.exchange': 'Plateforme',
+  'markets.pair': 'Paire',
+  'markets.summary': 'Affichage des {shown} marchés les plus actifs sur {total}, selon {provider}.',
+
+  // Position calculator
+  'calculator.position': 'Taille de la position',
+  'calculator.amount': 'Montant',
+  'calculator.quantity': 'Quantité ({symbol})',
+  'calculator.atPrice': 'Au prix en direct de {price} par {symbol} ; mis à jour à chaque actualisation.',
+  'calculator.noPrice': 'Aucun prix en direct pour cette cryptomonnaie : aucun calcul n’est possible.',
+  'calculator.target': 'Gain à un prix cible',
+  'calculator.entryPrice': 'Prix d’entrée',
+  'calculator.targetPrice': 'Prix cible',
+  'calculator.feePercent': 'Frais par opération (%)',
+  'calculator.enterTarget': 'Saisissez un prix cible pour voir la variation nécessaire.',
+  'calculator.enterPosition': 'Saisissez un montant ou une quantité ci-dessus pour voir le gain ou la perte.',
+  'calculator.moveNeeded': 'Variation nécessaire',
+  'calculator.profit': 'Gain / perte',
+  'calculator.return': 'Rendement',
+  'calculator.fees': 'Frais (achat + vente)',
+  'calculator.convert': 'Convertisseur',
+  'calculator.convertQuantity': 'Quantité',
+  'calculator.from': 'De',
+  'calculator.to': 'Vers',
+  'calculator.converted': '{quantity} {fromSymbol} = {result} {toSymbol}',
+  'calculator.rate': '1 {fromSymbol} = {rate} {toSymbol}',
+  'calculator.noConversion': 'Les deux cryptomonnaies doivent avoir un prix en direct pour être converties.',
+
+  // Portfolio
+  'portfolio.title': 'Portefeuille',
+  'portfolio.exportTitle': 'Exporter les transactions en CSV',
+  'portfolio.importTitle': 'Importer des transactions depuis un fichier CSV',
+  'portfolio.selectCoin': 'Choisir une cryptomonnaie…',
+  'portfolio.buy': 'Achat',
+  'portfolio.sell': 'Vente',
+  'portfolio.quantity': 'Quantité',
+  'portfolio.priceUsd': 'Prix (USD)',
+  'portfolio.feeUsd': 'Frais (USD)',
+  'portfolio.add': 'Ajouter la transaction',
+  'portfolio.history': 'Historique des transactions',
+  'portfolio.totalValue': 'Valeur totale',
+  'portfolio.costBasis': 'Prix de revient',
+  'portfolio.unrealizedPnl': 'P&L latent',
+  'portfolio.realizedPnl': 'P&L réalisé',
+  'portfolio.unpriced': {
+    one: '{count} position est hors des cryptomonnaies chargées et n’est pas comptée dans la valeur ni le P&L latent.',
+    other: '{count} positions sont hors des cryptomonnaies chargées et ne sont pas comptées dans la valeur ni le P&L latent.'
+  },
+  'portfolio.noHoldings': 'Aucune position ouverte. Enregistrez un achat pour commencer.',
+  'portfolio.coin': 'Cryptomonnaie',
+  'portfolio.averageCost': 'Coût moyen',
+  'portfolio.value': 'Valeur',
+  'portfolio.noTransactions': 'Aucune transaction enregistrée.',
+  'portfolio.fee': 'Frais {fee}',
+  'portfolio.deleteTransaction': 'Supprimer la transaction',
+  'portfolio.recorded.buy': 'Achat de {quantity} {symbol} enregistré.',
+  'portfolio.recorded.sell': 'Vente de {quantity} {symbol} enregistrée.',
+  'portfolio.recordFailed': 'Impossible d’enregistrer la transaction : {error}',
+  'portfolio.deleteFailed': 'Impossible de supprimer cette transaction : {error}',
+  'portfolio.nothingToExport': 'Aucune transaction à exporter.',
+  'portfolio.imported': {
+    one: '{count} transaction importée.',
+    other: '{count} transactions importées.'
+  },
+  'portfolio.importFailed': 'Impossible d’importer les transactions : {error}',
+  'portfolio.error.coinRequired': 'Une cryptomonnaie est requise.',
+  'portfolio.error.unknownType': 'Type de transaction inconnu « {type} ».',
+  'portfolio.error.quantity': 'La quantité doit être supérieure à zéro.',
+  'portfolio.error.price': 'Le prix doit être positif ou nul.',
+  'portfolio.error.fee': 'Les frais doivent être positifs ou nuls.',
+  'portfolio.error.date': 'Date invalide « {date} » (format attendu : AAAA-MM-JJ).',
+  'portfolio.error.oversold': 'La vente de {quantity} {coin} du {date} dépasse les {held} détenus.',
+  'portfolio.error.emptyFile': 'Le fichier est vide.',
+  'portfolio.error.missingColumn': 'Colonne obligatoire manquante « {column} ».',
+  'portfolio.error.coinColumn': 'Une colonne « coin_id » ou « symbol » est requise.',
+  'portfolio.error.line': 'Ligne {line} : {error}',
+
+  // Alerts
+  'alerts.title': 'Alertes',
+  'alerts.activeCount': {
+    one: '{count} active',
+    other: '{count} actives'
+  },
+  'alerts.anyWatchlistCoin': 'N’importe quel favori',
+  'alerts.threshold': 'Seuil',
+  'alerts.unit.usd': 'USD',
+  'alerts.unit.percent': '%',
+  'alerts.unit.rank': 'rang',
+  'alerts.create': 'Créer l’alerte',
+  'alerts.save': 'Enregistrer l’alerte',
+  'alerts.empty': 'Aucune alerte pour l’instant. Créez-en une ci-dessus.',
+  'alerts.active': 'Active',
+  'alerts.paused': 'En pause',
+  'alerts.lastTriggered': 'Dernier déclenchement le {time}',
+  'alerts.neverTriggered': 'Jamais déclenchée',
+  'alerts.edit': 'Modifier l’alerte',
+  'alerts.pause': 'Mettre l’alerte en pause',
+  'alerts.resume': 'Réactiver l’alerte',
+  'alerts.delete': 'Supprimer l’alerte',
+  'alerts.created': 'Alerte créée : {rule}.',
+  'alerts.updated': 'Alerte modifiée : {rule}.',
+  'alerts.saveFailed': 'Impossible d’enregistrer l’alerte : {error}',
+  'alerts.notificationTitle': 'Alerte Crypto Pulse',
+  'alerts.fired': 'Alerte : {messages}',
+  'alerts.background.on': 'Les alertes actives sur les {count} premières monnaies sont aussi vérifiées en arrière-plan lorsque l’application est fermée.',
+  'alerts.background.off': 'Les alertes sont vérifiées tant que l’application est ouverte. Installez l’application dans un navigateur prenant en charge la synchronisation périodique en arrière-plan et autorisez les notifications pour les recevoir lorsqu’elle est fermée.',
+  'alerts.rule': '{target} : {condition} {threshold}',
+  'alerts.message': '{coin} — {condition} {threshold} : {current}.',
+  'alerts.condition.above': 'Prix supérieur à',
+  'alerts.condition.below': 'Prix inférieur à',
+  'alerts.condition.percent_change': 'Variation 24 h au-delà de',
+  'alerts.condition.rank_above': 'Rang égal ou meilleur que',
+  'alerts.condition.rank_below': 'Rang au-delà de',
+  'alerts.current.price': 'le prix est de {price}',
+  'alerts.current.change': 'la variation 24 h est de {change}',
+  'alerts.current.rank': 'le rang est #{rank}',
+  'alerts.error.target': 'Choisissez une cryptomonnaie ou les favoris.',
+  'alerts.error.condition': 'Condition inconnue « {condition} ».',
+  'alerts.error.threshold': 'Le seuil doit être un nombre positif ou nul.',
+
+  // Comparison
+  'compare.checkbox': 'Comparer',
+  'compare.checkboxLabel': 'Comparer {name}',
+  'compare.add': 'Ajouter à la comparaison',
+  'compare.remove': 'Retirer de la comparaison',
+  'compare.open': 'Comparer',
+  'compare.clear': 'Effacer',
+  'compare.title': 'Comparer des cryptomonnaies',
+  'compare.copyLinkTitle': 'Copier un lien vers cette comparaison',
+  'compare.close': 'Fermer la comparaison',
+  'compare.relativePerformance': 'Performance relative (départ = 100)',
+  'compare.metric': 'Indicateur',
+  'compare.bar': 'Comparaison de {names} ({count}/{max})',
+  'compare.limit': 'Vous pouvez comparer jusqu’à {max} cryptomonnaies à la fois.',
+  'compare.minimum': 'Choisissez au moins {min} cryptomonnaies à comparer.',
+  'compare.missing': {
+    one: '{count} cryptomonnaie du lien est absente des données de marché chargées.',
+    other: '{count} cryptomonnaies du lien sont absentes des données de marché chargées.'
+  },
+  'compare.linkCopied': 'Lien de la comparaison copié dans le presse-papiers.',
+  'compare.copyManually': 'Copiez ce lien pour partager la comparaison : {url}'
+};
@@ -0,0 +1,112 @@
+import { downloadFile, fileTimestamp, toCsv } from './files.js';
+
+// --- Market View Export ---
+// Exports carry raw USD numbers from the internal coin model rather than the
+// display-formatted strings, so spreadsheets can sort and sum them.
+
+/** Every coin field that can be exported, in export order. */
+export const EXPORT_COLUMNS = [
+  { key: 'rank', label: 'rank', defaultSelected: true },
+  { key: 'id', label: 'id' },
+  { key: 'name', label: 'name', defaultSelected: true },
+  { key: 'symbol', label: 'symbol', defaultSelected: true },
+  { key: 'price', label: 'price_usd', defaultSelected: true },
+  { key: 'priceBtc', label: 'price_btc' },
+  { key: 'change1h', label: 'change_1h_pct' },
+  { key: 'change24h', label: 'change_24h_pct', defaultSelected: true },
+  { key: 'change7d', label: 'change_7d_pct', defaultSelected: true },
+  { key: 'marketCap', label: 'market_cap_usd', defaultSelected: true },
+  { key: 'volume24h', label: 'volume_24h_usd', defaultSelected: true },
+  { key: 'circulatingSupply', label: 'circulating_supply' },
+  { key: 'totalSupply', label: 'total_supply' },
+  { key: 'maxSupply', label: 'max_supply' }
+];
+
+/** Export formats, mapped to the message keys of their labels. */
+export const EXPORT_FORMATS = {
+  csv: 'export.format.csv',
+  json: 'export.format.json'
+};
+
+/** The global stats written into every export header, in order. */
+const GLOBAL_STAT_FIELDS = [
+  ['coinsCount', 'active_coins'],
+  ['totalMarketCap', 'total_market_cap_usd'],
+  ['totalVolume', 'total_volume_24h_usd'],
+  ['btcDominance', 'btc_dominance_pct'],
+  ['ethDominance', 'eth_dominance_pct'],
+  ['marketCapChange24h', 'market_cap_change_24h_pct']
+];
+
+const DEFAULT_EXPORT_SETTINGS = {
+  format: 'csv',
+  rows: 'all', // 'page' or 'all'
+  sorted: true,
+  columns: EXPORT_COLUMNS.filter(column => column.defaultSelected).map(column => column.key)
+};
+
+/** Loads the last used export options, dropping columns that no longer exist. */
+export const loadExportSettings = () => {
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem('exportSettings') || 'null') || {};
+  } catch (error) {
+    console.warn('Ignoring corrupt export settings in localStorage.', error);
+    saved = {};
+  }
+  const settings = { ...DEFAULT_EXPORT_SETTINGS, ...saved };
+  const validKeys = new Set(EXPORT_COLUMNS.map(column => column.key));
+  settings.columns = (Array.isArray(settings.columns) ? settings.columns : []).filter(key => validKeys.has(key));
+  if (!EXPORT_FORMATS[settings.format]) settings.format = DEFAULT_EXPORT_SETTINGS.format;
+  return settings;
+};
+
+/** Persists the export options. */
+export const saveExportSettings = (settings) => {
+  localStorage.setItem('exportSettings', JSON.stringify(settings));
+};
+
+/** Returns a raw value suitable for export; missing numbers become null. */
+const toExportValue = (value) => (value === undefined || Number.isNaN(value) ? null : value);
+
+/**
+ * Downloads coins as CSV or JSON.
+ * @param {Array<Object>} coins - The coins to export, already in the desired order.
+ * @param {Object} options
+ * @param {string} options.format - A key of EXPORT_FORMATS.
+ * @param {Array<string>} options.columns - Coin fields to include.
+ * @param {Object} options.globalStats - The current global market stats.
+ * @param {Object} options.view - Describes what was exported (source, scope, query, sort, rows).
+ */
+export const exportMarketView = (coins, { format, columns, globalStats, view }) => {
+  const exportedAt = new Date();
+  const selectedColumns = EXPORT_COLUMNS.filter(column => columns.includes(column.key));
+  const filename = `cryptopulse-market-${fileTimestamp(exportedAt)}`;
+
+  if (format === 'json') {
+    const payload = {
+      exportedAt: exportedAt.toISOString(),
+      currency: 'USD',
+      view,
+      globalStats: Object.fromEntries(GLOBAL_STAT_FIELDS.map(([key, label]) => [label, toExportValue(globalStats[key])])),
+      coins: coins.map(coin => Object.fromEntries(
+        selectedColumns.map(column => [column.label, toExportValue(coin[column.key])])
+      ))
+    };
+    downloadFile(`${filename}.json`, JSON.stringify(payload, null, 2), 'application/json');
+    return;
+  }
+
+  // Metadata rows, a blank separator, then the table; spreadsheets open this as-is
+  const rows = [
+    ['exported_at', exportedAt.toISOString()],
+    ['currency', 'USD'],
+    ...Object.entries(view).map(([key, value]) => [key, value]),
+    ...GLOBAL_STAT_FIELDS.map(([key, label]) => [label, toExportValue(globalStats[key])]),
+    [],
+    selectedColumns.map(column => column.label),
+    ...coins.map(coin => selectedColumns.map(column => toExportValue(coin[column.key])))
+  ];
+  // The BOM makes Excel read the file as UTF-8 rather than the system code page
+  downloadFile(`${filename}.csv`, '\uFEFF' + toCsv(rows), 'text/csv');
+};
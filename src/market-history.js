@@ -0,0 +1,54 @@
+import { openDatabase, promisifyRequest, transactionDone, STORES } from './db.js';
+import { HISTORY_RANGES } from './history.js';
+
+// --- Market Totals History ---
+// One total market cap and volume sample per refresh, kept as long as price history.
+const TOTALS_RETENTION_MS = HISTORY_RANGES['7d'];
+
+// This session's samples, so the trend still builds up when IndexedDB is unavailable
+const sessionTotals = [];
+
+/**
+ * Records the global totals from a refresh and prunes samples past the retention window.
+ * @param {string} providerId - The provider the totals came from; providers count differently.
+ * @param {Object} globalStats - The normalized global stats.
+ * @param {number} [timestamp] - The capture time in ms since epoch.
+ */
+export const recordMarketTotals = async (providerId, globalStats, timestamp = Date.now()) => {
+  const { totalMarketCap, totalVolume } = globalStats;
+  if (totalMarketCap == null && totalVolume == null) return;
+  const sample = { timestamp, providerId, totalMarketCap, totalVolume };
+
+  sessionTotals.push(sample);
+  while (sessionTotals.length && sessionTotals[0].timestamp < timestamp - TOTALS_RETENTION_MS) sessionTotals.shift();
+
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.marketTotals, 'readwrite');
+  const store = transaction.objectStore(STORES.marketTotals);
+  store.put(sample);
+  store.delete(IDBKeyRange.upperBound(timestamp - TOTALS_RETENTION_MS, true));
+  await transactionDone(transaction);
+};
+
+/**
+ * Loads the recorded totals for a provider within a time window, oldest first.
+ * Falls back to this session's samples when IndexedDB is unavailable.
+ * @param {string} providerId - The provider id.
+ * @param {number} windowMs - How far back to look, in ms.
+ * @returns {Promise<Array<{timestamp: number, totalMarketCap: ?number, totalVolume: ?number}>>} The samples.
+ */
+export const getMarketTotals = async (providerId, windowMs) => {
+  const since = Date.now() - windowMs;
+  let records;
+  try {
+    const db = await openDatabase();
+    records = await promisifyRequest(
+      db.transaction(STORES.marketTotals).objectStore(STORES.marketTotals).getAll(IDBKeyRange.lowerBound(since))
+    );
+  } catch (error) {
+    records = sessionTotals.filter(sample => sample.timestamp >= since);
+  }
+  return records
+    .filter(sample => sample.providerId === providerId)
+    .map(({ timestamp, totalMarketCap, totalVolume }) => ({ timestamp, totalMarketCap, totalVolume }));
+};
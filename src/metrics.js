@@ -0,0 +1,32 @@
+// --- Derived Coin Metrics ---
+// Computed from the internal coin model; each returns null when an input is missing.
+
+/**
+ * Returns circulating supply as a percentage of a reference supply (total or max).
+ * @param {?number} circulatingSupply - Coins in circulation.
+ * @param {?number} referenceSupply - The supply to compare against.
+ * @returns {?number} The share in percent.
+ */
+export const getSupplyShare = (circulatingSupply, referenceSupply) => (
+  circulatingSupply && referenceSupply ? (circulatingSupply / referenceSupply) * 100 : null
+);
+
+/**
+ * Returns the fully diluted valuation in USD: the price times the maximum
+ * supply, or the total supply for coins without a cap.
+ * @param {Object} coin - A coin from the internal model.
+ * @returns {?number} The valuation in USD.
+ */
+export const getFullyDilutedValuation = (coin) => {
+  const supply = coin.maxSupply || coin.totalSupply;
+  return coin.price != null && supply ? coin.price * supply : null;
+};
+
+/**
+ * Returns 24h volume as a fraction of market cap (a turnover measure).
+ * @param {Object} coin - A coin from the internal model.
+ * @returns {?number} The ratio, e.g. 0.05 for 5%.
+ */
+export const getVolumeToMarketCap = (coin) => (
+  coin.volume24h != null && coin.marketCap ? coin.volume24h / coin.marketCap : null
+);
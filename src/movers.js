@@ -0,0 +1,54 @@
+// --- Market Movers ---
+// Pure rankings over the internal coin model; rendering lives in views/movers-view.js.
+
+/** Maps each movers period onto the coin field holding its percentage change. */
+export const MOVER_PERIODS = {
+  '1h': 'change1h',
+  '24h': 'change24h',
+  '7d': 'change7d'
+};
+
+/** Keeps only coins with a finite value for the given field. */
+const withNumericField = (coins, field) => coins.filter(coin => Number.isFinite(coin[field]));
+
+/**
+ * Returns the biggest gainers or losers over a period.
+ * @param {Array<Object>} coins - Coins from the internal model.
+ * @param {string} period - A key of MOVER_PERIODS.
+ * @param {'gainers'|'losers'} direction - Which end of the ranking to take.
+ * @param {number} count - How many coins to return.
+ * @returns {Array<Object>} The coins, biggest move first.
+ */
+export const getTopMovers = (coins, period, direction, count) => {
+  const field = MOVER_PERIODS[period];
+  const modifier = direction === 'losers' ? 1 : -1;
+  return withNumericField(coins, field)
+    .filter(coin => (direction === 'losers' ? coin[field] < 0 : coin[field] > 0))
+    .sort((a, b) => (a[field] - b[field]) * modifier)
+    .slice(0, count);
+};
+
+/**
+ * Returns the coins trading the most volume relative to their market cap,
+ * a rough signal of unusual activity.
+ * @param {Array<Object>} coins - Coins from the internal model.
+ * @param {number} count - How many coins to return.
+ * @returns {Array<{coin: Object, ratio: number}>} Highest ratio first.
+ */
+export const getVolumeSpikes = (coins, count) => withNumericField(withNumericField(coins, 'volume24h'), 'marketCap')
+  .filter(coin => coin.marketCap > 0)
+  .map(coin => ({ coin, ratio: coin.volume24h / coin.marketCap }))
+  .sort((a, b) => b.ratio - a.ratio)
+  .slice(0, count);
+
+/**
+ * Returns the coins whose rank moved since the previous refresh.
+ * @param {Array<Object>} coins - Freshly fetched coins.
+ * @param {Object<string, number>} oldRanks - Ranks by coin id from the previous refresh.
+ * @returns {Array<{coin: Object, previousRank: number, change: number}>} Biggest move first;
+ *   a positive change means the coin climbed.
+ */
+export const getRankChanges = (coins, oldRanks) => coins
+  .filter(coin => Number.isFinite(oldRanks[coin.id]) && Number.isFinite(coin.rank) && oldRanks[coin.id] !== coin.rank)
+  .map(coin => ({ coin, previousRank: oldRanks[coin.id], change: oldRanks[coin.id] - coin.rank }))
+  .sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || a.coin.rank - b.coin.rank);
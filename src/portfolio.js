@@ -0,0 +1,211 @@
+import { indexCoinsBySymbol } from './coin-list.js';
+import { downloadFile, fileTimestamp, parseCsv, toCsv } from './files.js';
+import { t } from './i18n.js';
+
+// --- Portfolio Transactions ---
+const PORTFOLIO_STORAGE_KEY = 'portfolioTransactions';
+const CSV_COLUMNS = ['date', 'type', 'coin_id', 'symbol', 'name', 'quantity', 'price_usd', 'fee_usd'];
+// Quantities below this are treated as zero to absorb floating point dust from partial sells
+const QUANTITY_EPSILON = 1e-12;
+
+/** Generates a reasonably unique id for a transaction. */
+const createTransactionId = () => (globalThis.crypto && globalThis.crypto.randomUUID)
+  ? globalThis.crypto.randomUUID()
+  : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/** Parses a numeric field, tolerating thousands separators from spreadsheet exports. */
+const toNumber = (value) => parseFloat(String(value).replace(/,/g, ''));
+
+/** Checks for a YYYY-MM-DD date that exists in the calendar, so 2024-02-30 is rejected rather than rolled over. */
+const isCalendarDate = (date) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+  const parsed = new Date(date);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date;
+};
+
+/** Orders transactions chronologically, keeping entry order for same-day trades. */
+const sortTransactions = (transactions) => transactions
+  .map((tx, index) => ({ tx, index }))
+  .sort((a, b) => a.tx.date.localeCompare(b.tx.date) || a.index - b.index)
+  .map(({ tx }) => tx);
+
+/**
+ * Loads recorded transactions from localStorage.
+ * @returns {Array<Object>} The transactions.
+ */
+export const loadTransactions = () => {
+  try {
+    const transactions = JSON.parse(localStorage.getItem(PORTFOLIO_STORAGE_KEY) || '[]');
+    return Array.isArray(transactions) ? transactions : [];
+  } catch (error) {
+    console.warn('Ignoring corrupt portfolio in localStorage.', error);
+    return [];
+  }
+};
+
+/** Persists the transactions to localStorage. */
+export const saveTransactions = (transactions) => {
+  localStorage.setItem(PORTFOLIO_STORAGE_KEY, JSON.stringify(transactions));
+};
+
+/**
+ * Validates and normalizes raw transaction input.
+ * @param {Object} input - Raw values ({ coinId, symbol, name, type, quantity, price, fee, date }).
+ * @returns {Object} A normalized transaction with a fresh id.
+ * @throws {Error} If a field is missing or out of range.
+ */
+export const createTransaction = (input) => {
+  const type = String(input.type).toLowerCase();
+  const quantity = toNumber(input.quantity);
+  const price = toNumber(input.price);
+  const fee = input.fee === '' || input.fee === undefined ? 0 : toNumber(input.fee);
+  const date = String(input.date || '').slice(0, 10);
+
+  if (!input.coinId) throw new Error(t('portfolio.error.coinRequired'));
+  if (type !== 'buy' && type !== 'sell') throw new Error(t('portfolio.error.unknownType', { type: input.type }));
+  if (!(quantity > 0)) throw new Error(t('portfolio.error.quantity'));
+  if (isNaN(price) || price < 0) throw new Error(t('portfolio.error.price'));
+  if (isNaN(fee) || fee < 0) throw new Error(t('portfolio.error.fee'));
+  if (!isCalendarDate(date)) throw new Error(t('portfolio.error.date', { date: input.date }));
+
+  return {
+    id: createTransactionId(),
+    coinId: String(input.coinId),
+    symbol: input.symbol || '',
+    name: input.name || '',
+    type,
+    quantity,
+    price,
+    fee,
+    date
+  };
+};
+
+/**
+ * Replays transactions in date order to compute positions using the average
+ * cost method: buys add to the cost basis (fees included), sells realize the
+ * difference between proceeds (net of fees) and the average cost of the units sold.
+ * @param {Array<Object>} transactions - The recorded transactions.
+ * @param {Array<Object>} coins - Live coins, used for current prices.
+ * @returns {{holdings: Array<Object>, totals: Object}} Open positions and portfolio totals.
+ * @throws {Error} If a sell exceeds the quantity held at that date.
+ */
+export const computePortfolio = (transactions, coins) => {
+  const positions = new Map();
+
+  sortTransactions(transactions).forEach(tx => {
+    const position = positions.get(tx.coinId) || {
+      coinId: tx.coinId,
+      symbol: tx.symbol,
+      name: tx.name,
+      quantity: 0,
+      costBasis: 0,
+      realizedPnl: 0
+    };
+
+    if (tx.type === 'buy') {
+      position.quantity += tx.quantity;
+      position.costBasis += tx.quantity * tx.price + tx.fee;
+    } else {
+      if (tx.quantity > position.quantity + QUANTITY_EPSILON) {
+        throw new Error(t('portfolio.error.oversold', { quantity: tx.quantity, coin: tx.symbol || tx.coinId, date: tx.date, held: position.quantity }));
+      }
+      const averageCost = position.quantity > 0 ? position.costBasis / position.quantity : 0;
+      position.realizedPnl += tx.quantity * tx.price - tx.fee - averageCost * tx.quantity;
+      position.costBasis -= averageCost * tx.quantity;
+      position.quantity -= tx.quantity;
+      if (position.quantity < QUANTITY_EPSILON) {
+        position.quantity = 0;
+        position.costBasis = 0;
+      }
+    }
+    positions.set(tx.coinId, position);
+  });
+
+  const pricesById = new Map(coins.filter(coin => coin.price !== null).map(coin => [coin.id, coin.price]));
+  const totals = { value: 0, costBasis: 0, realizedPnl: 0, unrealizedPnl: 0, unpricedCount: 0 };
+
+  const holdings = [...positions.values()].map(position => {
+    const currentPrice = pricesById.has(position.coinId) ? pricesById.get(position.coinId) : null;
+    const value = currentPrice === null ? null : position.quantity * currentPrice;
+    const unrealizedPnl = value === null ? null : value - position.costBasis;
+
+    totals.realizedPnl += position.realizedPnl;
+    if (position.quantity > 0) {
+      totals.costBasis += position.costBasis;
+      if (value === null) {
+        totals.unpricedCount++;
+      } else {
+        totals.value += value;
+        totals.unrealizedPnl += unrealizedPnl;
+      }
+    }
+
+    return {
+      ...position,
+      averageCost: position.quantity > 0 ? position.costBasis / position.quantity : 0,
+      currentPrice,
+      value,
+      unrealizedPnl,
+      unrealizedPnlPercent: unrealizedPnl !== null && position.costBasis > 0
+        ? (unrealizedPnl / position.costBasis) * 100
+        : null
+    };
+  });
+
+  return {
+    holdings: holdings.filter(holding => holding.quantity > 0),
+    totals
+  };
+};
+
+/** Downloads the transactions as a CSV file. */
+export const exportTransactionsCsv = (transactions) => {
+  const rows = sortTransactions(transactions).map(tx => [
+    tx.date, tx.type, tx.coinId, tx.symbol, tx.name, tx.quantity, tx.price, tx.fee
+  ]);
+  downloadFile(`cryptopulse-transactions-${fileTimestamp()}.csv`, toCsv([CSV_COLUMNS, ...rows]), 'text/csv');
+};
+
+/**
+ * Parses transactions from CSV. The header row is required; `coin_id` may be
+ * left blank when `symbol` matches a loaded coin.
+ * @param {string} text - The CSV text.
+ * @param {Array<Object>} coins - Known coins, used to resolve symbols to ids.
+ * @returns {Array<Object>} The parsed transactions.
+ * @throws {Error} Naming the first line that could not be parsed.
+ */
+export const parseTransactionsCsv = (text, coins) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error(t('portfolio.error.emptyFile'));
+
+  const columnIndex = Object.fromEntries(header.map((name, index) => [name.trim().toLowerCase(), index]));
+  ['date', 'type', 'quantity', 'price_usd'].forEach(column => {
+    if (!(column in columnIndex)) throw new Error(t('portfolio.error.missingColumn', { column }));
+  });
+  if (!('coin_id' in columnIndex) && !('symbol' in columnIndex)) {
+    throw new Error(t('portfolio.error.coinColumn'));
+  }
+
+  const coinsBySymbol = indexCoinsBySymbol(coins);
+  const cell = (row, column) => (column in columnIndex ? (row[columnIndex[column]] || '').trim() : '');
+
+  return rows.map(row => {
+    const symbol = cell(row, 'symbol').toUpperCase();
+    const knownCoin = coinsBySymbol.get(symbol);
+    try {
+      return createTransaction({
+        coinId: cell(row, 'coin_id') || (knownCoin && knownCoin.id),
+        symbol: symbol || (knownCoin && knownCoin.symbol),
+        name: cell(row, 'name') || (knownCoin && knownCoin.name),
+        type: cell(row, 'type'),
+        quantity: cell(row, 'quantity'),
+        price: cell(row, 'price_usd'),
+        fee: cell(row, 'fee_usd'),
+        date: cell(row, 'date')
+      });
+    } catch (error) {
+      throw new Error(t('portfolio.error.line', { line: row.line, error: error.message }));
+    }
+  });
+};
@@ -0,0 +1,93 @@
+import { WATCHLIST_TARGET } from './alerts.js';
+import { indexCoinsBySymbol } from './coin-list.js';
+
+// --- Provider Switching ---
+// Starred coins, transactions and alerts are keyed by provider-specific coin ids.
+// On a switch, the symbol behind each saved id is remembered and the id is moved
+// to the new provider's coin with that symbol once it loads; ids whose coin has
+// not loaded yet stay pending, across reloads, until it does.
+const PENDING_STORAGE_KEY = 'pendingCoinIdMigration';
+
+/**
+ * Loads the saved coin ids still waiting for a match.
+ * @returns {Object<string, string>} Upper-case symbols keyed by old coin id.
+ */
+export const loadPendingCoinIds = () => {
+  try {
+    const pending = JSON.parse(localStorage.getItem(PENDING_STORAGE_KEY) || '{}');
+    return pending && typeof pending === 'object' && !Array.isArray(pending) ? pending : {};
+  } catch (error) {
+    console.warn('Ignoring corrupt coin id migration in localStorage.', error);
+    return {};
+  }
+};
+
+/** Persists the pending coin ids, clearing the entry once none are left. */
+export const savePendingCoinIds = (pending) => {
+  if (Object.keys(pending).length === 0) localStorage.removeItem(PENDING_STORAGE_KEY);
+  else localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(pending));
+};
+
+/**
+ * Collects the symbol behind every saved coin id. Transactions and rules carry
+ * their own symbol; starred coins are looked up among the loaded coins.
+ * @param {{watchlist: Set<string>, transactions: Array<Object>, alertRules: Array<Object>}} saved - The saved items.
+ * @param {Array<Object>} coins - The outgoing provider's loaded coins.
+ * @returns {Object<string, string>} Upper-case symbols keyed by coin id.
+ */
+export const collectSavedSymbols = ({ watchlist, transactions, alertRules }, coins) => {
+  const coinsById = new Map(coins.map(coin => [coin.id, coin]));
+  const symbols = {};
+  const remember = (id, symbol) => {
+    const knownSymbol = symbol || coinsById.get(id)?.symbol;
+    if (knownSymbol) symbols[id] = knownSymbol.toUpperCase();
+  };
+
+  watchlist.forEach(id => remember(id));
+  transactions.forEach(tx => remember(tx.coinId, tx.symbol));
+  alertRules.forEach(rule => {
+    if (rule.coinId !== WATCHLIST_TARGET) remember(rule.coinId, rule.symbol);
+    Object.keys(rule.lastFiredByCoin).forEach(id => remember(id)); // Watchlist rules keep per-coin state
+  });
+  return symbols;
+};
+
+/** Renames the keys of a per-coin map, e.g. a rule's trigger state. */
+const remapKeys = (byCoinId, mapId) => Object.fromEntries(
+  Object.entries(byCoinId).map(([id, value]) => [mapId(id), value])
+);
+
+/**
+ * Moves pending ids onto the loaded coins with the same symbol, the highest-ranked
+ * one when several share it. The saved items are updated in place.
+ * @param {{watchlist: Set<string>, transactions: Array<Object>, alertRules: Array<Object>}} saved - The saved items.
+ * @param {Object<string, string>} pending - Upper-case symbols keyed by old coin id.
+ * @param {Array<Object>} coins - The new provider's loaded coins.
+ * @returns {{pending: Object<string, string>, changed: boolean}} The ids still without a
+ *   match, and whether any saved item was updated.
+ */
+export const migrateSavedCoinIds = (saved, pending, coins) => {
+  const coinsBySymbol = indexCoinsBySymbol(coins);
+  const idMap = new Map();
+  const remaining = {};
+  Object.entries(pending).forEach(([id, symbol]) => {
+    const coin = coinsBySymbol.get(symbol);
+    if (coin) idMap.set(id, coin.id);
+    else remaining[id] = symbol;
+  });
+  if (idMap.size === 0) return { pending: remaining, changed: false };
+
+  const mapId = (id) => idMap.get(id) ?? id;
+  const starredIds = [...saved.watchlist];
+  saved.watchlist.clear();
+  starredIds.forEach(id => saved.watchlist.add(mapId(id)));
+  saved.transactions.forEach(tx => {
+    tx.coinId = mapId(tx.coinId);
+  });
+  saved.alertRules.forEach(rule => {
+    rule.coinId = mapId(rule.coinId);
+    rule.triggered = remapKeys(rule.triggered, mapId);
+    rule.lastFiredByCoin = remapKeys(rule.lastFiredByCoin, mapId);
+  });
+  return { pending: remaining, changed: true };
+};
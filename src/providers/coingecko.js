@@ -0,0 +1,88 @@
+import { toNumber } from './normalize.js';
+
+// --- CoinGecko Provider ---
+const MARKETS_URL = 'https://api.coingecko.com/api/v3/coins/markets'
+  + '?vs_currency=usd&order=market_cap_desc&price_change_percentage=1h,24h,7d';
+const GLOBAL_URL = 'https://api.coingecko.com/api/v3/global';
+const COIN_URL = 'https://api.coingecko.com/api/v3/coins';
+const PAGE_SIZE = 250; // The API's maximum `per_page`
+
+// Deeper pages do not include Bitcoin, so remember its price from the first page
+let lastBitcoinPrice = null;
+
+/** Maps a CoinGecko market entry onto the internal coin model. */
+export const normalizeCoingeckoMarket = (market) => ({
+  id: market.id,
+  symbol: String(market.symbol).toUpperCase(),
+  name: market.name,
+  rank: toNumber(market.market_cap_rank),
+  price: toNumber(market.current_price),
+  priceBtc: null, // Filled in from the BTC entry by fetchTickers
+  change1h: toNumber(market.price_change_percentage_1h_in_currency),
+  change24h: toNumber(market.price_change_percentage_24h_in_currency ?? market.price_change_percentage_24h),
+  change7d: toNumber(market.price_change_percentage_7d_in_currency),
+  marketCap: toNumber(market.market_cap),
+  volume24h: toNumber(market.total_volume),
+  circulatingSupply: toNumber(market.circulating_supply),
+  totalSupply: toNumber(market.total_supply),
+  maxSupply: toNumber(market.max_supply)
+});
+
+/** Maps CoinGecko global stats onto the internal model. */
+export const normalizeCoingeckoGlobal = (stats = {}) => ({
+  coinsCount: toNumber(stats.active_cryptocurrencies),
+  activeMarkets: toNumber(stats.markets),
+  totalMarketCap: toNumber(stats.total_market_cap && stats.total_market_cap.usd),
+  totalVolume: toNumber(stats.total_volume && stats.total_volume.usd),
+  btcDominance: toNumber(stats.market_cap_percentage && stats.market_cap_percentage.btc),
+  ethDominance: toNumber(stats.market_cap_percentage && stats.market_cap_percentage.eth),
+  marketCapChange24h: toNumber(stats.market_cap_change_percentage_24h_usd)
+});
+
+/**
+ * Maps a CoinGecko exchange ticker onto the internal market model. (CoinGecko
+ * calls exchange pairs "tickers"; its "markets" are the coin list itself.)
+ */
+export const normalizeCoingeckoTicker = (ticker) => ({
+  exchange: ticker.market ? ticker.market.name : 'Unknown',
+  pair: `${ticker.base}/${ticker.target}`,
+  price: toNumber(ticker.converted_last && ticker.converted_last.usd),
+  volume24h: toNumber(ticker.converted_volume && ticker.converted_volume.usd),
+  updatedAt: ticker.last_traded_at ? Date.parse(ticker.last_traded_at) || null : null
+});
+
+/** @type {import('./index.js').MarketDataProvider} */
+export const coingeckoProvider = {
+  id: 'coingecko',
+  labelKey: 'provider.coingecko',
+  attributionKey: 'provider.coingecko.attribution',
+  pageSize: PAGE_SIZE,
+  streamsLivePrices: true,
+
+  fetchTickers: async (fetchJson, { start = 0 } = {}) => {
+    // CoinGecko pages are 1-based page numbers rather than offsets
+    const page = Math.floor(start / PAGE_SIZE) + 1;
+    const markets = await fetchJson(`${MARKETS_URL}&per_page=${PAGE_SIZE}&page=${page}`);
+    const coins = (markets || []).map(normalizeCoingeckoMarket);
+
+    // CoinGecko has no BTC-denominated price on this endpoint, so derive it
+    const bitcoin = coins.find(coin => coin.id === 'bitcoin');
+    if (bitcoin && bitcoin.price) lastBitcoinPrice = bitcoin.price;
+    if (lastBitcoinPrice) {
+      coins.forEach(coin => {
+        coin.priceBtc = coin.price === null ? null : coin.price / lastBitcoinPrice;
+      });
+    }
+    return coins;
+  },
+
+  fetchGlobal: async (fetchJson) => {
+    const response = await fetchJson(GLOBAL_URL);
+    return normalizeCoingeckoGlobal(response && response.data);
+  },
+
+  fetchMarkets: async (fetchJson, coinId) => {
+    const response = await fetchJson(`${COIN_URL}/${encodeURIComponent(coinId)}/tickers`);
+    return ((response && response.tickers) || []).map(normalizeCoingeckoTicker);
+  }
+};
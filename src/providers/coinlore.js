@@ -0,0 +1,71 @@
+import { toNumber } from './normalize.js';
+
+// --- CoinLore Provider ---
+const TICKERS_URL = 'https://api.coinlore.net/api/tickers/';
+const PAGE_SIZE = 100; // The API's maximum `limit`
+const GLOBAL_URL = 'https://api.coinlore.net/api/global/';
+const MARKETS_URL = 'https://api.coinlore.net/api/coin/markets/';
+
+/** Maps a CoinLore ticker onto the internal coin model. */
+export const normalizeCoinloreTicker = (ticker) => ({
+  id: String(ticker.id),
+  symbol: ticker.symbol,
+  name: ticker.name,
+  rank: toNumber(ticker.rank),
+  price: toNumber(ticker.price_usd),
+  priceBtc: toNumber(ticker.price_btc),
+  change1h: toNumber(ticker.percent_change_1h),
+  change24h: toNumber(ticker.percent_change_24h),
+  change7d: toNumber(ticker.percent_change_7d),
+  marketCap: toNumber(ticker.market_cap_usd),
+  volume24h: toNumber(ticker.volume24),
+  circulatingSupply: toNumber(ticker.csupply),
+  totalSupply: toNumber(ticker.tsupply),
+  maxSupply: toNumber(ticker.msupply)
+});
+
+/** Maps CoinLore global stats onto the internal model. */
+export const normalizeCoinloreGlobal = (stats = {}) => ({
+  coinsCount: toNumber(stats.coins_count),
+  activeMarkets: toNumber(stats.active_markets),
+  totalMarketCap: toNumber(stats.total_mcap),
+  totalVolume: toNumber(stats.total_volume),
+  btcDominance: toNumber(stats.btc_d),
+  ethDominance: toNumber(stats.eth_d),
+  marketCapChange24h: toNumber(stats.mcap_change)
+});
+
+/** Maps a CoinLore coin market onto the internal market model. */
+export const normalizeCoinloreMarket = (market) => ({
+  exchange: market.name,
+  pair: `${market.base}/${market.quote}`,
+  price: toNumber(market.price_usd),
+  volume24h: toNumber(market.volume_usd),
+  updatedAt: market.time ? market.time * 1000 : null
+});
+
+/** @type {import('./index.js').MarketDataProvider} */
+export const coinloreProvider = {
+  id: 'coinlore',
+  labelKey: 'provider.coinlore',
+  attributionKey: 'provider.coinlore.attribution',
+  pageSize: PAGE_SIZE,
+  streamsLivePrices: true,
+
+  fetchTickers: async (fetchJson, { start = 0 } = {}) => {
+    const response = await fetchJson(`${TICKERS_URL}?start=${start}&limit=${PAGE_SIZE}`);
+    return (response.data || []).map(normalizeCoinloreTicker);
+  },
+
+  fetchGlobal: async (fetchJson) => {
+    // The global endpoint returns a bare one-element array
+    const response = await fetchJson(GLOBAL_URL);
+    const stats = Array.isArray(response) ? response[0] : (response.data || [])[0];
+    return normalizeCoinloreGlobal(stats);
+  },
+
+  fetchMarkets: async (fetchJson, coinId) => {
+    const response = await fetchJson(`${MARKETS_URL}?id=${encodeURIComponent(coinId)}`);
+    return (Array.isArray(response) ? response : []).map(normalizeCoinloreMarket);
+  }
+};
@@ -0,0 +1,36 @@
+// --- Offline Market Fixture ---
+// A snapshot of the top of the market in the internal coin model, used by the
+// mock provider. Ids match CoinLore so watchlists and portfolios carry over.
+
+export const MOCK_COINS = [
+  { id: '90', symbol: 'BTC', name: 'Bitcoin', price: 67250.12, change1h: 0.21, change24h: 1.84, change7d: 4.12, circulatingSupply: 19700000, totalSupply: 19700000, maxSupply: 21000000, volume24h: 28500000000 },
+  { id: '80', symbol: 'ETH', name: 'Ethereum', price: 3480.55, change1h: -0.12, change24h: 2.35, change7d: 6.8, circulatingSupply: 120100000, totalSupply: 120100000, maxSupply: null, volume24h: 15200000000 },
+  { id: '518', symbol: 'USDT', name: 'Tether', price: 1.0002, change1h: 0.01, change24h: 0.02, change7d: -0.01, circulatingSupply: 110500000000, totalSupply: 112000000000, maxSupply: null, volume24h: 52000000000 },
+  { id: '2710', symbol: 'BNB', name: 'Binance Coin', price: 592.4, change1h: 0.05, change24h: -0.84, change7d: 1.2, circulatingSupply: 147600000, totalSupply: 147600000, maxSupply: 200000000, volume24h: 1800000000 },
+  { id: '48543', symbol: 'SOL', name: 'Solana', price: 162.77, change1h: 0.64, change24h: 5.91, change7d: 12.45, circulatingSupply: 462000000, totalSupply: 579000000, maxSupply: null, volume24h: 3100000000 },
+  { id: '33285', symbol: 'USDC', name: 'USD Coin', price: 0.9998, change1h: 0, change24h: -0.01, change7d: 0.01, circulatingSupply: 32800000000, totalSupply: 32800000000, maxSupply: null, volume24h: 6400000000 },
+  { id: '58', symbol: 'XRP', name: 'XRP', price: 0.5231, change1h: -0.33, change24h: -2.15, change7d: -4.6, circulatingSupply: 55600000000, totalSupply: 99990000000, maxSupply: 100000000000, volume24h: 1250000000 },
+  { id: '2', symbol: 'DOGE', name: 'Dogecoin', price: 0.1584, change1h: 1.12, change24h: 7.42, change7d: 15.3, circulatingSupply: 144600000000, totalSupply: 144600000000, maxSupply: null, volume24h: 1900000000 },
+  { id: '257', symbol: 'ADA', name: 'Cardano', price: 0.4512, change1h: -0.08, change24h: -1.05, change7d: -3.2, circulatingSupply: 35600000000, totalSupply: 45000000000, maxSupply: 45000000000, volume24h: 410000000 },
+  { id: '54683', symbol: 'TON', name: 'Toncoin', price: 6.84, change1h: 0.15, change24h: 3.1, change7d: 9.7, circulatingSupply: 3470000000, totalSupply: 5110000000, maxSupply: null, volume24h: 290000000 },
+  { id: '2713', symbol: 'TRX', name: 'TRON', price: 0.1221, change1h: 0.02, change24h: 0.45, change7d: 2.1, circulatingSupply: 87400000000, totalSupply: 87400000000, maxSupply: null, volume24h: 330000000 },
+  { id: '44883', symbol: 'AVAX', name: 'Avalanche', price: 34.92, change1h: -0.41, change24h: -3.77, change7d: -8.9, circulatingSupply: 393000000, totalSupply: 446000000, maxSupply: 720000000, volume24h: 420000000 },
+  { id: '45088', symbol: 'SHIB', name: 'Shiba Inu', price: 0.00002381, change1h: 0.88, change24h: 4.52, change7d: 11.02, circulatingSupply: 589300000000000, totalSupply: 589500000000000, maxSupply: null, volume24h: 610000000 },
+  { id: '45219', symbol: 'DOT', name: 'Polkadot', price: 6.91, change1h: -0.22, change24h: -0.96, change7d: 0.4, circulatingSupply: 1440000000, totalSupply: 1440000000, maxSupply: null, volume24h: 180000000 },
+  { id: '2751', symbol: 'LINK', name: 'Chainlink', price: 15.48, change1h: 0.31, change24h: 2.76, change7d: 5.5, circulatingSupply: 587000000, totalSupply: 1000000000, maxSupply: 1000000000, volume24h: 390000000 },
+  { id: '2321', symbol: 'BCH', name: 'Bitcoin Cash', price: 468.3, change1h: 0.09, change24h: 1.12, change7d: 3.3, circulatingSupply: 19700000, totalSupply: 19700000, maxSupply: 21000000, volume24h: 310000000 },
+  { id: '1', symbol: 'LTC', name: 'Litecoin', price: 82.15, change1h: -0.05, change24h: -0.33, change7d: 1.8, circulatingSupply: 74700000, totalSupply: 74700000, maxSupply: 84000000, volume24h: 380000000 },
+  { id: '33536', symbol: 'MATIC', name: 'Polygon', price: 0.7125, change1h: -0.61, change24h: -5.48, change7d: -10.2, circulatingSupply: 9900000000, totalSupply: 10000000000, maxSupply: 10000000000, volume24h: 260000000 },
+  { id: '47305', symbol: 'UNI', name: 'Uniswap', price: 9.87, change1h: 0.44, change24h: 8.93, change7d: 18.6, circulatingSupply: 600000000, totalSupply: 1000000000, maxSupply: 1000000000, volume24h: 240000000 },
+  { id: '28', symbol: 'XMR', name: 'Monero', price: 128.6, change1h: 0.03, change24h: 0.71, change7d: -1.4, circulatingSupply: 18400000, totalSupply: 18400000, maxSupply: null, volume24h: 75000000 }
+];
+
+export const MOCK_GLOBAL = {
+  coinsCount: 12850,
+  activeMarkets: 38200,
+  totalMarketCap: 2480000000000,
+  totalVolume: 96000000000,
+  btcDominance: 53.4,
+  ethDominance: 16.9,
+  marketCapChange24h: 1.62
+};
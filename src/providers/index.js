@@ -0,0 +1,79 @@
+import { coinloreProvider } from './coinlore.js';
+import { coingeckoProvider } from './coingecko.js';
+import { mockProvider } from './mock.js';
+
+// --- Market Data Providers ---
+
+/**
+ * The internal coin model every provider normalizes its tickers into.
+ * Numeric fields are numbers, or null when the provider does not supply them.
+ * @typedef {Object} Coin
+ * @property {string} id - Provider-specific coin id.
+ * @property {string} symbol - Ticker symbol, e.g. "BTC".
+ * @property {string} name - Display name, e.g. "Bitcoin".
+ * @property {number} rank - Market cap rank.
+ * @property {number} price - Price in USD.
+ * @property {?number} priceBtc - Price in BTC.
+ * @property {?number} change1h - Percent change over 1 hour.
+ * @property {?number} change24h - Percent change over 24 hours.
+ * @property {?number} change7d - Percent change over 7 days.
+ * @property {?number} marketCap - Market cap in USD.
+ * @property {?number} volume24h - 24h trading volume in USD.
+ * @property {?number} circulatingSupply - Circulating supply.
+ * @property {?number} totalSupply - Total supply.
+ * @property {?number} maxSupply - Maximum supply.
+ */
+
+/**
+ * The internal model for market-wide statistics.
+ * @typedef {Object} GlobalStats
+ * @property {?number} coinsCount - Number of tracked coins.
+ * @property {?number} activeMarkets - Number of active markets.
+ * @property {?number} totalMarketCap - Total market cap in USD.
+ * @property {?number} totalVolume - Total 24h volume in USD.
+ * @property {?number} btcDominance - Bitcoin share of total market cap, in percent.
+ * @property {?number} ethDominance - Ethereum share of total market cap, in percent.
+ * @property {?number} marketCapChange24h - Percent change of total market cap over 24h.
+ */
+
+/**
+ * One exchange market (trading pair) for a coin.
+ * @typedef {Object} Market
+ * @property {string} exchange - Exchange name.
+ * @property {string} pair - Trading pair, e.g. "BTC/USDT".
+ * @property {?number} price - Last price in USD.
+ * @property {?number} volume24h - 24h volume in USD.
+ * @property {?number} updatedAt - When the market last traded (ms since epoch).
+ */
+
+/**
+ * A source of market data. `fetchJson` is the app's retrying HTTP helper, passed
+ * in so providers stay free of transport concerns. Tickers are fetched in
+ * rank-ordered pages; a page shorter than `pageSize` means the end was reached.
+ * @typedef {Object} MarketDataProvider
+ * @property {string} id - Stable id, persisted in settings.
+ * @property {string} labelKey - Message key of the display name.
+ * @property {string} attributionKey - Message key of the credit line shown in the footer.
+ * @property {number} pageSize - The largest page of tickers the API serves per request.
+ * @property {boolean} streamsLivePrices - Whether live exchange prices may be streamed over its coins.
+ * @property {function(function(string): Promise<*>, {start: number}=): Promise<Array<Coin>>} fetchTickers
+ * @property {function(function(string): Promise<*>): Promise<GlobalStats>} fetchGlobal
+ * @property {function(function(string): Promise<*>, string): Promise<Array<Market>>} fetchMarkets -
+ *   Exchange markets for one coin id.
+ */
+
+/** All selectable providers, keyed by id. */
+export const PROVIDERS = {
+  [coinloreProvider.id]: coinloreProvider,
+  [coingeckoProvider.id]: coingeckoProvider,
+  [mockProvider.id]: mockProvider
+};
+
+export const DEFAULT_PROVIDER_ID = coinloreProvider.id;
+
+/**
+ * Looks up a provider, falling back to the default for unknown ids.
+ * @param {string} id - The provider id.
+ * @returns {MarketDataProvider} The provider.
+ */
+export const getProvider = (id) => PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER_ID];
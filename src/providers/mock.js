@@ -0,0 +1,72 @@
+import { MOCK_COINS, MOCK_GLOBAL } from './fixtures/mock-market.js';
+
+// --- Mock Provider ---
+// Serves the offline fixture with a small random walk on every fetch, so price
+// flashes, history and alerts can be exercised without touching the network.
+const MAX_TICK_MOVE = 0.005; // ±0.5% per refresh
+const PAGE_SIZE = 10; // Small pages so paging can be exercised against the short fixture
+const MOCK_EXCHANGES = [
+  { name: 'Binance', quote: 'USDT', volumeShare: 0.35 },
+  { name: 'Coinbase', quote: 'USD', volumeShare: 0.2 },
+  { name: 'OKX', quote: 'USDT', volumeShare: 0.15 },
+  { name: 'Kraken', quote: 'EUR', volumeShare: 0.08 },
+  { name: 'Bybit', quote: 'USDC', volumeShare: 0.07 }
+];
+
+let currentPrices = null;
+
+/** Moves every price by a small random step and returns the updated map. */
+const tickPrices = () => {
+  currentPrices = currentPrices || new Map(MOCK_COINS.map(coin => [coin.id, coin.price]));
+  currentPrices.forEach((price, id) => {
+    currentPrices.set(id, price * (1 + (Math.random() * 2 - 1) * MAX_TICK_MOVE));
+  });
+  return currentPrices;
+};
+
+/** @type {import('./index.js').MarketDataProvider} */
+export const mockProvider = {
+  id: 'mock',
+  labelKey: 'provider.mock',
+  attributionKey: 'provider.mock.attribution',
+  pageSize: PAGE_SIZE,
+  streamsLivePrices: false,
+
+  fetchTickers: async (fetchJson, { start = 0 } = {}) => {
+    // Only the first page moves prices, matching one tick per refresh cycle
+    const prices = start === 0 || !currentPrices ? tickPrices() : currentPrices;
+    const btcPrice = prices.get('90');
+    return MOCK_COINS
+      .map(coin => {
+        const price = prices.get(coin.id);
+        // Keep the 24h change consistent with the drift away from the fixture price
+        const drift = (price / coin.price - 1) * 100;
+        return {
+          ...coin,
+          price,
+          priceBtc: price / btcPrice,
+          change24h: coin.change24h + drift,
+          marketCap: price * coin.circulatingSupply
+        };
+      })
+      .sort((a, b) => b.marketCap - a.marketCap)
+      .map((coin, index) => ({ ...coin, rank: index + 1 }))
+      .slice(start, start + PAGE_SIZE);
+  },
+
+  fetchGlobal: async () => ({ ...MOCK_GLOBAL }),
+
+  fetchMarkets: async (fetchJson, coinId) => {
+    const coin = MOCK_COINS.find(c => c.id === coinId);
+    if (!coin) return [];
+    const price = (currentPrices && currentPrices.get(coinId)) || coin.price;
+    return MOCK_EXCHANGES.map((exchange, index) => ({
+      exchange: exchange.name,
+      pair: `${coin.symbol}/${exchange.quote}`,
+      // Small, stable spreads between exchanges
+      price: price * (1 + (index - 2) * 0.0005),
+      volume24h: coin.volume24h * exchange.volumeShare,
+      updatedAt: Date.now()
+    }));
+  }
+};
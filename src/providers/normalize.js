@@ -0,0 +1,8 @@
+// --- Normalization Helpers ---
+
+/** Converts an API value to a finite number, or null when missing or invalid. */
+export const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(num) ? num : null;
+};
@@ -0,0 +1,56 @@
+// --- URL Routing ---
+// The shareable parts of the UI state live in the query string so any view can
+// be linked to, and Back/Forward step through them via the History API.
+
+const VIEW_MODES = ['table', 'cards'];
+const ROUTE_PARAMS = ['q', 'page', 'view', 'coin', 'compare'];
+
+/**
+ * Reads the routed state from a URL.
+ * @param {string} [href] - The URL to read; defaults to the current location.
+ * @returns {{query: string, page: number, view: ?string, coinId: ?string, compare: Array<string>}} The route.
+ */
+export const parseRoute = (href = window.location.href) => {
+  const params = new URL(href).searchParams;
+  const page = parseInt(params.get('page'), 10);
+  const view = params.get('view');
+  return {
+    query: params.get('q') || '',
+    page: page > 0 ? page : 1,
+    view: VIEW_MODES.includes(view) ? view : null,
+    coinId: params.get('coin') || null,
+    compare: (params.get('compare') || '').split(',').filter(Boolean)
+  };
+};
+
+/**
+ * Builds the URL for a route, leaving unrelated query parameters and the hash alone.
+ * Defaults (first page, no query, nothing open) are omitted to keep links short.
+ */
+export const buildRouteUrl = (route, href = window.location.href) => {
+  const url = new URL(href);
+  ROUTE_PARAMS.forEach(param => url.searchParams.delete(param));
+  if (route.query) url.searchParams.set('q', route.query);
+  if (route.page > 1) url.searchParams.set('page', route.page);
+  if (route.view) url.searchParams.set('view', route.view);
+  if (route.coinId) url.searchParams.set('coin', route.coinId);
+  if (route.compare && route.compare.length) url.searchParams.set('compare', route.compare.join(','));
+  return url;
+};
+
+/**
+ * Records a route in the browser history. Does nothing if the URL is unchanged,
+ * so repeated syncs never add duplicate Back entries.
+ * @param {Object} route - The route to record.
+ * @param {Object} [options] - { replace: true } to update the current entry instead of adding one.
+ */
+export const navigateTo = (route, { replace = false } = {}) => {
+  const url = buildRouteUrl(route);
+  if (url.href === window.location.href) return;
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+};
+
+/** Calls back with the new route whenever the user navigates with Back/Forward. */
+export const onRouteChange = (callback) => {
+  window.addEventListener('popstate', () => callback(parseRoute()));
+};
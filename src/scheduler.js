@@ -0,0 +1,145 @@
+// --- Refresh Scheduler ---
+// Runs a refresh task on a user-chosen interval. Runs never overlap, the timer
+// is suspended while the page is hidden, and a task that fails with a
+// `retryAfterMs` (a rate limit) pushes the next run back instead of retrying.
+
+export const REFRESH_INTERVALS = [
+  { value: 0, labelKey: 'refresh.interval.paused' },
+  { value: 30000, labelKey: 'refresh.interval.30s' },
+  { value: 60000, labelKey: 'refresh.interval.1m' },
+  { value: 120000, labelKey: 'refresh.interval.2m' },
+  { value: 300000, labelKey: 'refresh.interval.5m' },
+  { value: 900000, labelKey: 'refresh.interval.15m' }
+];
+export const DEFAULT_REFRESH_INTERVAL = 60000;
+
+const MAX_BACKOFF_MS = 15 * 60000; // Never wait more than 15 minutes after a rate limit
+
+/** Loads the saved refresh interval in milliseconds (0 means paused). */
+export const loadRefreshInterval = () => {
+  const saved = localStorage.getItem('refreshInterval');
+  const interval = saved === null ? NaN : Number(saved);
+  return REFRESH_INTERVALS.some(option => option.value === interval) ? interval : DEFAULT_REFRESH_INTERVAL;
+};
+
+/** Persists the refresh interval. */
+export const saveRefreshInterval = (interval) => {
+  localStorage.setItem('refreshInterval', String(interval));
+};
+
+/**
+ * Creates a scheduler for a refresh task.
+ * @param {Object} options
+ * @param {function(): Promise<void>} options.task - The refresh; rejects with `retryAfterMs` set when rate limited.
+ * @param {number} options.interval - Milliseconds between runs; 0 pauses automatic runs.
+ * @param {function(): void} [options.onChange] - Called whenever the schedule or run state changes.
+ * @returns {Object} The scheduler controls.
+ */
+export const createRefreshScheduler = ({ task, interval, onChange = () => {} }) => {
+  let timeoutId = null;
+  let isRunning = false;
+  let isQueued = false; // A manual refresh asked for while a run was in flight
+  let nextRunAt = null;
+  let lastRunAt = null;
+  let rateLimitedUntil = null;
+  let rateLimitCount = 0;
+
+  const clearTimer = () => {
+    clearTimeout(timeoutId);
+    timeoutId = null;
+    nextRunAt = null;
+  };
+
+  /** Plans the next automatic run, if the scheduler is active and the page visible. */
+  const scheduleNext = () => {
+    clearTimer();
+    if (document.hidden) return;
+
+    const now = Date.now();
+    if (rateLimitedUntil && rateLimitedUntil > now) {
+      nextRunAt = rateLimitedUntil; // Retry once the limit lifts, even when paused
+    } else if (interval > 0) {
+      nextRunAt = (lastRunAt || now) + interval;
+    } else {
+      onChange();
+      return;
+    }
+    timeoutId = setTimeout(run, Math.max(0, nextRunAt - now));
+    onChange();
+  };
+
+  /** Runs the task unless a run is already in flight. */
+  const run = async () => {
+    if (isRunning) {
+      isQueued = true;
+      return;
+    }
+    clearTimer();
+    isRunning = true;
+    onChange();
+
+    try {
+      await task();
+      rateLimitCount = 0;
+      rateLimitedUntil = null;
+    } catch (error) {
+      if (error && error.retryAfterMs !== undefined) {
+        // Honor the server's Retry-After, otherwise back off exponentially
+        rateLimitCount++;
+        const backoff = Math.min(Math.max(interval, 30000) * Math.pow(2, rateLimitCount - 1), MAX_BACKOFF_MS);
+        rateLimitedUntil = Date.now() + (error.retryAfterMs || backoff);
+      } else {
+        console.error('Refresh failed:', error);
+      }
+    } finally {
+      isRunning = false;
+      lastRunAt = Date.now();
+    }
+
+    if (isQueued) {
+      isQueued = false;
+      run();
+    } else {
+      scheduleNext();
+    }
+  };
+
+  /** Resumes on return to the tab, refreshing straight away if a run is overdue. */
+  const handleVisibilityChange = () => {
+    if (document.hidden) {
+      clearTimer();
+      onChange();
+      return;
+    }
+    if (!isRunning) scheduleNext();
+  };
+
+  return {
+    /** Runs the first refresh and starts watching page visibility. */
+    start: () => {
+      document.addEventListener('visibilitychange', handleVisibilityChange);
+      run();
+    },
+
+    /** Refreshes immediately, or right after the run in flight. */
+    refreshNow: () => {
+      run();
+    },
+
+    /** Changes the interval (0 pauses) and reschedules from the last run. */
+    setInterval: (newInterval) => {
+      interval = newInterval;
+      if (!isRunning) scheduleNext();
+    },
+
+    /** Returns a snapshot of the schedule for display. */
+    getState: () => ({
+      interval,
+      isRunning,
+      isSuspended: document.hidden,
+      nextRunAt,
+      lastRunAt,
+      rateLimitedUntil: rateLimitedUntil && rateLimitedUntil > Date.now() ? rateLimitedUntil : null
+    })
+  };
+};
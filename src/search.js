@@ -0,0 +1,69 @@
+// --- Coin Search ---
+// Lower-cased search keys are cached per coin object, so typing over thousands of
+// coins does not re-normalize every name on each keystroke. Fresh coin objects
+// from a refresh simply miss the cache and are indexed on first use.
+const searchKeys = new WeakMap();
+
+const MIN_FUZZY_QUERY_LENGTH = 3;
+const MAX_FUZZY_SPREAD = 2; // A fuzzy match may span at most twice the query length
+
+/** Returns the cached lower-cased name and symbol for a coin. */
+const getSearchKeys = (coin) => {
+  let keys = searchKeys.get(coin);
+  if (!keys) {
+    keys = { name: (coin.name || '').toLowerCase(), symbol: (coin.symbol || '').toLowerCase() };
+    searchKeys.set(coin, keys);
+  }
+  return keys;
+};
+
+/** Checks whether the query's characters appear in order, close together, in the text. */
+const isFuzzyMatch = (text, query) => {
+  const maxSpan = query.length * MAX_FUZZY_SPREAD;
+  for (let start = text.indexOf(query[0]); start !== -1; start = text.indexOf(query[0], start + 1)) {
+    let position = start;
+    let matched = 1;
+    while (matched < query.length) {
+      position = text.indexOf(query[matched], position + 1);
+      if (position === -1 || position - start >= maxSpan) break;
+      matched++;
+    }
+    if (matched === query.length) return true;
+    if (position === -1) return false; // Later starts cannot find the missing character either
+  }
+  return false;
+};
+
+/**
+ * Scores how well a coin matches a lower-cased query; 0 means no match.
+ * @param {Object} coin - A coin from the internal model.
+ * @param {string} query - The lower-cased, trimmed search text.
+ * @returns {number} Higher is a better match.
+ */
+export const getSearchScore = (coin, query) => {
+  const { name, symbol } = getSearchKeys(coin);
+  if (symbol === query) return 100;
+  if (name === query) return 90;
+  if (symbol.startsWith(query)) return 80;
+  if (name.startsWith(query)) return 70;
+  if (symbol.includes(query) || name.includes(query)) return 50;
+  if (query.length >= MIN_FUZZY_QUERY_LENGTH && isFuzzyMatch(name, query)) return 20;
+  return 0;
+};
+
+/**
+ * Filters coins by a search query, best matches first. Coins with equal scores
+ * keep their incoming order, so the user's sort still applies within each tier.
+ * @param {Array<Object>} coins - Coins to search.
+ * @param {string} query - Raw search text.
+ * @returns {Array<Object>} The matching coins.
+ */
+export const searchCoins = (coins, query) => {
+  const normalizedQuery = query.toLowerCase().trim();
+  if (!normalizedQuery) return coins;
+  return coins
+    .map((coin, index) => ({ coin, index, score: getSearchScore(coin, normalizedQuery) }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(match => match.coin);
+};
@@ -0,0 +1,30 @@
+import { openDatabase, promisifyRequest, transactionDone, STORES } from './db.js';
+
+// --- Offline Market Snapshots ---
+
+/**
+ * Saves the latest successful market payload for a provider.
+ * @param {string} providerId - The provider the data came from.
+ * @param {Array<Object>} coins - The normalized coins.
+ * @param {Object} globalStats - The normalized global stats.
+ * @param {number} [fetchedAt] - When the data was fetched, in ms since epoch.
+ */
+export const saveMarketSnapshot = async (providerId, coins, globalStats, fetchedAt = Date.now()) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.snapshots, 'readwrite');
+  transaction.objectStore(STORES.snapshots).put({ providerId, coins, globalStats, fetchedAt });
+  await transactionDone(transaction);
+};
+
+/**
+ * Loads the last saved market payload for a provider.
+ * @param {string} providerId - The provider id.
+ * @returns {Promise<?{coins: Array<Object>, globalStats: Object, fetchedAt: number}>} The snapshot, or null.
+ */
+export const loadMarketSnapshot = async (providerId) => {
+  const db = await openDatabase();
+  const snapshot = await promisifyRequest(
+    db.transaction(STORES.snapshots).objectStore(STORES.snapshots).get(providerId)
+  );
+  return snapshot || null;
+};
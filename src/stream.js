@@ -0,0 +1,201 @@
+// --- Streaming Prices ---
+// Live prices over a WebSocket, using Binance's public 24h mini-ticker streams
+// quoted in USDT. Ticks are coalesced and handed over at most once per flush
+// interval, the socket reconnects with exponential backoff, and like the
+// refresh scheduler it disconnects while the page is hidden.
+
+export const DEFAULT_STREAM_URL = 'wss://stream.binance.com:9443/ws';
+
+const QUOTE_ASSET = 'USDT';
+const FLUSH_INTERVAL_MS = 1000; // Render streamed prices at most once a second
+const MIN_RECONNECT_MS = 1000;
+const MAX_RECONNECT_MS = 30000;
+
+/** Loads whether live streaming is switched on (it is by default). */
+export const loadStreamingEnabled = () => localStorage.getItem('streamingEnabled') !== 'false';
+
+/** Persists the streaming switch. */
+export const saveStreamingEnabled = (isEnabled) => {
+  localStorage.setItem('streamingEnabled', String(isEnabled));
+};
+
+/** Maps a coin symbol to its stream name, e.g. BTC → btcusdt@miniTicker. */
+const toStreamName = (symbol) => `${symbol}${QUOTE_ASSET}`.toLowerCase() + '@miniTicker';
+
+/** Whether a symbol can be streamed; the quote asset has no market against itself. */
+const isStreamableSymbol = (symbol) => /^[A-Z0-9]+$/.test(symbol) && symbol !== QUOTE_ASSET;
+
+/**
+ * Parses a mini-ticker message into a price update.
+ * @param {string} data - The raw message text.
+ * @returns {?{symbol: string, price: number, change24h: ?number, time: number}} The update,
+ *   or null for subscription replies, other quote assets and malformed messages.
+ */
+export const parseTickerMessage = (data) => {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch {
+    return null;
+  }
+  if (!message || message.e !== '24hrMiniTicker' || typeof message.s !== 'string' || !message.s.endsWith(QUOTE_ASSET)) return null;
+
+  const price = Number(message.c);
+  const open = Number(message.o);
+  if (!(price > 0)) return null;
+  return {
+    symbol: message.s.slice(0, -QUOTE_ASSET.length),
+    price,
+    change24h: open > 0 ? ((price - open) / open) * 100 : null,
+    time: message.E
+  };
+};
+
+/**
+ * Creates a price stream.
+ * @param {Object} options
+ * @param {string} [options.url] - The WebSocket endpoint.
+ * @param {function(Array<Object>): void} options.onPrices - Receives the latest update per
+ *   symbol (as returned by `parseTickerMessage`) at most once per flush interval.
+ * @param {function(string): void} [options.onStatusChange] - Called with 'off', 'connecting',
+ *   'live', 'reconnecting' or 'paused' whenever the connection state changes.
+ * @param {number} [options.flushInterval] - Milliseconds to coalesce ticks for.
+ * @param {number} [options.minReconnectDelay] - The first reconnect delay; it doubles per failed attempt.
+ * @returns {Object} The stream controls.
+ */
+export const createPriceStream = ({
+  url = DEFAULT_STREAM_URL,
+  onPrices,
+  onStatusChange = () => {},
+  flushInterval = FLUSH_INTERVAL_MS,
+  minReconnectDelay = MIN_RECONNECT_MS
+}) => {
+  let socket = null;
+  let status = 'off';
+  let isStarted = false;
+  let symbols = new Set(); // What the app wants streamed
+  let subscribed = new Set(); // What the open socket is subscribed to
+  let pending = new Map(); // Symbol → latest update since the last flush
+  let flushTimeoutId = null;
+  let reconnectTimeoutId = null;
+  let reconnectAttempts = 0;
+  let requestId = 0;
+
+  const setStatus = (nextStatus) => {
+    if (status === nextStatus) return;
+    status = nextStatus;
+    onStatusChange(status);
+  };
+
+  /** Subscribes the open socket to added symbols and drops removed ones. */
+  const syncSubscriptions = () => {
+    if (!socket || socket.readyState !== WebSocket.OPEN) return;
+    const added = [...symbols].filter(symbol => !subscribed.has(symbol));
+    const removed = [...subscribed].filter(symbol => !symbols.has(symbol));
+    if (added.length) socket.send(JSON.stringify({ method: 'SUBSCRIBE', params: added.map(toStreamName), id: ++requestId }));
+    if (removed.length) socket.send(JSON.stringify({ method: 'UNSUBSCRIBE', params: removed.map(toStreamName), id: ++requestId }));
+    subscribed = new Set(symbols);
+  };
+
+  const flush = () => {
+    flushTimeoutId = null;
+    if (pending.size === 0) return;
+    const updates = [...pending.values()];
+    pending = new Map();
+    onPrices(updates);
+  };
+
+  const handleMessage = (event) => {
+    const update = parseTickerMessage(event.data);
+    if (!update || !symbols.has(update.symbol)) return;
+    pending.set(update.symbol, update);
+    if (!flushTimeoutId) flushTimeoutId = setTimeout(flush, flushInterval);
+  };
+
+  const scheduleReconnect = () => {
+    const delay = Math.min(minReconnectDelay * Math.pow(2, reconnectAttempts), MAX_RECONNECT_MS);
+    reconnectAttempts++;
+    setStatus('reconnecting');
+    reconnectTimeoutId = setTimeout(connect, delay);
+  };
+
+  const connect = () => {
+    reconnectTimeoutId = null;
+    if (reconnectAttempts === 0) setStatus('connecting');
+    const ws = new WebSocket(url);
+    socket = ws;
+
+    ws.addEventListener('open', () => {
+      if (socket !== ws) return;
+      reconnectAttempts = 0;
+      subscribed = new Set();
+      syncSubscriptions();
+      setStatus('live');
+    });
+    ws.addEventListener('message', (event) => {
+      if (socket === ws) handleMessage(event);
+    });
+    // Errors are always followed by 'close', which handles the reconnect
+    ws.addEventListener('close', () => {
+      if (socket !== ws) return;
+      socket = null;
+      subscribed = new Set();
+      scheduleReconnect();
+    });
+  };
+
+  /** Closes the socket and cancels pending work, leaving the stream in `nextStatus`. */
+  const disconnect = (nextStatus) => {
+    clearTimeout(reconnectTimeoutId);
+    clearTimeout(flushTimeoutId);
+    reconnectTimeoutId = null;
+    flushTimeoutId = null;
+    reconnectAttempts = 0;
+    pending = new Map();
+    if (socket) {
+      const ws = socket;
+      socket = null;
+      ws.close();
+    }
+    setStatus(nextStatus);
+  };
+
+  /** Drops the connection while the tab is hidden and reconnects on return. */
+  const handleVisibilityChange = () => {
+    if (!isStarted) return;
+    if (document.hidden) {
+      disconnect('paused');
+    } else if (!socket && !reconnectTimeoutId) {
+      connect();
+    }
+  };
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+
+  return {
+    /** Opens the connection, or waits for the tab to become visible. */
+    start: () => {
+      if (isStarted) return;
+      isStarted = true;
+      if (document.hidden) {
+        setStatus('paused');
+      } else {
+        connect();
+      }
+    },
+
+    /** Closes the connection and stops reconnecting. */
+    stop: () => {
+      isStarted = false;
+      disconnect('off');
+    },
+
+    /** Replaces the streamed symbols; only the difference is sent to an open socket. */
+    setSymbols: (nextSymbols) => {
+      symbols = new Set(nextSymbols.map(symbol => String(symbol).toUpperCase()).filter(isStreamableSymbol));
+      syncSubscriptions();
+    },
+
+    /** Returns the connection state. */
+    getStatus: () => status
+  };
+};
@@ -0,0 +1,135 @@
+import { runBackgroundAlertCheck, BACKGROUND_CHECK_TAG } from './background-alerts.js';
+
+// --- Crypto Pulse Service Worker ---
+// Keeps the app shell (HTML, the bundled scripts, styles and fonts, vendored
+// scripts and icons) available offline, and checks alert rules in the background
+// while the app is closed. Market data is not cached here: the app keeps its own
+// last snapshot in IndexedDB and shows it with a staleness banner.
+// Built on its own by vite.config.js, which defines the __SHELL_*__ constants.
+
+const SHELL_CACHE = `cryptopulse-shell-${__SHELL_VERSION__}`;
+const SHELL_URLS = [...new Set([
+  '/',
+  '/index.html',
+  '/manifest.webmanifest',
+  '/icons/icon.svg',
+  '/icons/icon-192.png',
+  '/vendor/axios/axios.min.js',
+  '/vendor/feather-icons/feather.min.js',
+  ...__SHELL_ASSETS__
+])];
+const NOTIFICATION_ICON = '/icons/icon-192.png';
+// Live data must never be served from this cache
+const API_HOSTS = ['api.coinlore.net', 'api.coingecko.com', 'open.er-api.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/** Whether a response is a successful same-origin one, and so safe to keep in the shell cache. */
+const isCacheable = (response) => response.ok && response.type === 'basic';
+
+/**
+ * Network first, so a deployed update is picked up; falls back to the cached shell.
+ * Only a good response for the app's root replaces the cached page, so an error or
+ * captive portal page never becomes the offline app.
+ */
+const handleNavigation = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    const { pathname } = new URL(request.url);
+    if (isCacheable(response) && (pathname === '/' || pathname === '/index.html')) {
+      cache.put('/index.html', response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await cache.match('/index.html')) || (await cache.match('/'));
+  }
+};
+
+/** Serves assets from the cache immediately and refreshes them in the background. */
+const handleAsset = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then(response => {
+      if (isCacheable(response)) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  return cached || network;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (API_HOSTS.includes(url.hostname) || !url.protocol.startsWith('http')) return;
+
+  event.respondWith(request.mode === 'navigate' ? handleNavigation(request) : handleAsset(request));
+});
+
+// --- Background Alert Checks ---
+
+/** Fetches and parses a JSON URL; the app's axios helper is not available here. */
+const fetchJson = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`The request was rejected (HTTP ${response.status}).`);
+  return response.json();
+};
+
+/** Runs the alert check unless a visible window is open, since the app checks on its own then. */
+const checkAlertsInBackground = async () => {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  if (windows.some(client => client.visibilityState === 'visible')) return;
+
+  const notifications = await runBackgroundAlertCheck(fetchJson);
+  await Promise.all(notifications.map(({ title, body, tag, coinId }) =>
+    self.registration.showNotification(title, { body, tag, icon: NOTIFICATION_ICON, data: { coinId } })
+  ));
+};
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === BACKGROUND_CHECK_TAG) {
+    event.waitUntil(checkAlertsInBackground().catch(error => console.warn('Background alert check failed:', error)));
+  }
+});
+
+/**
+ * Focuses an open window on the alerted coin, or opens the app on it. Windows
+ * this worker does not control, such as tabs opened before it activated, cannot
+ * be navigated, so a new window is opened instead.
+ */
+const openAlertedCoin = async (coinId) => {
+  const url = new URL('/', self.location.origin);
+  if (coinId) url.searchParams.set('coin', coinId);
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (windows.length > 0) {
+    try {
+      const client = await windows[0].focus();
+      if (await client.navigate(url.href)) return;
+    } catch (error) {
+      console.warn('Could not navigate the open window to the alert:', error);
+    }
+  }
+  await self.clients.openWindow(url.href);
+};
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(openAlertedCoin(event.notification.data && event.notification.data.coinId));
+});
@@ -0,0 +1,54 @@
+// --- Theme ---
+// The theme is applied as a `dark` class and a `data-palette` attribute on <html>;
+// style.css maps both onto colors, so rendering code never branches on the theme.
+// Labels are message keys, translated where they are rendered.
+
+export const THEMES = {
+  light: { labelKey: 'theme.light', icon: 'sun' },
+  dark: { labelKey: 'theme.dark', icon: 'moon' },
+  system: { labelKey: 'theme.system', icon: 'monitor' }
+};
+
+export const PALETTES = {
+  standard: 'palette.standard',
+  colorblind: 'palette.colorblind'
+};
+
+const darkSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+/** Loads the saved theme and gain/loss palette. */
+export const loadThemeSettings = () => {
+  const theme = localStorage.getItem('theme');
+  const palette = localStorage.getItem('colorPalette');
+  return {
+    theme: THEMES[theme] ? theme : 'system',
+    palette: PALETTES[palette] ? palette : 'standard'
+  };
+};
+
+/** Persists the theme and palette. */
+export const saveThemeSettings = ({ theme, palette }) => {
+  localStorage.setItem('theme', theme);
+  localStorage.setItem('colorPalette', palette);
+};
+
+/** Returns the theme after the given one, for a single cycling toggle button. */
+export const getNextTheme = (theme) => {
+  const order = Object.keys(THEMES);
+  return order[(order.indexOf(theme) + 1) % order.length];
+};
+
+/**
+ * Applies a theme and palette to the document.
+ * @param {{theme: string, palette: string}} settings - As returned by loadThemeSettings.
+ */
+export const applyTheme = ({ theme, palette }) => {
+  const isDark = theme === 'dark' || (theme === 'system' && darkSchemeQuery.matches);
+  document.documentElement.classList.toggle('dark', isDark);
+  document.documentElement.dataset.palette = palette;
+};
+
+/** Calls back when the operating system switches between light and dark. */
+export const onSystemThemeChange = (callback) => {
+  darkSchemeQuery.addEventListener('change', callback);
+};
@@ -0,0 +1,275 @@
+import { html, setHtml } from '../html.js';
+import {
+  ALERT_CONDITIONS,
+  describeAlertRule,
+  evaluateAlertRules,
+  loadAlertRules,
+  saveAlertRules,
+  upsertAlertRule
+} from '../alerts.js';
+import { getLocale, t, currentLanguage } from '../i18n.js';
+import {
+  BACKGROUND_CHECK_INTERVAL,
+  BACKGROUND_CHECK_TAG,
+  BACKGROUND_COIN_LIMIT,
+  adoptBackgroundTriggerState,
+  loadBackgroundAlertState,
+  saveBackgroundAlertState
+} from '../background-alerts.js';
+import { showMessage } from './ui.js';
+import { watchlist } from './watchlist-view.js';
+import { allCoins, dataProvider } from '../app.js';
+
+// --- Alerts Section ---
+// The alert rule list and form, and the checks run after every refresh. Rule
+// evaluation lives in alerts.js.
+
+const NOTIFICATION_ICON = '/icons/icon-192.png';
+export let alertRules = loadAlertRules();
+let editingAlertId = null;
+
+/** Asks for notification permission the first time the user sets up an alert. */
+const requestNotificationPermission = () => {
+  if ('Notification' in window && Notification.permission === 'default') {
+    Notification.requestPermission().then(syncBackgroundAlerts);
+  }
+};
+
+/**
+ * Shows a system notification when permitted; in-page messages are shown regardless.
+ * Goes through the service worker when one controls the page, as installed apps on
+ * mobile cannot construct notifications directly.
+ */
+const sendNotification = (title, body, tag) => {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  const options = { body, tag, icon: NOTIFICATION_ICON };
+  if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+    navigator.serviceWorker.ready.then(registration => registration.showNotification(title, options));
+  } else {
+    new Notification(title, options);
+  }
+};
+
+/** Evaluates alert rules against the latest data and announces any that fire. */
+export const runAlertChecks = async () => {
+  await backgroundStateRestored;
+  if (alertRules.length === 0) return;
+  const firings = evaluateAlertRules(alertRules, allCoins, watchlist);
+  saveAlertRules(alertRules); // Persist trigger state so reloads don't re-fire
+  syncBackgroundAlerts();
+
+  if (firings.length === 0) return;
+  firings.forEach(({ rule, coin, message }) => sendNotification(t('alerts.notificationTitle'), message, `${rule.id}-${coin.id}`));
+  showMessage(t('alerts.fired', { messages: firings.map(firing => firing.message).join(' ') }), 'info');
+  renderAlertRules();
+  feather.replace();
+};
+
+/** Fills the condition picker from the supported alert conditions. */
+export const populateAlertConditionSelect = () => {
+  setHtml(document.getElementById('alert-condition'), Object.entries(ALERT_CONDITIONS).map(([key, condition]) =>
+    html`<option value="${key}">${t(condition.labelKey)}</option>`
+  ));
+  renderAlertThresholdLabel();
+};
+
+/** Names the threshold's unit for the chosen condition; price thresholds are in USD. */
+export const renderAlertThresholdLabel = () => {
+  const condition = ALERT_CONDITIONS[document.getElementById('alert-condition').value];
+  document.getElementById('alert-threshold').placeholder = condition
+    ? t('common.withUnit', { label: t('alerts.threshold'), unit: t(condition.thresholdUnitKey) })
+    : t('alerts.threshold');
+};
+
+/** Renders the list of alert rules with their management actions. */
+export const renderAlertRules = () => {
+  const rulesEl = document.getElementById('alert-rules');
+  document.getElementById('alert-count').textContent = t('alerts.activeCount', { count: alertRules.filter(rule => rule.active).length });
+  renderBackgroundAlertStatus();
+
+  if (alertRules.length === 0) {
+    setHtml(rulesEl, html`<p class="text-center text-gray-500 p-4">${t('alerts.empty')}</p>`);
+    return;
+  }
+
+  setHtml(rulesEl, html`
+        <ul class="divide-y divide-gray-100">
+          ${alertRules.map(rule => html`
+              <li class="flex justify-between items-center py-3 ${rule.active ? '' : 'opacity-50'}">
+                <div>
+                  <p class="text-sm font-semibold text-gray-800">${describeAlertRule(rule)}</p>
+                  <p class="text-xs text-gray-500">
+                    ${t(rule.active ? 'alerts.active' : 'alerts.paused')} ·
+                    ${rule.lastTriggeredAt
+                      ? t('alerts.lastTriggered', { time: new Date(rule.lastTriggeredAt).toLocaleString(getLocale()) })
+                      : t('alerts.neverTriggered')}
+                  </p>
+                </div>
+                <div class="flex items-center gap-2 text-gray-400">
+                  <button class="hover:text-indigo-600 transition duration-150" title="${t('alerts.edit')}"
+                    data-action="edit-alert" data-rule-id="${rule.id}">
+                    <i data-feather="edit-2" class="w-4 h-4"></i>
+                  </button>
+                  <button class="hover:text-indigo-600 transition duration-150" title="${t(rule.active ? 'alerts.pause' : 'alerts.resume')}"
+                    data-action="toggle-alert" data-rule-id="${rule.id}">
+                    <i data-feather="${rule.active ? 'pause' : 'play'}" class="w-4 h-4"></i>
+                  </button>
+                  <button class="hover:text-red-600 transition duration-150" title="${t('alerts.delete')}"
+                    data-action="delete-alert" data-rule-id="${rule.id}">
+                    <i data-feather="trash-2" class="w-4 h-4"></i>
+                  </button>
+                </div>
+              </li>
+            `)}
+        </ul>
+      `);
+};
+
+/** Labels the alert form's submit button for creating or saving a rule. */
+export const renderAlertSubmitLabel = () => {
+  document.getElementById('alert-submit').textContent = t(editingAlertId ? 'alerts.save' : 'alerts.create');
+};
+
+/** Puts the alert form back into "create" mode. */
+export const resetAlertForm = () => {
+  editingAlertId = null;
+  document.getElementById('alert-form').reset();
+  renderAlertThresholdLabel();
+  renderAlertSubmitLabel();
+  document.getElementById('alert-cancel-edit').classList.add('hidden');
+};
+
+/** Creates a rule, or saves the one being edited, from the alert form. */
+export const handleAlertSubmit = (event) => {
+  event.preventDefault();
+  const form = event.target;
+  const coinId = form.elements['alert-target'].value;
+  const coin = allCoins.find(c => c.id === coinId);
+  const existing = alertRules.find(rule => rule.id === editingAlertId) || null;
+
+  try {
+    const rule = upsertAlertRule({
+      coinId,
+      symbol: coin && coin.symbol,
+      name: coin && coin.name,
+      condition: form.elements['alert-condition'].value,
+      threshold: form.elements['alert-threshold'].value
+    }, existing);
+    if (!existing) alertRules.push(rule);
+    saveAlertRules(alertRules);
+    syncBackgroundAlerts();
+    showMessage(t(existing ? 'alerts.updated' : 'alerts.created', { rule: describeAlertRule(rule) }), 'success');
+    resetAlertForm();
+    renderAlertRules();
+    feather.replace();
+    requestNotificationPermission();
+  } catch (error) {
+    showMessage(t('alerts.saveFailed', { error: error.message }), 'error');
+  }
+};
+
+/** Loads a rule into the alert form for editing. */
+export const editAlertRule = (ruleId) => {
+  const rule = alertRules.find(r => r.id === ruleId);
+  if (!rule) return;
+  editingAlertId = rule.id;
+  document.getElementById('alert-target').value = rule.coinId;
+  document.getElementById('alert-condition').value = rule.condition;
+  document.getElementById('alert-threshold').value = rule.threshold;
+  renderAlertThresholdLabel();
+  renderAlertSubmitLabel();
+  document.getElementById('alert-cancel-edit').classList.remove('hidden');
+};
+
+/** Pauses or resumes a rule. */
+export const toggleAlertRule = (ruleId) => {
+  const rule = alertRules.find(r => r.id === ruleId);
+  if (!rule) return;
+  rule.active = !rule.active;
+  saveAlertRules(alertRules);
+  syncBackgroundAlerts();
+  renderAlertRules();
+  feather.replace();
+};
+
+/** Deletes a rule. */
+export const deleteAlertRule = (ruleId) => {
+  alertRules = alertRules.filter(rule => rule.id !== ruleId);
+  if (editingAlertId === ruleId) resetAlertForm();
+  saveAlertRules(alertRules);
+  syncBackgroundAlerts();
+  renderAlertRules();
+  feather.replace();
+};
+
+// --- Background Alert Checks ---
+
+let backgroundChecksEnabled = false; // Whether periodic background sync is registered
+export let backgroundStateRestored = Promise.resolve(); // Settles once trigger state from background checks is adopted
+
+/**
+ * Mirrors the alert rules and the settings they depend on for the service worker,
+ * then registers periodic background checks while any rule is active and
+ * notifications are allowed, or unregisters them otherwise.
+ */
+export const syncBackgroundAlerts = async () => {
+  await backgroundStateRestored; // Mirroring first would discard what the background checks recorded
+  try {
+    await saveBackgroundAlertState({
+      rules: alertRules,
+      watchlist: [...watchlist],
+      providerId: dataProvider.id,
+      language: currentLanguage
+    });
+  } catch (error) {
+    console.warn('Could not save alerts for background checks:', error);
+    return;
+  }
+
+  if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (!('periodicSync' in registration)) return;
+    const wantsChecks = alertRules.some(rule => rule.active)
+      && 'Notification' in window && Notification.permission === 'granted';
+    const permission = wantsChecks ? await navigator.permissions.query({ name: 'periodic-background-sync' }) : null;
+    if (permission && permission.state === 'granted') {
+      await registration.periodicSync.register(BACKGROUND_CHECK_TAG, { minInterval: BACKGROUND_CHECK_INTERVAL });
+      backgroundChecksEnabled = true;
+    } else {
+      await registration.periodicSync.unregister(BACKGROUND_CHECK_TAG);
+      backgroundChecksEnabled = false;
+    }
+  } catch (error) {
+    console.warn('Could not schedule background alert checks:', error);
+    backgroundChecksEnabled = false;
+  }
+  renderBackgroundAlertStatus();
+};
+
+/** Tells the user whether active alerts are also checked while the app is closed. */
+const renderBackgroundAlertStatus = () => {
+  const hasActiveRules = alertRules.some(rule => rule.active);
+  document.getElementById('alert-background-status').classList.toggle('hidden', !hasActiveRules);
+  document.getElementById('alert-background-text').textContent = backgroundChecksEnabled
+    ? t('alerts.background.on', { count: BACKGROUND_COIN_LIMIT })
+    : t('alerts.background.off');
+};
+
+/** Takes over the trigger state from checks run while the app was closed, so they do not fire again. */
+const restoreBackgroundTriggerState = async () => {
+  try {
+    if (adoptBackgroundTriggerState(alertRules, await loadBackgroundAlertState())) {
+      saveAlertRules(alertRules);
+      renderAlertRules();
+      feather.replace();
+    }
+  } catch (error) {
+    console.warn('Could not read background alert checks:', error);
+  }
+};
+
+/** Starts adopting the background trigger state; alert checks and syncs wait until it is in. */
+export const startBackgroundStateRestore = () => {
+  backgroundStateRestored = restoreBackgroundTriggerState();
+};
@@ -0,0 +1,165 @@
+import { getMarketTotals } from '../market-history.js';
+import { formatLargeCurrency, formatPercent } from '../format.js';
+import { html, raw, setHtml } from '../html.js';
+import { renderDonutChartSvg, renderHistogramSvg, renderLineChartSvg } from '../charts.js';
+import { getChangeHistogram, getDominance, getMarketBreadth, getTopRanked } from '../analytics.js';
+import { getLocale, t } from '../i18n.js';
+import { HISTORY_RANGES } from '../history.js';
+import { allCoins, dataProvider, globalStats } from '../app.js';
+
+// --- Market Analytics Section ---
+// Renders the collapsible analytics section: market cap dominance, the 24h change
+// distribution and breadth of the top coins, and the recorded market totals.
+// The aggregates themselves come from analytics.js.
+
+const DOMINANCE_COUNT = 10; // Coins with their own dominance slice
+const DOMINANCE_COLORS = [
+  '#6366f1', '#f59e0b', '#10b981', '#ef4444', '#8b5cf6',
+  '#0ea5e9', '#ec4899', '#84cc16', '#f97316', '#14b8a6'
+];
+const DOMINANCE_REST_COLOR = '#9ca3af'; // Tailwind gray-400
+const ANALYTICS_COIN_COUNT = 100; // The change histogram and breadth cover the top coins by rank
+
+let analyticsRange = HISTORY_RANGES[localStorage.getItem('analyticsRange')] ? localStorage.getItem('analyticsRange') : '24h';
+
+/** Formats a histogram bin edge as a signed whole number, e.g. -5 or +10. */
+const formatBinEdge = (value) => new Intl.NumberFormat(getLocale(), { signDisplay: 'exceptZero' }).format(value);
+
+/** Labels a 24h change bin by its bounds; the open-ended outer bins show one bound. */
+const getBinLabel = ({ min, max }) => {
+  if (min === -Infinity) return t('analytics.binBelow', { max: formatBinEdge(max) });
+  if (max === Infinity) return t('analytics.binAbove', { min: formatBinEdge(min) });
+  return t('analytics.binRange', { min: formatBinEdge(min), max: formatBinEdge(max) });
+};
+
+/** Renders the top coins' and the rest's share of the total market cap as a donut with a legend. */
+const renderDominancePanel = () => {
+  const { slices, restShare } = getDominance(allCoins, globalStats.totalMarketCap, DOMINANCE_COUNT);
+  const entries = [
+    ...slices.map(({ coin, share }, index) => ({ coin, label: coin.symbol, share, color: DOMINANCE_COLORS[index] })),
+    ...(slices.length ? [{ coin: null, label: t('analytics.others'), share: restShare, color: DOMINANCE_REST_COLOR }] : [])
+  ];
+  const chart = renderDonutChartSvg(entries.map(entry => ({ value: entry.share, color: entry.color })));
+  return html`
+        <div>
+          <h3 class="text-sm font-semibold text-gray-700 mb-2">${t('analytics.dominance')}</h3>
+          ${!chart ? html`<p class="text-xs text-gray-500">${t('analytics.noData')}</p>` : html`
+          <div class="flex items-center gap-4">
+            <div class="shrink-0 w-32 h-32 [&>svg]:w-full [&>svg]:h-full">${raw(chart)}</div>
+            <ul class="flex-1 grid grid-cols-2 gap-x-3 gap-y-1 text-xs">
+              ${entries.map(entry => html`
+                <li class="flex items-center gap-1 min-w-0">
+                  <span class="inline-block w-2.5 h-2.5 rounded-full shrink-0" style="background-color: ${entry.color}"></span>
+                  ${entry.coin ? html`
+                  <button type="button" aria-haspopup="dialog" data-action="show-details" data-coin-id="${entry.coin.id}"
+                    class="truncate font-semibold text-gray-700 hover:text-indigo-600" title="${entry.coin.name}">${entry.label}</button>`
+                  : html`<span class="truncate font-semibold text-gray-700">${entry.label}</span>`}
+                  <span class="ms-auto text-gray-500">${formatPercent(entry.share)}</span>
+                </li>`)}
+            </ul>
+          </div>`}
+        </div>`;
+};
+
+/** Renders how the top coins' 24h changes are distributed. */
+const renderChangeHistogramPanel = (topCoins) => {
+  const chart = renderHistogramSvg(getChangeHistogram(topCoins).map(bin => ({
+    label: getBinLabel(bin),
+    value: bin.count,
+    trend: bin.min >= 0 ? 'up' : 'down'
+  })));
+  return html`
+        <div>
+          <h3 class="text-sm font-semibold text-gray-700 mb-2">${t('analytics.changeDistribution', { count: topCoins.length })}</h3>
+          ${chart ? html`
+          <figure>
+            ${raw(chart)}
+            <figcaption class="text-xs text-gray-500 text-center">${t('analytics.changeAxis')}</figcaption>
+          </figure>` : html`<p class="text-xs text-gray-500">${t('analytics.noData')}</p>`}
+        </div>`;
+};
+
+/** Renders the share of the top coins that rose versus fell over 24h. */
+const renderBreadthPanel = (topCoins) => {
+  const { up, down, unchanged } = getMarketBreadth(topCoins);
+  const total = up + down + unchanged;
+  const upShare = total ? (up / total) * 100 : 0;
+  const downShare = total ? (down / total) * 100 : 0;
+  return html`
+        <div>
+          <h3 class="text-sm font-semibold text-gray-700 mb-2">${t('analytics.breadth', { count: topCoins.length })}</h3>
+          ${!total ? html`<p class="text-xs text-gray-500">${t('analytics.noData')}</p>` : html`
+          <div class="flex h-4 rounded-full overflow-hidden bg-gray-200" aria-hidden="true">
+            <div class="bg-gain" style="width: ${upShare.toFixed(2)}%"></div>
+            <div class="bg-loss ms-auto" style="width: ${downShare.toFixed(2)}%"></div>
+          </div>
+          <div class="mt-2 flex justify-between gap-2 text-sm font-medium">
+            <span class="text-gain">${t('analytics.up', { count: up, percent: formatPercent(upShare) })}</span>
+            <span class="text-loss">${t('analytics.down', { count: down, percent: formatPercent(downShare) })}</span>
+          </div>
+          ${unchanged > 0 && html`<p class="mt-1 text-xs text-gray-500">${t('analytics.unchanged', { count: unchanged })}</p>`}`}
+        </div>`;
+};
+
+/** Draws the recorded total market cap and volume for the selected range. */
+const renderAnalyticsTrends = async () => {
+  document.querySelectorAll('[data-analytics-range]').forEach(btn => {
+    const isActive = btn.dataset.analyticsRange === analyticsRange;
+    btn.classList.toggle('bg-indigo-500', isActive);
+    btn.classList.toggle('text-white', isActive);
+    btn.classList.toggle('text-gray-600', !isActive);
+    btn.setAttribute('aria-pressed', isActive);
+  });
+
+  const provider = dataProvider;
+  const range = analyticsRange;
+  const samples = await getMarketTotals(provider.id, HISTORY_RANGES[range]);
+  if (provider !== dataProvider || range !== analyticsRange) return; // Superseded while loading
+
+  const timeFormat = range === '7d'
+    ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+    : { hour: '2-digit', minute: '2-digit' };
+  const trends = [
+    { title: t('stats.totalMarketCap'), field: 'totalMarketCap' },
+    { title: t('stats.volume24h'), field: 'totalVolume' }
+  ].map(({ title, field }) => {
+    const chart = renderLineChartSvg(
+      samples.filter(sample => sample[field] != null).map(sample => ({ x: sample.timestamp, y: sample[field] })),
+      {
+        formatX: (timestamp) => new Date(timestamp).toLocaleString(getLocale(), timeFormat),
+        formatY: formatLargeCurrency
+      }
+    );
+    return html`
+        <div>
+          <h4 class="text-xs font-semibold text-gray-500 mb-1">${title}</h4>
+          ${chart ? raw(chart) : html`<p class="text-xs text-gray-500">${t('analytics.notEnoughTotals')}</p>`}
+        </div>`;
+  });
+  setHtml(document.getElementById('analytics-trends'), trends);
+};
+
+/** Renders the analytics section from the loaded coins and global stats; skipped while collapsed. */
+export const renderAnalytics = () => {
+  if (!document.getElementById('analytics-section').open) return;
+  const topCoins = getTopRanked(allCoins, ANALYTICS_COIN_COUNT);
+  setHtml(document.getElementById('analytics-panels'), [
+    renderDominancePanel(),
+    renderChangeHistogramPanel(topCoins),
+    renderBreadthPanel(topCoins)
+  ]);
+  renderAnalyticsTrends();
+};
+
+/** Switches the market cap and volume trends between the 1h, 24h and 7d ranges. */
+export const setAnalyticsRange = (range) => {
+  analyticsRange = range;
+  localStorage.setItem('analyticsRange', range);
+  renderAnalyticsTrends();
+};
+
+/** Remembers whether the analytics section was open, and fills it in on opening. */
+export const handleAnalyticsToggle = (event) => {
+  localStorage.setItem('analyticsOpen', event.target.open);
+  renderAnalytics();
+};
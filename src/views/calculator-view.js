@@ -0,0 +1,117 @@
+import { html, setHtml } from '../html.js';
+import {
+  convertBetweenCoins,
+  convertPosition,
+  getRequiredMove,
+  getTargetProfit
+} from '../calculator.js';
+import {
+  displayRate,
+  formatMoney,
+  formatPrecisePrice,
+  formatSignedPercent,
+  getGainLossClass,
+  parseNumericInput
+} from '../format.js';
+import { getLocale, t } from '../i18n.js';
+import { modalCoinId, renderDetailTile, withCurrency } from './modal-view.js';
+import { allCoins, populateCoinSelect } from '../app.js';
+
+// --- Position Calculator ---
+// The calculator tab of the coin modal: position size, target profit and coin
+// conversion. The form's inputs keep their values across re-renders; prices and
+// results are recomputed from the live coin data on every refresh. The math
+// lives in calculator.js.
+
+let calculatorAnchor = 'amount'; // The position field the user last typed in; the other follows the live price
+
+/** Formats a coin quantity with up to 8 decimals. */
+const formatCoinQuantity = (value) => value.toLocaleString(getLocale(), { maximumFractionDigits: 8 });
+
+/** Writes a computed number into a number input, trimmed to 8 significant digits. */
+const setCalculatorValue = (input, value) => {
+  input.value = value == null ? '' : String(Number(value.toPrecision(8)));
+};
+
+/** Clears the coin-specific inputs and points the converter at a newly opened coin. */
+export const resetCalculator = (coin) => {
+  document.getElementById('calc-entry-price').value = '';
+  document.getElementById('calc-target-price').value = '';
+  populateCoinSelect('calc-from-coin');
+  populateCoinSelect('calc-to-coin');
+  const toSelect = document.getElementById('calc-to-coin');
+  document.getElementById('calc-from-coin').value = coin.id;
+  if (!toSelect.value || toSelect.value === coin.id) {
+    toSelect.value = allCoins.find(other => other.id !== coin.id)?.id || '';
+  }
+};
+
+/** Recomputes the position size, target profit and coin conversion at the live prices. */
+export const renderCalculator = () => {
+  const coin = allCoins.find(c => c.id === modalCoinId);
+  if (!coin) return;
+  const livePrice = coin.price == null ? null : coin.price * displayRate; // In the display currency
+
+  document.getElementById('calc-amount-label').textContent = withCurrency('calculator.amount');
+  document.getElementById('calc-quantity-label').textContent = t('calculator.quantity', { symbol: coin.symbol });
+  document.getElementById('calc-entry-label').textContent = withCurrency('calculator.entryPrice');
+  document.getElementById('calc-target-label').textContent = withCurrency('calculator.targetPrice');
+
+  // Position size: keep what the user typed and derive the other field
+  const amountInput = document.getElementById('calc-amount');
+  const quantityInput = document.getElementById('calc-quantity');
+  const anchorInput = calculatorAnchor === 'amount' ? amountInput : quantityInput;
+  const position = convertPosition({ [calculatorAnchor]: parseNumericInput(anchorInput.value), price: livePrice });
+  if (calculatorAnchor === 'amount') setCalculatorValue(quantityInput, position?.quantity);
+  else setCalculatorValue(amountInput, position?.amount);
+  document.getElementById('calc-position-note').textContent = livePrice
+    ? t('calculator.atPrice', { price: formatPrecisePrice(coin.price), symbol: coin.symbol })
+    : t('calculator.noPrice');
+
+  // Target price: the entry defaults to the live price
+  const entryInput = document.getElementById('calc-entry-price');
+  entryInput.placeholder = livePrice ? String(Number(livePrice.toPrecision(8))) : '';
+  const entryPrice = parseNumericInput(entryInput.value) ?? livePrice;
+  const targetPrice = parseNumericInput(document.getElementById('calc-target-price').value);
+  const feePercent = parseNumericInput(document.getElementById('calc-fee').value) ?? 0;
+  const resultsEl = document.getElementById('calc-target-results');
+  if (targetPrice === null) {
+    setHtml(resultsEl, html`<p class="col-span-full text-xs text-gray-500">${t('calculator.enterTarget')}</p>`);
+  } else {
+    const move = getRequiredMove(livePrice, targetPrice);
+    const result = getTargetProfit({ quantity: position?.quantity, entryPrice, targetPrice, feePercent });
+    const tiles = [{ label: t('calculator.moveNeeded'), value: formatSignedPercent(move), className: getGainLossClass(move) }];
+    if (result) {
+      tiles.push(
+        { label: t('calculator.profit'), value: formatMoney(result.profit), className: getGainLossClass(result.profit) },
+        { label: t('calculator.return'), value: formatSignedPercent(result.returnPercent), className: getGainLossClass(result.profit) },
+        { label: t('calculator.fees'), value: formatMoney(result.fees) }
+      );
+    }
+    setHtml(resultsEl, html`${tiles.map(renderDetailTile)}${!result && html`
+          <p class="col-span-full text-xs text-gray-500">${t('calculator.enterPosition')}</p>`}`);
+  }
+
+  // Converter between any two loaded coins
+  const fromCoin = allCoins.find(c => c.id === document.getElementById('calc-from-coin').value);
+  const toCoin = allCoins.find(c => c.id === document.getElementById('calc-to-coin').value);
+  const quantity = parseNumericInput(document.getElementById('calc-convert-quantity').value);
+  const converted = fromCoin && toCoin ? convertBetweenCoins(quantity, fromCoin.price, toCoin.price) : null;
+  const rate = fromCoin && toCoin ? convertBetweenCoins(1, fromCoin.price, toCoin.price) : null;
+  document.getElementById('calc-convert-result').textContent = converted === null ? '' : t('calculator.converted', {
+    quantity: formatCoinQuantity(quantity),
+    fromSymbol: fromCoin.symbol,
+    result: formatCoinQuantity(converted),
+    toSymbol: toCoin.symbol
+  });
+  document.getElementById('calc-convert-rate').textContent = rate === null
+    ? (fromCoin && toCoin ? t('calculator.noConversion') : '')
+    : t('calculator.rate', { fromSymbol: fromCoin.symbol, rate: formatCoinQuantity(rate), toSymbol: toCoin.symbol });
+};
+
+/** Tracks which position field was typed in and recomputes as the user types. */
+export const handleCalculatorInput = (event) => {
+  if (event.target.id === 'calc-amount') calculatorAnchor = 'amount';
+  if (event.target.id === 'calc-quantity') calculatorAnchor = 'quantity';
+  renderCalculator();
+};
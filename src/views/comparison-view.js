@@ -0,0 +1,234 @@
+import { captureFocus, restoreFocus } from '../a11y.js';
+import { renderMultiLineChartSvg } from '../charts.js';
+import { HISTORY_RANGES, getPriceHistory } from '../history.js';
+import { html, raw, setHtml } from '../html.js';
+import {
+  formatCurrency,
+  formatLargeCurrency,
+  formatLargeNumber,
+  formatPercent,
+  getGainLossClass,
+  renderChange
+} from '../format.js';
+import { getLocale, t } from '../i18n.js';
+import { updateVisibleCoins } from './list-view.js';
+import { showMessage } from './ui.js';
+import { allCoins, syncRoute } from '../app.js';
+
+// --- Coin Comparison ---
+// The comparison selection, its floating bar and the side-by-side panel with
+// metrics and a relative performance chart.
+
+export const MIN_COMPARE_COINS = 2;
+export const MAX_COMPARE_COINS = 5;
+const COMPARE_COLORS = ['#6366f1', '#f59e0b', '#10b981', '#ef4444', '#8b5cf6'];
+export let comparedCoinIds = []; // Coins picked for side-by-side comparison
+export let isComparisonOpen = false;
+let compareHideTimeout = null;
+let compareReturnFocus = null;
+let compareRange = '24h';
+
+/**
+ * Adds or removes a coin from the comparison selection.
+ * @returns {boolean} False if the coin could not be added because the selection is full.
+ */
+export const setCompared = (coinId, shouldCompare) => {
+  if (shouldCompare && !comparedCoinIds.includes(coinId)) {
+    if (comparedCoinIds.length >= MAX_COMPARE_COINS) {
+      showMessage(t('compare.limit', { max: MAX_COMPARE_COINS }), 'info');
+      return false;
+    }
+    comparedCoinIds = [...comparedCoinIds, coinId];
+  } else if (!shouldCompare) {
+    comparedCoinIds = comparedCoinIds.filter(id => id !== coinId);
+  }
+
+  renderCompareBar();
+  updateVisibleCoins();
+  feather.replace();
+  if (isComparisonOpen) {
+    if (comparedCoinIds.length < MIN_COMPARE_COINS) {
+      closeComparison();
+    } else {
+      renderComparison();
+      syncRoute({ replace: true });
+    }
+  }
+  return true;
+};
+
+/** Handles a compare checkbox on a row or card without opening the detail modal. */
+export const toggleCompare = (checkbox, coinId) => {
+  if (!setCompared(coinId, checkbox.checked)) {
+    checkbox.checked = false;
+  }
+};
+
+/** Clears the comparison selection. */
+export const clearComparison = () => {
+  comparedCoinIds = [];
+  if (isComparisonOpen) closeComparison();
+  renderCompareBar();
+  updateVisibleCoins();
+  feather.replace();
+};
+
+/** Replaces the comparison selection, e.g. from a shared link, keeping at most the maximum. */
+export const selectComparedCoins = (coinIds) => {
+  comparedCoinIds = coinIds.slice(0, MAX_COMPARE_COINS);
+  renderCompareBar();
+};
+
+/** Shows the floating bar summarising the comparison selection. */
+export const renderCompareBar = () => {
+  const bar = document.getElementById('compare-bar');
+  bar.classList.toggle('hidden', comparedCoinIds.length === 0);
+  const names = comparedCoinIds.map(id => {
+    const coin = allCoins.find(c => c.id === id);
+    return coin ? coin.symbol : id;
+  });
+  document.getElementById('compare-bar-text').textContent =
+    t('compare.bar', { names: names.join(', '), count: comparedCoinIds.length, max: MAX_COMPARE_COINS });
+  document.getElementById('compare-open-button').disabled = comparedCoinIds.length < MIN_COMPARE_COINS;
+};
+
+/** Renders the side-by-side metrics table and the relative performance chart. */
+export const renderComparison = () => {
+  const coins = comparedCoinIds.map(id => allCoins.find(c => c.id === id)).filter(Boolean);
+  const missing = comparedCoinIds.length - coins.length;
+  const circulatingShare = (coin) => (coin.circulatingSupply && coin.totalSupply
+    ? formatPercent((coin.circulatingSupply / coin.totalSupply) * 100)
+    : t('common.na'));
+  const changeCell = (value) => html`<span class="${getGainLossClass(value)}">${renderChange(value)}</span>`;
+
+  const metrics = [
+    { labelKey: 'metric.price', render: coin => formatCurrency(coin.price) },
+    { labelKey: 'metric.rank', render: coin => `#${coin.rank}` },
+    { labelKey: 'metric.marketCap', render: coin => formatLargeCurrency(coin.marketCap) },
+    { labelKey: 'metric.volume24h', render: coin => formatLargeCurrency(coin.volume24h) },
+    { labelKey: 'metric.circulatingSupply', render: coin => formatLargeNumber(coin.circulatingSupply) },
+    { labelKey: 'metric.totalSupply', render: coin => formatLargeNumber(coin.totalSupply) },
+    { labelKey: 'metric.circulatingOfTotal', render: circulatingShare },
+    { labelKey: 'metric.change1h', render: coin => changeCell(coin.change1h) },
+    { labelKey: 'metric.change24h', render: coin => changeCell(coin.change24h) },
+    { labelKey: 'metric.change7d', render: coin => changeCell(coin.change7d) }
+  ];
+
+  setHtml(document.getElementById('compare-table'), html`
+        <table class="min-w-full divide-y divide-gray-200 text-sm">
+          <thead>
+            <tr class="bg-gray-50 text-start text-xs font-semibold text-gray-500 uppercase tracking-wider">
+              <th class="px-4 py-3 rounded-ss-xl">${t('compare.metric')}</th>
+              ${coins.map((coin, index) => html`
+                <th class="px-4 py-3">
+                  <div class="flex items-center gap-2">
+                    <span class="inline-block w-3 h-3 rounded-full" style="background-color: ${COMPARE_COLORS[index]}"></span>
+                    <span class="text-gray-800 normal-case text-sm">${coin.name} (${coin.symbol})</span>
+                    <button class="text-gray-400 hover:text-red-600" title="${t('compare.remove')}"
+                      data-action="remove-compared" data-coin-id="${coin.id}">
+                      <i data-feather="x" class="w-4 h-4"></i>
+                    </button>
+                  </div>
+                </th>`)}
+            </tr>
+          </thead>
+          <tbody class="divide-y divide-gray-100">
+            ${metrics.map(metric => html`
+                <tr>
+                  <td class="px-4 py-3 whitespace-nowrap font-medium text-gray-600">${t(metric.labelKey)}</td>
+                  ${coins.map(coin => html`<td class="px-4 py-3 whitespace-nowrap font-semibold text-gray-900">${metric.render(coin)}</td>`)}
+                </tr>
+              `)}
+          </tbody>
+        </table>
+        ${missing > 0 && html`<p class="mt-2 text-xs text-gray-500">${t('compare.missing', { count: missing })}</p>`}
+      `);
+
+  renderComparisonChart(coins);
+  feather.replace();
+};
+
+/** Draws each coin's captured price history rebased to 100 at the start of the range. */
+const renderComparisonChart = async (coins) => {
+  const chartEl = document.getElementById('compare-chart');
+  document.querySelectorAll('[data-compare-range]').forEach(btn => {
+    const isActive = btn.dataset.compareRange === compareRange;
+    btn.classList.toggle('bg-indigo-500', isActive);
+    btn.classList.toggle('text-white', isActive);
+    btn.classList.toggle('text-gray-600', !isActive);
+  });
+
+  let histories;
+  try {
+    histories = await Promise.all(coins.map(coin => getPriceHistory(coin.id, HISTORY_RANGES[compareRange])));
+  } catch (error) {
+    setHtml(chartEl, html`<p class="text-xs text-gray-500">${t('chart.storageBlocked')}</p>`);
+    return;
+  }
+
+  const series = histories.map((history, index) => {
+    const base = history.length ? history[0].price : 0;
+    return {
+      color: COMPARE_COLORS[index],
+      points: base ? history.map(sample => ({ x: sample.timestamp, y: (sample.price / base) * 100 })) : []
+    };
+  });
+  const timeFormat = compareRange === '7d'
+    ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+    : { hour: '2-digit', minute: '2-digit' };
+  const chart = renderMultiLineChartSvg(series, {
+    formatX: (timestamp) => new Date(timestamp).toLocaleString(getLocale(), timeFormat),
+    formatY: (value) => value.toFixed(1)
+  });
+  setHtml(chartEl, chart ? raw(chart) : html`<p class="text-xs text-gray-500">${t('chart.notEnoughData')}</p>`);
+};
+
+/** Switches the relative performance chart between the 1h, 24h and 7d ranges. */
+export const setCompareRange = (range) => {
+  compareRange = range;
+  renderComparisonChart(comparedCoinIds.map(id => allCoins.find(c => c.id === id)).filter(Boolean));
+};
+
+/** Opens the comparison panel for the selected coins. */
+export const openComparison = () => {
+  if (comparedCoinIds.length < MIN_COMPARE_COINS) {
+    showMessage(t('compare.minimum', { min: MIN_COMPARE_COINS }), 'info');
+    return;
+  }
+  isComparisonOpen = true;
+  renderComparison();
+  syncRoute();
+
+  clearTimeout(compareHideTimeout);
+  const wasHidden = document.getElementById('compare-modal').classList.contains('hidden');
+  if (wasHidden) compareReturnFocus = captureFocus();
+  document.getElementById('compare-modal').classList.remove('hidden');
+  document.getElementById('compare-container').classList.remove('scale-95');
+  document.getElementById('compare-container').classList.add('scale-100');
+  if (wasHidden) document.getElementById('compare-close-button').focus();
+};
+
+/** Closes the comparison panel. */
+export const closeComparison = (event) => {
+  if (event && event.target.id !== 'compare-modal') return; // Ignore clicks inside the panel content
+
+  isComparisonOpen = false;
+  syncRoute();
+  document.getElementById('compare-container').classList.add('scale-95');
+  document.getElementById('compare-container').classList.remove('scale-100');
+  compareHideTimeout = setTimeout(() => {
+    document.getElementById('compare-modal').classList.add('hidden');
+  }, 300); // Delay hiding to match transition
+  restoreFocus(compareReturnFocus);
+  compareReturnFocus = null;
+};
+
+/** Copies a link that reopens this comparison. */
+export const copyComparisonLink = async () => {
+  try {
+    await navigator.clipboard.writeText(window.location.href);
+    showMessage(t('compare.linkCopied'), 'success');
+  } catch (error) {
+    showMessage(t('compare.copyManually', { url: window.location.href }), 'info');
+  }
+};
@@ -0,0 +1,80 @@
+import { html, setHtml } from '../html.js';
+import {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  exportMarketView,
+  loadExportSettings,
+  saveExportSettings
+} from '../market-export.js';
+import { t } from '../i18n.js';
+import { currentPage, currentScope, matchingCoins, sortState, visibleCoins } from './list-view.js';
+import { showMessage } from './ui.js';
+import { canLoadMoreCoins, dataFetchedAt, dataProvider, globalStats } from '../app.js';
+
+// --- Market Export Panel ---
+// The export options and the download of the current market view; the file
+// formats live in market-export.js.
+
+let exportSettings = loadExportSettings();
+
+/** Fills the export panel from the saved export options. */
+export const renderExportPanel = () => {
+  const formatSelect = document.getElementById('export-format');
+  setHtml(formatSelect, Object.entries(EXPORT_FORMATS).map(([value, labelKey]) =>
+    html`<option value="${value}">${t(labelKey)}</option>`
+  ));
+  formatSelect.value = exportSettings.format;
+  document.querySelector(`input[name="export-rows"][value="${exportSettings.rows}"]`).checked = true;
+  document.getElementById('export-sorted').checked = exportSettings.sorted;
+  setHtml(document.getElementById('export-columns'), EXPORT_COLUMNS.map(column => html`
+        <label class="flex items-center gap-2 text-gray-600">
+          <input type="checkbox" data-export-column="${column.key}" class="rounded"
+            ${exportSettings.columns.includes(column.key) && html`checked`}>
+          <span>${column.label}</span>
+        </label>
+      `));
+};
+
+/** Saves the export options whenever a control in the export panel changes. */
+export const handleExportSettingsChange = () => {
+  exportSettings = {
+    format: document.getElementById('export-format').value,
+    rows: document.querySelector('input[name="export-rows"]:checked').value,
+    sorted: document.getElementById('export-sorted').checked,
+    columns: [...document.querySelectorAll('[data-export-column]:checked')].map(input => input.dataset.exportColumn)
+  };
+  saveExportSettings(exportSettings);
+};
+
+/** Downloads the current market view (this page or every match) with the chosen columns. */
+export const handleMarketExport = () => {
+  if (exportSettings.columns.length === 0) {
+    showMessage(t('export.noColumns'), 'info');
+    return;
+  }
+  let coins = exportSettings.rows === 'page' ? visibleCoins : matchingCoins;
+  if (coins.length === 0) {
+    showMessage(t('export.noCoins'), 'info');
+    return;
+  }
+  if (!exportSettings.sorted) {
+    coins = [...coins].sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+  }
+
+  const view = {
+    source: t(dataProvider.labelKey),
+    data_as_of: dataFetchedAt ? new Date(dataFetchedAt).toISOString() : null,
+    scope: currentScope,
+    search: document.getElementById('search-input').value.trim(),
+    sort: exportSettings.sorted ? `${sortState.key}:${sortState.direction}` : 'rank:asc',
+    rows: exportSettings.rows === 'page' ? `page ${currentPage}` : 'all matches',
+    more_coins_available: canLoadMoreCoins()
+  };
+  exportMarketView(coins, {
+    format: exportSettings.format,
+    columns: exportSettings.columns,
+    globalStats,
+    view
+  });
+  showMessage(t('export.done', { count: coins.length, format: exportSettings.format.toUpperCase() }), 'success');
+};
@@ -0,0 +1,557 @@
+import {
+  displayCurrency,
+  formatCurrency,
+  formatLargeCurrency,
+  formatSignedPercent,
+  getGainLossClass,
+  getPriceChangeClass,
+  parseNumericInput,
+  renderChange,
+  renderPriceMove
+} from '../format.js';
+import { renderSparklineSvg } from '../charts.js';
+import { getCachedSparkline, loadSparkline } from '../history.js';
+import { html, raw, renderKeyed, setHtml } from '../html.js';
+import { filterCoins, paginate } from '../coin-list.js';
+import { t } from '../i18n.js';
+import { hideMessage, setActiveToggleButton, showMessage } from './ui.js';
+import { comparedCoinIds } from './comparison-view.js';
+import { showCoinDetails } from './modal-view.js';
+import { watchlist } from './watchlist-view.js';
+import { syncStreamSymbols } from './streaming-view.js';
+import {
+  allCoins,
+  canLoadMoreCoins,
+  loadCoinsForSearch,
+  loadCoinsUntil,
+  moreTickersRequest,
+  syncRoute
+} from '../app.js';
+
+// --- Coin List ---
+// The market table and card grid: scope, search, range filters, sorting and
+// paging over the loaded coins, plus keyboard navigation between rows and cards.
+// Filtering and paging themselves live in coin-list.js.
+
+const PAGE_SIZE_OPTIONS = [15, 25, 50, 100];
+const DEFAULT_PAGE_SIZE = 15;
+
+/**
+ * Reads a JSON value saved in localStorage.
+ * @param {string} key - The storage key.
+ * @param {*} fallback - Returned when nothing usable is stored.
+ * @returns {*} The stored value, or the fallback when it is missing or corrupt.
+ */
+const loadStoredJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key) || 'null') ?? fallback;
+  } catch (error) {
+    console.warn(`Ignoring corrupt ${key} in localStorage.`, error);
+    return fallback;
+  }
+};
+
+export let visibleCoins = [];
+export let matchingCoins = []; // Every coin that passes scope, search and filters, in display order
+export let currentView = localStorage.getItem('viewMode') || 'table';
+export let currentScope = localStorage.getItem('listScope') || 'all'; // 'all' or 'watchlist'
+let activeListCoinId = null; // The row or card that Tab returns to in the coin list
+export let currentPage = 1;
+let pageSize = PAGE_SIZE_OPTIONS.includes(Number(localStorage.getItem('pageSize')))
+  ? Number(localStorage.getItem('pageSize'))
+  : DEFAULT_PAGE_SIZE;
+export let filteredCoinCount = 0; // Coins left after scope, search and filters, before paging
+let searchTimeout;
+let filterTimeout;
+export let sortState = loadStoredJson('sortState', { key: 'rank', direction: 'asc' });
+let rangeFilters = loadStoredJson('rangeFilters', {});
+
+// Columns flagged as sortable map directly onto numeric fields of the internal coin model.
+// Headers are message keys; `unit` columns show a fixed unit, `currency` ones the display currency.
+const TABLE_COLUMNS = [
+  { key: 'compare' },
+  { key: 'starred' },
+  { key: 'rank', labelKey: 'metric.rank', sortable: true },
+  { key: 'name', labelKey: 'metric.name' },
+  { key: 'symbol', labelKey: 'metric.symbol' },
+  { key: 'price', labelKey: 'metric.price', sortable: true, currency: true },
+  { key: 'change24h', labelKey: 'metric.change24h', unit: '%', sortable: true },
+  { key: 'change7d', labelKey: 'metric.change7d', unit: '%', sortable: true },
+  { key: 'volume24h', labelKey: 'metric.volume24h', sortable: true, currency: true },
+  { key: 'marketCap', labelKey: 'metric.marketCap', sortable: true, currency: true },
+  { key: 'sparkline', labelKey: 'metric.sparkline' }
+];
+
+const RANGE_FILTER_FIELDS = ['marketCap', 'volume24h', 'price', 'change24h', 'change7d'];
+
+// Drop saved sort/filter settings that refer to fields which no longer exist
+if (!TABLE_COLUMNS.some(column => column.sortable && column.key === sortState.key)) {
+  sortState = { key: 'rank', direction: 'asc' };
+}
+rangeFilters = Object.fromEntries(Object.entries(rangeFilters).filter(([field]) => RANGE_FILTER_FIELDS.includes(field)));
+
+/** Filters, sorts and paginates the full coin list. */
+export const updateVisibleCoins = (oldPrices = {}) => {
+  matchingCoins = filterCoins(allCoins, {
+    scope: currentScope,
+    watchlist,
+    rangeFilters,
+    sortState,
+    query: document.getElementById('search-input').value
+  });
+
+  const { items, page, totalPages, totalItems } = paginate(matchingCoins, currentPage, pageSize);
+  filteredCoinCount = totalItems;
+  currentPage = page;
+  visibleCoins = items;
+
+  renderCoins(visibleCoins, oldPrices);
+  updatePaginationControls(totalPages, totalItems);
+  syncStreamSymbols();
+};
+
+/** Renders the coins based on the current view mode. */
+const renderCoins = (coins, oldPrices = {}) => {
+  const listContainer = document.getElementById('crypto-list');
+  // Changed cells are replaced, so remember what had focus to restore it
+  const focusKey = listContainer.contains(document.activeElement) ? document.activeElement.dataset.focusKey : null;
+  if (coins.length === 0) {
+    const emptyText = currentScope === 'watchlist' && watchlist.size === 0
+      ? t('list.watchlistEmpty')
+      : t('list.noMatches');
+    setHtml(listContainer, html`<p class="text-center text-gray-500 p-8">${emptyText}</p>`);
+    return;
+  }
+
+  if (currentView === 'table') {
+    renderTable(coins, oldPrices, listContainer);
+  } else {
+    renderCards(coins, oldPrices, listContainer);
+  }
+  hydrateSparklines(listContainer);
+
+  // Only one row or card is in the tab order; arrow keys move between them
+  const items = [...listContainer.querySelectorAll('[data-coin-id]')];
+  const activeItem = items.find(item => item.dataset.coinId === activeListCoinId) || items[0];
+  items.forEach(item => {
+    item.tabIndex = item === activeItem ? 0 : -1; // Unchanged items keep their old tabindex
+  });
+  const focusTarget = focusKey && listContainer.querySelector(`[data-focus-key="${focusKey}"]`);
+  if (focusTarget) focusTarget.focus({ preventScroll: true });
+};
+
+/** Moves keyboard focus to a row or card, making it the list's single tab stop. */
+const focusListItem = (items, item) => {
+  items.forEach(other => {
+    other.tabIndex = -1;
+  });
+  item.tabIndex = 0;
+  item.focus();
+};
+
+/** Counts the cards on the first line of the card grid, so Up and Down move by a whole row. */
+const getCardColumnCount = (items) => {
+  const firstTop = items[0].offsetTop;
+  const count = items.findIndex(item => item.offsetTop !== firstTop);
+  return count === -1 ? items.length : count;
+};
+
+/** Keyboard navigation for the coin list: arrows, Home/End, and Enter or Space for details. */
+export const handleListKeydown = (event) => {
+  const item = event.target.closest('[data-coin-id]');
+  if (!item || event.target !== item) return; // Leave keys on the star and compare controls alone
+
+  const items = [...document.getElementById('crypto-list').querySelectorAll('[data-coin-id]')];
+  const index = items.indexOf(item);
+  const rowStep = currentView === 'cards' ? getCardColumnCount(items) : 1;
+  const targets = {
+    ArrowDown: index + rowStep,
+    ArrowUp: index - rowStep,
+    ArrowRight: currentView === 'cards' ? index + 1 : null,
+    ArrowLeft: currentView === 'cards' ? index - 1 : null,
+    Home: 0,
+    End: items.length - 1
+  };
+
+  if (event.key === 'Enter' || event.key === ' ') {
+    event.preventDefault();
+    showCoinDetails(item.dataset.coinId);
+  } else if (targets[event.key] !== undefined && targets[event.key] !== null) {
+    event.preventDefault();
+    const target = items[Math.min(Math.max(targets[event.key], 0), items.length - 1)];
+    focusListItem(items, target);
+  }
+};
+
+/** Tracks the focused row or card so re-renders and Tab keep the user's place. */
+export const handleListFocusIn = (event) => {
+  const item = event.target.closest('[data-coin-id]');
+  if (item) activeListCoinId = item.dataset.coinId;
+};
+
+/** Renders a sparkline placeholder, drawn immediately when the coin's history is cached. */
+const renderSparklineCell = (coin) => {
+  const series = getCachedSparkline(coin.id);
+  return html`<div data-sparkline="${coin.id}" class="h-8 w-[100px]" title="${t('list.sparklineTitle')}">
+    ${series && raw(renderSparklineSvg(series.map(sample => sample.price)))}
+  </div>`;
+};
+
+/** Loads history for sparklines that were rendered before their data was cached. */
+const hydrateSparklines = (container) => {
+  container.querySelectorAll('[data-sparkline]').forEach(async (el) => {
+    if (el.querySelector('svg')) return;
+    const series = await loadSparkline(el.dataset.sparkline);
+    setHtml(el, raw(renderSparklineSvg(series.map(sample => sample.price))));
+  });
+};
+
+/** Renders the star toggle shown on every row and card. */
+const renderStarButton = (coin) => {
+  const isStarred = watchlist.has(coin.id);
+  return html`
+    <button class="${isStarred ? 'text-yellow-400' : 'text-gray-300 hover:text-yellow-400'} transition duration-150"
+      title="${t(isStarred ? 'watchlist.remove' : 'watchlist.add')}"
+      aria-label="${t('watchlist.starLabel', { name: coin.name })}" aria-pressed="${isStarred}" data-focus-key="star-${coin.id}"
+      data-action="toggle-star" data-coin-id="${coin.id}">
+      <i data-feather="star" class="w-5 h-5 ${isStarred ? 'fill-current' : ''}"></i>
+    </button>`;
+};
+
+/** Renders the checkbox that adds a coin to the comparison. */
+const renderCompareCheckbox = (coin) => html`
+    <input type="checkbox" class="w-4 h-4 accent-indigo-600 cursor-pointer" title="${t('compare.checkbox')}"
+      aria-label="${t('compare.checkboxLabel', { name: coin.name })}" data-focus-key="compare-${coin.id}"
+      ${comparedCoinIds.includes(coin.id) && html`checked`}
+      data-action="toggle-compare" data-coin-id="${coin.id}">`;
+
+/** The translated header text of a table column, with its unit or the display currency. */
+const getColumnLabel = (column) => {
+  if (!column.labelKey) return '';
+  const unit = column.currency ? displayCurrency : column.unit;
+  return unit ? t('common.withUnit', { label: t(column.labelKey), unit }) : t(column.labelKey);
+};
+
+/** Renders a single table header cell, with a sort toggle for sortable columns. */
+const renderTableHeader = (column, index) => {
+  const corner = index === 0 ? ' rounded-ss-xl' : index === TABLE_COLUMNS.length - 1 ? ' rounded-se-xl' : '';
+  const label = getColumnLabel(column);
+  if (!column.sortable) {
+    return html`<th scope="col" data-key="${column.key}" class="px-6 py-3${corner}">${label}</th>`;
+  }
+  const isActive = sortState.key === column.key;
+  const arrow = isActive ? (sortState.direction === 'asc' ? '▲' : '▼') : '';
+  const ariaSort = isActive ? (sortState.direction === 'asc' ? 'ascending' : 'descending') : 'none';
+  return html`
+              <th scope="col" data-key="${column.key}" aria-sort="${ariaSort}" class="px-6 py-3${corner} ${isActive ? 'text-indigo-600' : ''}">
+                <button type="button" class="uppercase font-semibold tracking-wider select-none hover:text-indigo-600"
+                  data-focus-key="sort-${column.key}" data-action="sort" data-sort-key="${column.key}">
+                  ${label} <span class="ms-1" aria-hidden="true">${arrow}</span>
+                </button>
+              </th>`;
+};
+
+/** Renders one coin as a table row. */
+const renderTableRow = (coin, index, oldPrices) => {
+  const priceClass = getPriceChangeClass(coin.price, oldPrices[coin.id]);
+  const changeClass = getGainLossClass(coin.change24h);
+  const change7dClass = getGainLossClass(coin.change7d);
+  const rowIndex = (currentPage - 1) * pageSize + index + 2; // Row 1 is the header
+  return html`
+                <tr class="hover:bg-gray-50 focus:bg-indigo-50 focus:outline-hidden cursor-pointer transition duration-150"
+                  data-key="${coin.id}" data-coin-id="${coin.id}" data-focus-key="row-${coin.id}" tabindex="-1" aria-rowindex="${rowIndex}"
+                  aria-haspopup="dialog" data-action="show-details">
+                  <td class="ps-6 py-4 whitespace-nowrap">${renderCompareCheckbox(coin)}</td>
+                  <td class="ps-2 py-4 whitespace-nowrap">${renderStarButton(coin)}</td>
+                  <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">${coin.rank}</td>
+                  <td class="px-6 py-4 whitespace-nowrap text-sm font-semibold text-gray-800">${coin.name}</td>
+                  <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${coin.symbol}</td>
+                  <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900 ${priceClass}">${formatCurrency(coin.price)}${renderPriceMove(coin.price, oldPrices[coin.id])}</td>
+                  <td class="px-6 py-4 whitespace-nowrap text-sm font-medium ${changeClass}">${renderChange(coin.change24h)}</td>
+                  <td class="px-6 py-4 whitespace-nowrap text-sm font-medium ${change7dClass}">${renderChange(coin.change7d)}</td>
+                  <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${formatLargeCurrency(coin.volume24h)}</td>
+                  <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${formatLargeCurrency(coin.marketCap)}</td>
+                  <td class="px-6 py-4 whitespace-nowrap">${renderSparklineCell(coin)}</td>
+                </tr>
+              `;
+};
+
+/**
+ * Renders the data in a responsive table. The table is built once per view
+ * switch; refreshes then update only the header cells and rows that changed.
+ */
+const renderTable = (coins, oldPrices, container) => {
+  let table = container.querySelector('table');
+  if (!table) {
+    setHtml(container, html`
+        <table role="grid" class="min-w-full divide-y divide-gray-200">
+          <thead>
+            <tr class="bg-gray-50 text-start text-xs font-semibold text-gray-500 uppercase tracking-wider"></tr>
+          </thead>
+          <tbody id="crypto-table-body" class="bg-white divide-y divide-gray-100"></tbody>
+        </table>
+      `);
+    table = container.querySelector('table');
+  }
+  table.setAttribute('aria-label', t('list.label'));
+  table.setAttribute('aria-rowcount', filteredCoinCount + 1);
+  renderKeyed(table.tHead.rows[0], TABLE_COLUMNS.map(renderTableHeader));
+  renderKeyed(table.tBodies[0], coins.map((coin, index) => renderTableRow(coin, index, oldPrices)));
+};
+
+/** Renders one coin as a card. */
+const renderCard = (coin, oldPrices) => {
+  const priceClass = getPriceChangeClass(coin.price, oldPrices[coin.id]);
+  const changeClass = getGainLossClass(coin.change24h);
+  const changeIcon = coin.change24h >= 0 ? 'arrow-up-right' : 'arrow-down-right';
+  return html`
+              <div class="bg-white p-6 rounded-2xl shadow-xl border border-gray-100 card-glow cursor-pointer focus:outline-hidden focus:ring-4 focus:ring-indigo-300"
+                role="listitem" data-key="${coin.id}" data-coin-id="${coin.id}" data-focus-key="card-${coin.id}" tabindex="-1"
+                aria-haspopup="dialog" data-action="show-details">
+                <div class="flex justify-between items-start mb-3">
+                  <h4 class="text-xl font-extrabold text-gray-900">${coin.name} (${coin.symbol})</h4>
+                  <div class="flex items-center gap-2">
+                    ${renderCompareCheckbox(coin)}
+                    ${renderStarButton(coin)}
+                    <span class="text-xs font-bold px-3 py-1 bg-indigo-50 text-indigo-600 rounded-full">#${coin.rank}</span>
+                  </div>
+                </div>
+                
+                <div class="flex justify-between items-center">
+                  <p class="text-3xl font-bold text-gray-800 my-2 ${priceClass}">${formatCurrency(coin.price)}${renderPriceMove(coin.price, oldPrices[coin.id])}</p>
+                  ${renderSparklineCell(coin)}
+                </div>
+
+                <div class="flex justify-between items-center text-sm mt-4 pt-4 border-t border-gray-100">
+                  <div class="flex items-center gap-1 ${changeClass} font-semibold">
+                    <i data-feather="${changeIcon}" class="w-4 h-4" aria-hidden="true"></i>
+                    <span>${t('list.cardChange', { change: formatSignedPercent(coin.change24h) })}</span>
+                  </div>
+                  <div class="text-end">
+                    <p class="text-xs text-gray-500">${t('list.cardMarketCap')}</p>
+                    <p class="font-medium text-sm">${formatLargeCurrency(coin.marketCap)}</p>
+                  </div>
+                </div>
+              </div>
+            `;
+};
+
+/** Renders the data in a card/grid view, updating only the cards that changed. */
+const renderCards = (coins, oldPrices, container) => {
+  let grid = container.querySelector('[role="list"]');
+  if (!grid) {
+    setHtml(container, html`
+        <div role="list" class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6 p-4"></div>
+      `);
+    grid = container.querySelector('[role="list"]');
+  }
+  grid.setAttribute('aria-label', t('list.label'));
+  renderKeyed(grid, coins.map(coin => renderCard(coin, oldPrices)));
+};
+
+/** Updates the pagination buttons and indicator. */
+const updatePaginationControls = (totalPages, totalItems) => {
+  const prevButton = document.getElementById('prev-button');
+  const nextButton = document.getElementById('next-button');
+  const pageIndicator = document.getElementById('page-indicator');
+
+  // More coins may exist beyond what has been loaded, so the last page is never final
+  const canLoadMore = canLoadMoreCoins();
+  prevButton.disabled = currentPage === 1;
+  nextButton.disabled = (currentPage >= totalPages || totalItems === 0) && !canLoadMore;
+
+  if (totalItems === 0) {
+    pageIndicator.textContent = t(canLoadMore ? 'pagination.noResultsYet' : 'pagination.noResults');
+  } else {
+    pageIndicator.textContent = t('pagination.page', { page: currentPage, total: `${totalPages}${canLoadMore ? '+' : ''}` });
+  }
+};
+
+/** Toggles between table and card view. */
+export const toggleView = (view) => {
+  currentView = view;
+  localStorage.setItem('viewMode', view);
+
+  const tableBtn = document.getElementById('view-table');
+  const cardsBtn = document.getElementById('view-cards');
+  setActiveToggleButton(view === 'table' ? tableBtn : cardsBtn, [tableBtn, cardsBtn]);
+
+  // Re-render
+  renderCoins(visibleCoins);
+  syncRoute();
+  feather.replace();
+};
+
+/** Switches between all coins and the starred watchlist. */
+export const setScope = (scope) => {
+  currentScope = scope;
+  localStorage.setItem('listScope', scope);
+
+  const allBtn = document.getElementById('scope-all');
+  const watchlistBtn = document.getElementById('scope-watchlist');
+  setActiveToggleButton(scope === 'watchlist' ? watchlistBtn : allBtn, [allBtn, watchlistBtn]);
+
+  currentPage = 1;
+  updateVisibleCoins();
+  syncRoute({ replace: true });
+  feather.replace();
+};
+
+/**
+ * Sorts the list by a column, flipping the direction if it is already active.
+ * @param {string} key - The coin field to sort by.
+ * @param {string} [direction] - Optional explicit direction ('asc' or 'desc').
+ */
+export const sortBy = (key, direction) => {
+  if (direction) {
+    sortState = { key, direction };
+  } else if (sortState.key === key) {
+    sortState = { key, direction: sortState.direction === 'asc' ? 'desc' : 'asc' };
+  } else {
+    // Rank reads naturally ascending; every other metric is most useful biggest-first
+    sortState = { key, direction: key === 'rank' ? 'asc' : 'desc' };
+  }
+  localStorage.setItem('sortState', JSON.stringify(sortState));
+  syncSortControls();
+
+  currentPage = 1;
+  updateVisibleCoins();
+  syncRoute({ replace: true });
+  feather.replace();
+};
+
+/** Keeps the filter panel's sort select in step with the current sort state. */
+export const syncSortControls = () => {
+  document.getElementById('sort-select').value = `${sortState.key}:${sortState.direction}`;
+};
+
+/** Handles the sort select in the filter panel (used mainly by the card view). */
+export const handleSortSelect = (event) => {
+  const [key, direction] = event.target.value.split(':');
+  sortBy(key, direction);
+};
+
+/** Reads the range inputs from the filter panel into the filter state. */
+const readRangeFilters = () => {
+  const filters = {};
+  document.querySelectorAll('#filter-panel input[data-field]').forEach(input => {
+    const { field, bound } = input.dataset;
+    const value = parseNumericInput(input.value);
+    if (value === null) return;
+    filters[field] = filters[field] || { min: null, max: null };
+    filters[field][bound] = value;
+  });
+  return filters;
+};
+
+/** Writes the saved range filters back into the filter panel inputs. */
+export const populateRangeInputs = () => {
+  document.querySelectorAll('#filter-panel input[data-field]').forEach(input => {
+    const { field, bound } = input.dataset;
+    const value = rangeFilters[field] ? rangeFilters[field][bound] : null;
+    input.value = value == null ? '' : value;
+  });
+  updateFilterCount();
+};
+
+/** Shows how many range filters are currently active. */
+export const updateFilterCount = () => {
+  const count = Object.keys(rangeFilters).length;
+  document.getElementById('filter-count').textContent = count ? t('filters.activeCount', { count }) : '';
+};
+
+/** Handles edits to the numeric range filters with debounce. */
+export const handleFilterChange = (event) => {
+  if (!event.target.dataset.field) return;
+  clearTimeout(filterTimeout);
+  filterTimeout = setTimeout(() => {
+    rangeFilters = readRangeFilters();
+    localStorage.setItem('rangeFilters', JSON.stringify(rangeFilters));
+    updateFilterCount();
+    currentPage = 1;
+    updateVisibleCoins();
+    syncRoute({ replace: true });
+    feather.replace();
+  }, 300);
+};
+
+/** Clears every numeric range filter. */
+export const clearFilters = () => {
+  rangeFilters = {};
+  localStorage.removeItem('rangeFilters');
+  populateRangeInputs();
+  currentPage = 1;
+  updateVisibleCoins();
+  syncRoute({ replace: true });
+  feather.replace();
+};
+
+/** Handles the search input with debounce. */
+export const handleSearch = () => {
+  clearTimeout(searchTimeout);
+  searchTimeout = setTimeout(() => {
+    currentPage = 1; // Reset to first page on new search
+    updateVisibleCoins();
+    syncRoute();
+    feather.replace();
+    loadCoinsForSearch();
+  }, 300); // Debounce for 300ms
+};
+
+/** Jumps to a page (clamped to the last one) without touching the URL. */
+export const showPage = (page) => {
+  currentPage = page;
+  updateVisibleCoins();
+};
+
+/** Event handler for the Previous button. */
+export const goToPreviousPage = () => {
+  if (currentPage > 1) {
+    currentPage--;
+    updateVisibleCoins();
+    syncRoute();
+    feather.replace();
+  }
+};
+
+/** Event handler for the Next button; loads more coins when paging past the loaded ones. */
+export const goToNextPage = async () => {
+  if (moreTickersRequest) return; // Ignore repeat clicks while a page is loading
+  const needed = currentPage * pageSize + 1;
+  if (filteredCoinCount < needed && canLoadMoreCoins()) {
+    try {
+      await loadCoinsUntil(needed);
+      hideMessage();
+    } catch (error) {
+      console.error('Could not load more coins:', error);
+      showMessage(t('data.loadMoreFailed'), 'error');
+      return;
+    }
+  }
+  if (filteredCoinCount < needed) {
+    updateVisibleCoins(); // Nothing further exists; refresh the controls
+    return;
+  }
+  currentPage++;
+  updateVisibleCoins();
+  syncRoute();
+  feather.replace();
+};
+
+/** Changes how many coins are shown per page, keeping the first visible coin in view. */
+export const handlePageSizeChange = (event) => {
+  const firstVisibleIndex = (currentPage - 1) * pageSize;
+  pageSize = Number(event.target.value);
+  localStorage.setItem('pageSize', pageSize);
+  currentPage = Math.floor(firstVisibleIndex / pageSize) + 1;
+  updateVisibleCoins();
+  syncRoute({ replace: true });
+  feather.replace();
+};
+
+/** Fills the page size picker. */
+export const renderPageSizeSelect = () => {
+  const select = document.getElementById('page-size-select');
+  setHtml(select, PAGE_SIZE_OPTIONS.map(size => html`<option value="${size}">${size}</option>`));
+  select.value = pageSize;
+};
@@ -0,0 +1,320 @@
+import { renderLineChartSvg } from '../charts.js';
+import { HISTORY_RANGES, getPriceHistory } from '../history.js';
+import { fetchDataWithRetry } from '../api.js';
+import { getFullyDilutedValuation, getSupplyShare, getVolumeToMarketCap } from '../metrics.js';
+import {
+  displayCurrency,
+  formatCurrency,
+  formatLargeCurrency,
+  formatLargeNumber,
+  formatPercent,
+  formatPrecisePrice,
+  getGainLossClass,
+  renderChange
+} from '../format.js';
+import { html, raw, setHtml } from '../html.js';
+import { captureFocus, restoreFocus } from '../a11y.js';
+import { getLocale, t } from '../i18n.js';
+import { MAX_COMPARE_COINS, comparedCoinIds, setCompared } from './comparison-view.js';
+import { matchingCoins } from './list-view.js';
+import { renderCalculator, resetCalculator } from './calculator-view.js';
+import { allCoins, dataProvider, syncRoute } from '../app.js';
+
+// --- Coin Detail Modal ---
+// The tabbed detail dialog for one coin: overview with the price history chart,
+// supply metrics and exchange markets, plus previous/next navigation.
+
+const MARKETS_CACHE_TTL = 5 * 60000; // Exchange markets change slowly; refetch at most every 5 minutes
+const MAX_MARKETS_SHOWN = 20;
+export let modalCoinId = null;
+let modalTab = 'overview'; // 'overview', 'supply', 'markets' or 'calculator'
+const marketsCache = new Map(); // "providerId:coinId" → { markets, fetchedAt }
+let chartRange = localStorage.getItem('chartRange') || '24h';
+let modalHideTimeout = null;
+let modalReturnFocus = null; // Where focus goes back to when the detail modal closes
+
+/**
+ * Displays the modal with coin details.
+ * @param {string} coinId - The coin to show.
+ * @param {Object} [options] - `replaceRoute` swaps the current history entry instead of adding one.
+ */
+export const showCoinDetails = (coinId, { replaceRoute = false } = {}) => {
+  const coin = allCoins.find(c => c.id === coinId);
+  if (!coin) return;
+
+  const isAlreadyOpen = modalCoinId === coin.id;
+  modalCoinId = coin.id;
+  if (!isAlreadyOpen) resetCalculator(coin);
+  renderModalDetails();
+  renderModalChart();
+  renderModalCompareButton();
+  if (!isAlreadyOpen) syncRoute({ replace: replaceRoute });
+
+  clearTimeout(modalHideTimeout);
+  const modal = document.getElementById('coin-detail-modal');
+  const wasHidden = modal.classList.contains('hidden');
+  modal.classList.remove('hidden');
+  document.getElementById('modal-container').classList.remove('scale-95');
+  document.getElementById('modal-container').classList.add('scale-100');
+  if (wasHidden) {
+    modalReturnFocus = captureFocus();
+    document.getElementById('modal-close-button').focus();
+  }
+};
+
+/** Renders one labelled value tile in the detail modal. */
+export const renderDetailTile = ({ label, value, className = 'text-gray-800' }) => html`
+        <div class="p-3 bg-gray-50 rounded-xl">
+          <p class="text-sm text-gray-600">${label}</p>
+          <p class="text-lg font-bold mt-1 ${className}">${value}</p>
+        </div>`;
+
+/** Translates a metric label and appends the display currency, e.g. "Price (EUR)". */
+export const withCurrency = (labelKey) => t('common.withUnit', { label: t(labelKey), unit: displayCurrency });
+
+/** Formats a BTC-denominated price. */
+const formatBtcPrice = (value) => (value == null
+  ? t('common.na')
+  : `₿${value.toLocaleString(getLocale(), { maximumSignificantDigits: 6 })}`);
+
+/** Fills every tab of the detail modal for the open coin. */
+export const renderModalDetails = () => {
+  const coin = allCoins.find(c => c.id === modalCoinId);
+  if (!coin) return;
+
+  document.getElementById('modal-coin-name').textContent = `${coin.name} (${coin.symbol})`;
+  document.getElementById('modal-coin-rank').textContent = coin.rank;
+
+  const changeTile = (labelKey, value) => ({ label: t(labelKey), value: renderChange(value), className: getGainLossClass(value) });
+  setHtml(document.getElementById('modal-overview-stats'), [
+    { label: withCurrency('metric.price'), value: formatCurrency(coin.price), className: 'text-indigo-700' },
+    { label: t('metric.priceBtc'), value: formatBtcPrice(coin.priceBtc) },
+    { label: withCurrency('metric.marketCap'), value: formatLargeCurrency(coin.marketCap) },
+    changeTile('metric.change1h', coin.change1h),
+    changeTile('metric.change24h', coin.change24h),
+    changeTile('metric.change7d', coin.change7d),
+    { label: withCurrency('metric.volume24h'), value: formatLargeCurrency(coin.volume24h) }
+  ].map(renderDetailTile));
+
+  const volumeRatio = getVolumeToMarketCap(coin);
+  setHtml(document.getElementById('modal-supply-stats'), [
+    { label: t('metric.circulatingSupply'), value: formatLargeNumber(coin.circulatingSupply) },
+    { label: t('metric.totalSupply'), value: formatLargeNumber(coin.totalSupply) },
+    { label: t('metric.maxSupply'), value: coin.maxSupply ? formatLargeNumber(coin.maxSupply) : t('metric.noFixedCap') },
+    { label: t('metric.circulatingOfTotal'), value: formatPercent(getSupplyShare(coin.circulatingSupply, coin.totalSupply)) },
+    { label: t('metric.circulatingOfMax'), value: formatPercent(getSupplyShare(coin.circulatingSupply, coin.maxSupply)) },
+    { label: withCurrency('metric.fullyDilutedValuation'), value: formatLargeCurrency(getFullyDilutedValuation(coin)) },
+    { label: t('metric.volumeToMarketCap'), value: formatPercent(volumeRatio == null ? null : volumeRatio * 100) }
+  ].map(renderDetailTile));
+
+  renderCalculator();
+  renderModalNavigation();
+  renderModalTabs();
+};
+
+/** The list prev/next steps through: the current view, or all loaded coins if the open coin is not in it. */
+const getModalNavigationList = () => (
+  matchingCoins.some(coin => coin.id === modalCoinId) ? matchingCoins : allCoins
+);
+
+/** Enables the previous/next buttons and names the coins they lead to. */
+const renderModalNavigation = () => {
+  const list = getModalNavigationList();
+  const index = list.findIndex(coin => coin.id === modalCoinId);
+  const buttons = [
+    [document.getElementById('modal-prev-button'), list[index - 1], t('modal.previous')],
+    [document.getElementById('modal-next-button'), list[index + 1], t('modal.next')]
+  ];
+  buttons.forEach(([button, target, label]) => {
+    button.disabled = index === -1 || !target;
+    const fullLabel = target ? t('modal.navigateTo', { label, name: target.name }) : label;
+    button.title = fullLabel;
+    button.setAttribute('aria-label', fullLabel);
+  });
+};
+
+/** Opens the coin before (-1) or after (+1) the open one, keeping a single history entry. */
+export const showAdjacentCoin = (offset) => {
+  const list = getModalNavigationList();
+  const target = list[list.findIndex(coin => coin.id === modalCoinId) + offset];
+  if (target) showCoinDetails(target.id, { replaceRoute: true });
+};
+
+/** Shows the selected detail tab and loads exchange markets when that tab is open. */
+const renderModalTabs = () => {
+  document.querySelectorAll('[data-modal-tab]').forEach(tab => {
+    const isActive = tab.dataset.modalTab === modalTab;
+    tab.setAttribute('aria-selected', isActive);
+    tab.tabIndex = isActive ? 0 : -1;
+    tab.classList.toggle('bg-white', isActive);
+    tab.classList.toggle('text-indigo-600', isActive);
+    tab.classList.toggle('shadow-md', isActive);
+    tab.classList.toggle('font-semibold', isActive);
+    tab.classList.toggle('text-gray-700', !isActive);
+    document.getElementById(tab.getAttribute('aria-controls')).classList.toggle('hidden', !isActive);
+  });
+  if (modalTab === 'markets') renderModalMarkets();
+};
+
+/** Switches the detail tab from a click. */
+export const handleModalTabClick = (event) => {
+  const tab = event.target.closest('[data-modal-tab]');
+  if (!tab) return;
+  modalTab = tab.dataset.modalTab;
+  renderModalTabs();
+};
+
+/** Arrow keys, Home and End move between detail tabs, following the ARIA tabs pattern. */
+export const handleModalTabKeydown = (event) => {
+  const tabs = [...document.querySelectorAll('[data-modal-tab]')];
+  const index = tabs.findIndex(tab => tab.dataset.modalTab === modalTab);
+  const targets = { ArrowRight: index + 1, ArrowLeft: index - 1, Home: 0, End: tabs.length - 1 };
+  if (targets[event.key] === undefined) return;
+  event.preventDefault();
+  const target = tabs[(targets[event.key] + tabs.length) % tabs.length];
+  modalTab = target.dataset.modalTab;
+  renderModalTabs();
+  target.focus();
+};
+
+/**
+ * Returns the exchange markets for a coin from the active provider, cached briefly.
+ * @param {string} coinId - The coin id.
+ * @returns {Promise<Array<Object>>} The markets.
+ */
+const loadCoinMarkets = async (coinId) => {
+  const cacheKey = `${dataProvider.id}:${coinId}`;
+  const cached = marketsCache.get(cacheKey);
+  if (cached && Date.now() - cached.fetchedAt < MARKETS_CACHE_TTL) return cached.markets;
+
+  const markets = await dataProvider.fetchMarkets(fetchDataWithRetry, coinId);
+  marketsCache.set(cacheKey, { markets, fetchedAt: Date.now() });
+  return markets;
+};
+
+/** Renders the open coin's busiest exchange markets. */
+const renderModalMarkets = async () => {
+  const coinId = modalCoinId;
+  const marketsEl = document.getElementById('modal-markets');
+  if (!marketsCache.has(`${dataProvider.id}:${coinId}`)) {
+    setHtml(marketsEl, html`<p class="text-sm text-gray-500 p-4 text-center">${t('markets.loading')}</p>`);
+  }
+
+  let markets;
+  try {
+    markets = await loadCoinMarkets(coinId);
+  } catch (error) {
+    if (coinId !== modalCoinId) return;
+    console.error('Markets Fetch Error:', error);
+    setHtml(marketsEl, html`<p class="text-sm text-red-600 p-4 text-center">${error.retryAfterMs !== undefined
+      ? t('markets.rateLimited')
+      : t('markets.failed')}</p>`);
+    return;
+  }
+  if (coinId !== modalCoinId || modalTab !== 'markets') return; // The user moved on while loading
+
+  if (markets.length === 0) {
+    setHtml(marketsEl, html`<p class="text-sm text-gray-500 p-4 text-center">${t('markets.empty')}</p>`);
+    return;
+  }
+  const busiest = [...markets]
+    .sort((a, b) => (b.volume24h ?? -1) - (a.volume24h ?? -1))
+    .slice(0, MAX_MARKETS_SHOWN);
+  setHtml(marketsEl, html`
+        <table class="min-w-full divide-y divide-gray-200 text-sm">
+          <thead>
+            <tr class="bg-gray-50 text-start text-xs font-semibold text-gray-500 uppercase tracking-wider">
+              <th scope="col" class="px-4 py-3 rounded-ss-xl">${t('markets.exchange')}</th>
+              <th scope="col" class="px-4 py-3">${t('markets.pair')}</th>
+              <th scope="col" class="px-4 py-3">${withCurrency('metric.price')}</th>
+              <th scope="col" class="px-4 py-3 rounded-se-xl">${withCurrency('metric.volume24h')}</th>
+            </tr>
+          </thead>
+          <tbody class="divide-y divide-gray-100">
+            ${busiest.map(market => html`
+              <tr>
+                <td class="px-4 py-2 whitespace-nowrap font-medium text-gray-800">${market.exchange}</td>
+                <td class="px-4 py-2 whitespace-nowrap text-gray-600">${market.pair}</td>
+                <td class="px-4 py-2 whitespace-nowrap text-gray-800">${formatCurrency(market.price)}</td>
+                <td class="px-4 py-2 whitespace-nowrap text-gray-600">${formatLargeCurrency(market.volume24h)}</td>
+              </tr>`)}
+          </tbody>
+        </table>
+        <p class="mt-2 text-xs text-gray-500">
+          ${t('markets.summary', { shown: busiest.length, total: markets.length, provider: t(dataProvider.labelKey) })}
+        </p>
+      `);
+};
+
+/** Draws the captured price history for the coin shown in the modal. */
+export const renderModalChart = async () => {
+  const coinId = modalCoinId;
+  const chartEl = document.getElementById('modal-chart');
+
+  document.querySelectorAll('[data-chart-range]').forEach(btn => {
+    const isActive = btn.dataset.chartRange === chartRange;
+    btn.classList.toggle('bg-indigo-500', isActive);
+    btn.classList.toggle('text-white', isActive);
+    btn.classList.toggle('text-gray-600', !isActive);
+  });
+
+  let history;
+  try {
+    history = await getPriceHistory(coinId, HISTORY_RANGES[chartRange]);
+  } catch (error) {
+    setHtml(chartEl, html`<p class="text-xs text-gray-500">${t('chart.storageBlocked')}</p>`);
+    return;
+  }
+  if (coinId !== modalCoinId) return; // Another coin was opened while loading
+
+  const timeFormat = chartRange === '7d'
+    ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+    : { hour: '2-digit', minute: '2-digit' };
+  const chart = renderLineChartSvg(
+    history.map(sample => ({ x: sample.timestamp, y: sample.price })),
+    {
+      formatX: (timestamp) => new Date(timestamp).toLocaleString(getLocale(), timeFormat),
+      formatY: formatPrecisePrice
+    }
+  );
+  setHtml(chartEl, chart ? raw(chart) : html`<p class="text-xs text-gray-500">${t('chart.notEnoughData')}</p>`);
+};
+
+/** Switches the modal chart between the 1h, 24h and 7d ranges. */
+export const setChartRange = (range) => {
+  chartRange = range;
+  localStorage.setItem('chartRange', range);
+  renderModalChart();
+};
+
+/** Updates the detail modal's compare button for the coin on display. */
+export const renderModalCompareButton = () => {
+  const button = document.getElementById('modal-compare-button');
+  const isCompared = comparedCoinIds.includes(modalCoinId);
+  button.textContent = t(isCompared ? 'compare.remove' : 'compare.add');
+  button.disabled = !isCompared && comparedCoinIds.length >= MAX_COMPARE_COINS;
+};
+
+/** Adds or removes the modal's coin from the comparison. */
+export const toggleModalCompare = () => {
+  if (!modalCoinId) return;
+  setCompared(modalCoinId, !comparedCoinIds.includes(modalCoinId));
+  renderModalCompareButton();
+};
+
+/** Closes the modal. */
+export const closeModal = (event) => {
+  if (event && event.target.id !== 'coin-detail-modal') return; // Prevent closing if clicking inside the modal content
+
+  modalCoinId = null;
+  syncRoute();
+  const modal = document.getElementById('coin-detail-modal');
+  document.getElementById('modal-container').classList.add('scale-95');
+  document.getElementById('modal-container').classList.remove('scale-100');
+
+  modalHideTimeout = setTimeout(() => {
+    modal.classList.add('hidden');
+  }, 300); // Delay hiding to match transition
+  restoreFocus(modalReturnFocus);
+  modalReturnFocus = null;
+};
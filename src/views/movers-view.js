@@ -0,0 +1,84 @@
+import { formatPercent, getGainLossClass, renderChange } from '../format.js';
+import { html, setHtml } from '../html.js';
+import { MOVER_PERIODS, getTopMovers, getVolumeSpikes } from '../movers.js';
+import { t } from '../i18n.js';
+import { allCoins, rankChanges } from '../app.js';
+
+// --- Market Movers Section ---
+// Renders the collapsible gainers, losers, volume and rank change lists from the
+// rankings in movers.js.
+
+const MOVERS_COUNT = 5; // Entries per movers list
+let moversPeriod = MOVER_PERIODS[localStorage.getItem('moversPeriod')] ? localStorage.getItem('moversPeriod') : '24h';
+
+/** Renders one movers list; each entry opens the coin's details. */
+const renderMoversList = ({ title, entries, emptyText }) => html`
+        <div>
+          <h3 class="text-sm font-semibold text-gray-700 mb-2">${title}</h3>
+          ${entries.length === 0 ? html`<p class="text-xs text-gray-500 px-2">${emptyText}</p>` : html`
+          <ul class="space-y-1">
+            ${entries.map(({ coin, value, className = '' }) => html`
+              <li>
+                <button type="button" aria-haspopup="dialog" data-action="show-details" data-coin-id="${coin.id}"
+                  class="w-full flex justify-between items-center px-2 py-1 rounded-lg text-sm hover:bg-gray-50 transition duration-150">
+                  <span class="truncate text-start">
+                    <span class="font-semibold text-gray-800">${coin.symbol}</span>
+                    <span class="text-xs text-gray-500">${coin.name}</span>
+                  </span>
+                  <span class="ms-2 whitespace-nowrap font-medium ${className}">${value}</span>
+                </button>
+              </li>`)}
+          </ul>`}
+        </div>`;
+
+/** Renders the gainers, losers, volume and rank change lists from the loaded coins. */
+export const renderMovers = () => {
+  document.querySelectorAll('[data-movers-period]').forEach(btn => {
+    const isActive = btn.dataset.moversPeriod === moversPeriod;
+    btn.classList.toggle('bg-indigo-500', isActive);
+    btn.classList.toggle('text-white', isActive);
+    btn.classList.toggle('text-gray-600', !isActive);
+    btn.setAttribute('aria-pressed', isActive);
+  });
+
+  const field = MOVER_PERIODS[moversPeriod];
+  const toChangeEntry = coin => ({ coin, value: renderChange(coin[field]), className: getGainLossClass(coin[field]) });
+  const lists = [{
+    title: t('movers.topGainers', { period: moversPeriod }),
+    entries: getTopMovers(allCoins, moversPeriod, 'gainers', MOVERS_COUNT).map(toChangeEntry),
+    emptyText: t('movers.noGainers')
+  }, {
+    title: t('movers.topLosers', { period: moversPeriod }),
+    entries: getTopMovers(allCoins, moversPeriod, 'losers', MOVERS_COUNT).map(toChangeEntry),
+    emptyText: t('movers.noLosers')
+  }, {
+    title: t('movers.volumeSpikes'),
+    entries: getVolumeSpikes(allCoins, MOVERS_COUNT).map(({ coin, ratio }) => ({
+      coin,
+      value: t('movers.ofMarketCap', { percent: formatPercent(ratio * 100) })
+    })),
+    emptyText: t('movers.noVolume')
+  }, {
+    title: t('movers.rankChanges'),
+    entries: rankChanges.slice(0, MOVERS_COUNT).map(({ coin, previousRank, change }) => ({
+      coin,
+      value: html`<span aria-hidden="true">${change > 0 ? '▲' : '▼'}</span> #${previousRank} → #${coin.rank}`,
+      className: getGainLossClass(change)
+    })),
+    emptyText: t('movers.noRankChanges')
+  }];
+
+  setHtml(document.getElementById('movers-lists'), lists.map(renderMoversList));
+};
+
+/** Switches the gainers and losers lists between the 1h, 24h and 7d changes. */
+export const setMoversPeriod = (period) => {
+  moversPeriod = period;
+  localStorage.setItem('moversPeriod', period);
+  renderMovers();
+};
+
+/** Remembers whether the movers section was collapsed. */
+export const handleMoversToggle = (event) => {
+  localStorage.setItem('moversOpen', event.target.open);
+};
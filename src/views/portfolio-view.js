@@ -0,0 +1,211 @@
+import { readFileAsText } from '../files.js';
+import { formatCurrency, getGainLossClass, formatPercent } from '../format.js';
+import { html, setHtml } from '../html.js';
+import {
+  computePortfolio,
+  createTransaction,
+  exportTransactionsCsv,
+  loadTransactions,
+  parseTransactionsCsv,
+  saveTransactions
+} from '../portfolio.js';
+import { getLocale, t } from '../i18n.js';
+import { showMessage } from './ui.js';
+import { allCoins } from '../app.js';
+
+// --- Portfolio Section ---
+// Portfolio totals, holdings and transaction history, the transaction form and
+// CSV import/export. The accounting lives in portfolio.js.
+
+export let transactions = loadTransactions();
+
+/** Renders portfolio totals, open holdings and the transaction history. */
+export const renderPortfolio = () => {
+  const totalsEl = document.getElementById('portfolio-totals');
+  const holdingsEl = document.getElementById('portfolio-holdings');
+  const historyEl = document.getElementById('portfolio-transactions');
+
+  let portfolio;
+  try {
+    portfolio = computePortfolio(transactions, allCoins);
+  } catch (error) {
+    setHtml(holdingsEl, html`<p class="text-center text-red-600 p-4">${error.message}</p>`);
+    return;
+  }
+  const { holdings, totals } = portfolio;
+
+  const totalCards = [{
+    label: t('portfolio.totalValue'),
+    value: formatCurrency(totals.value),
+    className: 'text-gray-800'
+  }, {
+    label: t('portfolio.costBasis'),
+    value: formatCurrency(totals.costBasis),
+    className: 'text-gray-800'
+  }, {
+    label: t('portfolio.unrealizedPnl'),
+    value: formatCurrency(totals.unrealizedPnl),
+    className: getGainLossClass(totals.unrealizedPnl)
+  }, {
+    label: t('portfolio.realizedPnl'),
+    value: formatCurrency(totals.realizedPnl),
+    className: getGainLossClass(totals.realizedPnl)
+  }];
+  setHtml(totalsEl, html`
+      ${totalCards.map(card => html`
+        <div class="p-4 bg-gray-50 rounded-xl">
+          <p class="text-sm text-gray-600">${card.label}</p>
+          <p class="text-xl font-bold mt-1 ${card.className}">${card.value}</p>
+        </div>
+      `)}
+      ${totals.unpricedCount > 0 && html`<p class="col-span-full text-xs text-gray-500">${t('portfolio.unpriced', { count: totals.unpricedCount })}</p>`}
+    `);
+
+  if (holdings.length === 0) {
+    setHtml(holdingsEl, html`<p class="text-center text-gray-500 p-4">${t('portfolio.noHoldings')}</p>`);
+  } else {
+    setHtml(holdingsEl, html`
+        <table class="min-w-full divide-y divide-gray-200">
+          <thead>
+            <tr class="bg-gray-50 text-start text-xs font-semibold text-gray-500 uppercase tracking-wider">
+              <th class="px-4 py-3">${t('portfolio.coin')}</th>
+              <th class="px-4 py-3">${t('portfolio.quantity')}</th>
+              <th class="px-4 py-3">${t('portfolio.averageCost')}</th>
+              <th class="px-4 py-3">${t('metric.price')}</th>
+              <th class="px-4 py-3">${t('portfolio.value')}</th>
+              <th class="px-4 py-3">${t('portfolio.unrealizedPnl')}</th>
+              <th class="px-4 py-3">${t('portfolio.realizedPnl')}</th>
+            </tr>
+          </thead>
+          <tbody class="bg-white divide-y divide-gray-100">
+            ${holdings.map(holding => html`
+                <tr class="hover:bg-gray-50 cursor-pointer transition duration-150" data-action="show-details" data-coin-id="${holding.coinId}">
+                  <td class="px-4 py-3 whitespace-nowrap text-sm font-semibold text-gray-800">${holding.name} (${holding.symbol})</td>
+                  <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-900">${holding.quantity.toLocaleString(getLocale(), { maximumFractionDigits: 8 })}</td>
+                  <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-500">${formatCurrency(holding.averageCost)}</td>
+                  <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-900">${holding.currentPrice === null ? t('common.na') : formatCurrency(holding.currentPrice)}</td>
+                  <td class="px-4 py-3 whitespace-nowrap text-sm font-semibold text-gray-900">${holding.value === null ? t('common.na') : formatCurrency(holding.value)}</td>
+                  <td class="px-4 py-3 whitespace-nowrap text-sm font-medium ${getGainLossClass(holding.unrealizedPnl)}">
+                    ${holding.unrealizedPnl === null ? t('common.na') : formatCurrency(holding.unrealizedPnl)}
+                    ${holding.unrealizedPnlPercent !== null && `(${formatPercent(holding.unrealizedPnlPercent)})`}
+                  </td>
+                  <td class="px-4 py-3 whitespace-nowrap text-sm font-medium ${getGainLossClass(holding.realizedPnl)}">${formatCurrency(holding.realizedPnl)}</td>
+                </tr>
+              `)}
+          </tbody>
+        </table>
+      `);
+  }
+
+  document.getElementById('transaction-count').textContent = transactions.length;
+  setHtml(historyEl, transactions.length === 0
+    ? html`<p class="text-center text-gray-500 p-4">${t('portfolio.noTransactions')}</p>`
+    : html`
+        <table class="min-w-full divide-y divide-gray-200 text-sm">
+          <tbody class="divide-y divide-gray-100">
+            ${[...transactions].sort((a, b) => b.date.localeCompare(a.date)).map(tx => html`
+                <tr>
+                  <td class="px-4 py-2 whitespace-nowrap text-gray-500">${tx.date}</td>
+                  <td class="px-4 py-2 whitespace-nowrap font-semibold uppercase ${tx.type === 'buy' ? 'text-gain' : 'text-loss'}">${t(`portfolio.${tx.type}`)}</td>
+                  <td class="px-4 py-2 whitespace-nowrap text-gray-800">${tx.quantity} ${tx.symbol}</td>
+                  <td class="px-4 py-2 whitespace-nowrap text-gray-500">@ ${formatCurrency(tx.price)}</td>
+                  <td class="px-4 py-2 whitespace-nowrap text-gray-500">${t('portfolio.fee', { fee: formatCurrency(tx.fee) })}</td>
+                  <td class="px-4 py-2 text-end">
+                    <button class="text-gray-400 hover:text-red-600 transition duration-150" title="${t('portfolio.deleteTransaction')}"
+                      data-action="delete-transaction" data-transaction-id="${tx.id}">
+                      <i data-feather="trash-2" class="w-4 h-4"></i>
+                    </button>
+                  </td>
+                </tr>
+              `)}
+          </tbody>
+        </table>
+      `);
+};
+
+/** Prefills the price field with the live price when a coin is picked. */
+export const handleTransactionCoinChange = () => {
+  const coin = allCoins.find(c => c.id === document.getElementById('tx-coin').value);
+  if (coin) {
+    document.getElementById('tx-price').value = coin.price;
+  }
+};
+
+/** Records a transaction from the portfolio form. */
+export const handleTransactionSubmit = (event) => {
+  event.preventDefault();
+  const form = event.target;
+  const coin = allCoins.find(c => c.id === form.elements['tx-coin'].value);
+
+  try {
+    const transaction = createTransaction({
+      coinId: coin && coin.id,
+      symbol: coin && coin.symbol,
+      name: coin && coin.name,
+      type: form.elements['tx-type'].value,
+      quantity: form.elements['tx-quantity'].value,
+      price: form.elements['tx-price'].value,
+      fee: form.elements['tx-fee'].value,
+      date: form.elements['tx-date'].value
+    });
+    // Replaying the full history rejects sells larger than the position held at that date
+    computePortfolio([...transactions, transaction], allCoins);
+
+    transactions.push(transaction);
+    saveTransactions(transactions);
+    form.elements['tx-quantity'].value = '';
+    form.elements['tx-fee'].value = '';
+    renderPortfolio();
+    feather.replace();
+    showMessage(t(`portfolio.recorded.${transaction.type}`, {
+      quantity: transaction.quantity,
+      symbol: transaction.symbol
+    }), 'success');
+  } catch (error) {
+    showMessage(t('portfolio.recordFailed', { error: error.message }), 'error');
+  }
+};
+
+/** Removes a transaction, refusing if that would leave a later sell uncovered. */
+export const deleteTransaction = (transactionId) => {
+  const remaining = transactions.filter(tx => tx.id !== transactionId);
+  try {
+    computePortfolio(remaining, allCoins);
+  } catch (error) {
+    showMessage(t('portfolio.deleteFailed', { error: error.message }), 'error');
+    return;
+  }
+  transactions = remaining;
+  saveTransactions(transactions);
+  renderPortfolio();
+  feather.replace();
+};
+
+/** Downloads all transactions as CSV. */
+export const handleTransactionsExport = () => {
+  if (transactions.length === 0) {
+    showMessage(t('portfolio.nothingToExport'), 'info');
+    return;
+  }
+  exportTransactionsCsv(transactions);
+};
+
+/** Appends the transactions from an imported CSV file. */
+export const handleTransactionsImport = async (event) => {
+  const file = event.target.files[0];
+  event.target.value = ''; // Allow re-importing the same file
+  if (!file) return;
+
+  try {
+    const imported = parseTransactionsCsv(await readFileAsText(file), allCoins);
+    computePortfolio([...transactions, ...imported], allCoins);
+    transactions = [...transactions, ...imported];
+    saveTransactions(transactions);
+    renderPortfolio();
+    feather.replace();
+    showMessage(t('portfolio.imported', { count: imported.length }), 'success');
+  } catch (error) {
+    showMessage(t('portfolio.importFailed', { error: error.message }), 'error');
+    console.error('Transaction Import Error:', error);
+  }
+};
@@ -0,0 +1,261 @@
+import { fetchDataWithRetry } from '../api.js';
+import { displayCurrency, setDisplayCurrency } from '../format.js';
+import { PROVIDERS } from '../providers/index.js';
+import { html, setHtml } from '../html.js';
+import {
+  CURRENCIES,
+  RATE_SOURCES,
+  getFiatRates,
+  getUsdRate,
+  loadCurrencySettings,
+  saveCurrencySettings
+} from '../currency.js';
+import {
+  PALETTES,
+  THEMES,
+  applyTheme,
+  getNextTheme,
+  loadThemeSettings,
+  saveThemeSettings
+} from '../theme.js';
+import {
+  LANGUAGES,
+  currentLanguage,
+  getLocale,
+  saveLanguage,
+  setLanguage,
+  t,
+  translateDocument
+} from '../i18n.js';
+import { showMessage } from './ui.js';
+import {
+  modalCoinId,
+  showCoinDetails,
+  renderModalDetails,
+  renderModalChart,
+  renderModalCompareButton
+} from './modal-view.js';
+import { renderPortfolio } from './portfolio-view.js';
+import { updateVisibleCoins, updateFilterCount } from './list-view.js';
+import { renderStreamStatus } from './streaming-view.js';
+import { isComparisonOpen, renderCompareBar, renderComparison } from './comparison-view.js';
+import { renderMovers } from './movers-view.js';
+import { renderExportPanel } from './export-view.js';
+import {
+  populateAlertConditionSelect,
+  renderAlertRules,
+  renderAlertSubmitLabel,
+  syncBackgroundAlerts
+} from './alerts-view.js';
+import { renderAnalytics } from './analytics-view.js';
+import {
+  allCoins,
+  dataProvider,
+  globalStats,
+  renderGlobalStats,
+  renderRefreshIntervalSelect,
+  populateCoinSelects,
+  renderRefreshStatus,
+  renderStaleBanner
+} from '../app.js';
+
+// --- Settings ---
+// Language, theme and palette, the provider picker and the display currency with
+// its conversion rates.
+
+export let themeSettings = loadThemeSettings();
+let currencySettings = loadCurrencySettings();
+let fiatRates = { rates: {}, fetchedAt: null };
+
+/** Fills the language picker. Language names are shown in their own language. */
+export const renderLanguageSettings = () => {
+  const select = document.getElementById('language-select');
+  setHtml(select, Object.entries(LANGUAGES).map(([code, language]) =>
+    html`<option value="${code}" lang="${code}">${language.label}</option>`
+  ));
+  select.value = currentLanguage;
+};
+
+/** Switches the interface language and re-renders every translated view. */
+export const handleLanguageChange = (event) => {
+  saveLanguage(event.target.value);
+  syncBackgroundAlerts();
+  setLanguage(event.target.value);
+  translateDocument();
+
+  renderThemeControls();
+  renderProviderSettings();
+  renderCurrencySettings();
+  updateDisplayRate();
+  populateAlertConditionSelect();
+  renderAlertSubmitLabel();
+  renderRefreshIntervalSelect();
+  renderExportPanel();
+  renderGlobalStats(globalStats);
+  renderMovers();
+  renderAnalytics();
+  updateVisibleCoins();
+  populateCoinSelects();
+  renderPortfolio();
+  renderAlertRules();
+  if (modalCoinId) {
+    renderModalDetails();
+    renderModalChart();
+    renderModalCompareButton();
+  }
+  renderCompareBar();
+  if (isComparisonOpen) renderComparison();
+  renderRefreshStatus();
+  renderStreamStatus();
+  renderStaleBanner();
+  updateFilterCount();
+  feather.replace();
+};
+
+/** Shows the current theme on the header toggle and fills the palette picker. */
+export const renderThemeControls = () => {
+  const { theme, palette } = themeSettings;
+  const toggle = document.getElementById('theme-toggle');
+  const label = t(THEMES[theme].labelKey);
+  const nextLabel = t(THEMES[getNextTheme(theme)].labelKey).toLocaleLowerCase(getLocale());
+  setHtml(toggle, html`<i data-feather="${THEMES[theme].icon}" class="w-5 h-5" aria-hidden="true"></i>`);
+  toggle.title = t('theme.title', { theme: label });
+  toggle.setAttribute('aria-label', t('theme.switchLabel', { theme: label, next: nextLabel }));
+
+  const select = document.getElementById('palette-select');
+  setHtml(select, Object.entries(PALETTES).map(([value, labelKey]) =>
+    html`<option value="${value}">${t(labelKey)}</option>`
+  ));
+  select.value = palette;
+  feather.replace();
+};
+
+/** Saves and applies new theme settings. */
+const updateThemeSettings = (changes) => {
+  themeSettings = { ...themeSettings, ...changes };
+  saveThemeSettings(themeSettings);
+  applyTheme(themeSettings);
+  renderThemeControls();
+};
+
+/** Cycles light → dark → system from the header toggle. */
+export const handleThemeToggle = () => {
+  updateThemeSettings({ theme: getNextTheme(themeSettings.theme) });
+};
+
+/** Switches between the standard and colorblind-safe gain/loss colors. */
+export const handlePaletteChange = (event) => {
+  updateThemeSettings({ palette: event.target.value });
+};
+
+/** Fills the provider picker and shows the active provider's attribution. */
+export const renderProviderSettings = () => {
+  const select = document.getElementById('provider-select');
+  setHtml(select, Object.values(PROVIDERS).map(provider =>
+    html`<option value="${provider.id}">${t(provider.labelKey)}</option>`
+  ));
+  select.value = dataProvider.id;
+  document.getElementById('data-attribution').textContent = t(dataProvider.attributionKey);
+};
+
+/** Recomputes the USD conversion rate for the selected display currency. */
+export const updateDisplayRate = () => {
+  const rate = getUsdRate(currencySettings.code, { ...currencySettings, fiatRates: fiatRates.rates, coins: allCoins });
+  setDisplayCurrency(rate === null ? 'USD' : currencySettings.code, rate === null ? 1 : rate);
+  document.querySelectorAll('.display-currency-code').forEach(el => {
+    el.textContent = displayCurrency;
+  });
+  renderCurrencyRateInfo(rate);
+};
+
+/** Describes the active conversion rate under the currency settings. */
+const renderCurrencyRateInfo = (rate) => {
+  const infoEl = document.getElementById('currency-rate-info');
+  const { code, rateSource } = currencySettings;
+  if (code === 'USD') {
+    infoEl.textContent = '';
+  } else if (rate === null) {
+    infoEl.textContent = rateSource === 'manual' && CURRENCIES[code].type === 'fiat'
+      ? t('currency.enterManualRate', { code })
+      : t('currency.noRate', { code });
+  } else {
+    const source = CURRENCIES[code].type === 'crypto'
+      ? t('currency.source.derived')
+      : rateSource === 'manual'
+        ? t('currency.source.manual')
+        : t('currency.source.live', { time: new Date(fiatRates.fetchedAt).toLocaleTimeString(getLocale()) });
+    infoEl.textContent = t('currency.rateInfo', {
+      rate: new Intl.NumberFormat(getLocale(), { maximumSignificantDigits: 6 }).format(rate),
+      code,
+      source
+    });
+  }
+};
+
+/** Re-renders every money value after the display currency or rate changes. */
+export const refreshCurrencyDisplay = () => {
+  updateDisplayRate();
+  renderGlobalStats(globalStats);
+  renderAnalytics();
+  updateVisibleCoins();
+  renderPortfolio();
+  if (modalCoinId) showCoinDetails(modalCoinId);
+  feather.replace();
+};
+
+/** Loads live fiat rates when the selected currency needs them. */
+export const loadFiatRatesIfNeeded = async () => {
+  const { code, rateSource } = currencySettings;
+  if (CURRENCIES[code].type !== 'fiat' || code === 'USD' || rateSource !== 'live') return;
+  try {
+    fiatRates = await getFiatRates(fetchDataWithRetry);
+  } catch (error) {
+    showMessage(t('currency.ratesFailed'), 'error');
+    console.error('Exchange Rate Fetch Error:', error);
+  }
+  refreshCurrencyDisplay();
+};
+
+/** Syncs the currency settings controls with the saved settings. */
+export const renderCurrencySettings = () => {
+  const { code, rateSource, manualRates } = currencySettings;
+  const currencySelect = document.getElementById('currency-select');
+  setHtml(currencySelect, Object.entries(CURRENCIES).map(([currencyCode, currency]) =>
+    html`<option value="${currencyCode}">${t('currency.option', { code: currencyCode, name: t(currency.labelKey) })}</option>`
+  ));
+  currencySelect.value = code;
+
+  const sourceSelect = document.getElementById('rate-source-select');
+  setHtml(sourceSelect, Object.entries(RATE_SOURCES).map(([source, labelKey]) =>
+    html`<option value="${source}">${t(labelKey)}</option>`
+  ));
+  sourceSelect.value = rateSource;
+
+  const isForeignFiat = CURRENCIES[code].type === 'fiat' && code !== 'USD';
+  document.getElementById('rate-source-field').classList.toggle('hidden', !isForeignFiat);
+  document.getElementById('manual-rate-field').classList.toggle('hidden', !isForeignFiat || rateSource !== 'manual');
+  document.getElementById('manual-rate-code').textContent = code;
+  document.getElementById('manual-rate-input').value = manualRates[code] || '';
+};
+
+/** Handles changes to any of the currency settings controls. */
+export const handleCurrencySettingsChange = () => {
+  const code = document.getElementById('currency-select').value;
+  const manualRate = parseFloat(document.getElementById('manual-rate-input').value);
+  const manualRates = { ...currencySettings.manualRates };
+  // Only record the manual rate for the currency the input was showing
+  if (code === currencySettings.code) {
+    if (manualRate > 0) manualRates[code] = manualRate;
+    else delete manualRates[code];
+  }
+
+  currencySettings = {
+    code,
+    rateSource: document.getElementById('rate-source-select').value,
+    manualRates
+  };
+  saveCurrencySettings(currencySettings);
+  renderCurrencySettings();
+  refreshCurrencyDisplay();
+  loadFiatRatesIfNeeded();
+};
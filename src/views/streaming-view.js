@@ -0,0 +1,121 @@
+import { html, setHtml } from '../html.js';
+import {
+  DEFAULT_STREAM_URL,
+  createPriceStream,
+  loadStreamingEnabled,
+  saveStreamingEnabled
+} from '../stream.js';
+import { t } from '../i18n.js';
+import { indexCoinsBySymbol } from '../coin-list.js';
+import { modalCoinId, renderModalDetails } from './modal-view.js';
+import { renderPortfolio, transactions } from './portfolio-view.js';
+import { watchlist } from './watchlist-view.js';
+import { updateVisibleCoins, visibleCoins } from './list-view.js';
+import { replaceIcons } from './ui.js';
+import { allCoins, dataProvider } from '../app.js';
+
+// --- Live Prices ---
+// Streams prices for the coins on screen and the starred ones into the loaded
+// coins, shows the connection state and handles the on/off switch. The socket
+// itself is managed by stream.js.
+
+const PRICE_STREAM_URL = import.meta.env.VITE_PRICE_STREAM_URL || DEFAULT_STREAM_URL;
+const STREAM_STATUS_LABELS = {
+  connecting: 'stream.connecting',
+  live: 'stream.live',
+  reconnecting: 'stream.reconnecting',
+  paused: 'stream.paused'
+};
+
+let priceStream = null;
+let streamStatus = 'off';
+
+/**
+ * The coins worth streaming: everything on screen plus every starred coin. Exchange
+ * tickers only carry a symbol, so each symbol streams into its highest-ranked coin
+ * and lower-ranked coins sharing it, such as wrapped assets, keep polled prices.
+ */
+const getStreamedCoins = () => {
+  const coinsBySymbol = indexCoinsBySymbol(allCoins);
+  const coins = new Map(visibleCoins.map(coin => [coin.id, coin]));
+  allCoins.forEach(coin => {
+    if (watchlist.has(coin.id)) coins.set(coin.id, coin);
+  });
+  return [...coins.values()].filter(coin => coinsBySymbol.get(coin.symbol.toUpperCase()) === coin);
+};
+
+/** Points the stream at the current page and watchlist; mock data is never streamed over. */
+export const syncStreamSymbols = () => {
+  if (!priceStream) return;
+  priceStream.setSymbols(dataProvider.streamsLivePrices ? getStreamedCoins().map(coin => coin.symbol) : []);
+};
+
+/**
+ * Patches streamed prices into the loaded coins and re-renders them, so moved
+ * prices flash exactly as they do after a refresh. Only the list rows, holdings
+ * and modal showing a moved coin are redrawn.
+ */
+const applyStreamedPrices = (updates) => {
+  const updatesBySymbol = new Map(updates.map(update => [update.symbol, update]));
+  const oldPrices = {};
+  getStreamedCoins().forEach(coin => {
+    const update = updatesBySymbol.get(coin.symbol.toUpperCase());
+    if (!update || update.price === coin.price) return;
+    oldPrices[coin.id] = coin.price;
+    coin.price = update.price;
+    if (update.change24h !== null) coin.change24h = update.change24h;
+    if (coin.circulatingSupply) coin.marketCap = update.price * coin.circulatingSupply;
+  });
+  if (Object.keys(oldPrices).length === 0) return;
+
+  updateVisibleCoins(oldPrices);
+  replaceIcons(document.getElementById('crypto-list'));
+  if (transactions.some(tx => tx.coinId in oldPrices)) {
+    renderPortfolio();
+    replaceIcons(document.getElementById('portfolio-section'));
+  }
+  if (modalCoinId && modalCoinId in oldPrices) {
+    renderModalDetails();
+    replaceIcons(document.getElementById('coin-detail-modal'));
+  }
+};
+
+/**
+ * Tracks the connection state. Polling keeps the user's interval throughout:
+ * the stream only covers prices of exchange-listed coins, not market caps,
+ * volumes, ranks or unlisted coins.
+ */
+const handleStreamStatusChange = (status) => {
+  streamStatus = status;
+  renderStreamStatus();
+};
+
+/** Shows the connection state next to the refresh countdown. */
+export const renderStreamStatus = () => {
+  const labelKey = STREAM_STATUS_LABELS[streamStatus];
+  const element = document.getElementById('stream-status');
+  element.classList.toggle('hidden', !labelKey);
+  setHtml(element, labelKey && html`<span class="inline-block w-2 h-2 me-1 rounded-full ${streamStatus === 'live' ? 'bg-green-500' : 'bg-gray-400'}" aria-hidden="true"></span>${t(labelKey)}`);
+};
+
+/** Connects the price stream, unless live prices were switched off. */
+export const startPriceStream = () => {
+  priceStream = createPriceStream({
+    url: PRICE_STREAM_URL,
+    onPrices: applyStreamedPrices,
+    onStatusChange: handleStreamStatusChange
+  });
+  document.getElementById('streaming-toggle').checked = loadStreamingEnabled();
+  if (loadStreamingEnabled()) priceStream.start();
+  syncStreamSymbols();
+};
+
+/** Turns live prices on or off from the refresh bar. */
+export const handleStreamingToggle = (event) => {
+  saveStreamingEnabled(event.target.checked);
+  if (event.target.checked) {
+    priceStream.start();
+  } else {
+    priceStream.stop();
+  }
+};
@@ -0,0 +1,58 @@
+// --- Shared UI Helpers ---
+// The message area, pill-style toggle groups and scoped icon replacement, used by
+// every section.
+
+/** Displays a message in the message area. */
+export const showMessage = (message, type = 'info') => {
+  const messageArea = document.getElementById('message-area');
+  messageArea.textContent = message;
+  // Errors interrupt screen readers; everything else waits for a pause
+  messageArea.setAttribute('role', type === 'error' ? 'alert' : 'status');
+
+  let baseClasses = 'text-center p-3 mb-4 rounded-xl text-sm font-medium transition duration-300';
+  if (type === 'error') {
+    messageArea.className = baseClasses + ' bg-red-100 text-red-700 shadow-lg border border-red-200';
+    messageArea.classList.remove('hidden');
+  } else if (type === 'loading') {
+    messageArea.className = baseClasses + ' bg-blue-100 text-blue-700 shadow-lg border border-blue-200';
+    messageArea.classList.remove('hidden');
+  } else if (type === 'success') {
+    messageArea.className = baseClasses + ' bg-green-100 text-green-700 shadow-lg border border-green-200';
+    messageArea.classList.remove('hidden');
+    setTimeout(() => messageArea.classList.add('hidden'), 5000); // Hide after 5 seconds
+  } else { // info
+    messageArea.className = baseClasses + ' bg-gray-100 text-gray-700 shadow-lg border border-gray-200';
+    messageArea.classList.remove('hidden');
+  }
+};
+
+/**
+ * Swaps the icon placeholders inside one element for SVGs, so small updates do
+ * not make feather scan the whole document.
+ * @param {HTMLElement} root - The element whose icons to replace.
+ */
+export const replaceIcons = (root) => {
+  root.querySelectorAll('i[data-feather]').forEach(placeholder => {
+    const icon = feather.icons[placeholder.dataset.feather];
+    if (!icon) return;
+    const attributes = Object.fromEntries([...placeholder.attributes]
+      .filter(attribute => attribute.name !== 'data-feather')
+      .map(attribute => [attribute.name, attribute.value]));
+    placeholder.outerHTML = icon.toSvg(attributes);
+  });
+};
+
+/** Hides the message area, e.g. once a loading message is no longer true. */
+export const hideMessage = () => {
+  document.getElementById('message-area').classList.add('hidden');
+};
+
+/** Highlights the active button in a pill-style toggle group. */
+export const setActiveToggleButton = (activeBtn, buttons) => {
+  buttons.forEach(btn => {
+    btn.classList.remove('bg-white', 'text-indigo-600', 'shadow-md', 'font-semibold');
+    btn.classList.add('text-gray-700', 'hover:bg-gray-300', 'font-medium');
+  });
+  activeBtn.classList.add('bg-white', 'text-indigo-600', 'shadow-md', 'font-semibold');
+  activeBtn.classList.remove('text-gray-700', 'font-medium', 'hover:bg-gray-300');
+};
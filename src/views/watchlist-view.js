@@ -0,0 +1,64 @@
+import { readFileAsText } from '../files.js';
+import {
+  exportWatchlist,
+  loadWatchlist,
+  parseWatchlistImport,
+  saveWatchlist,
+  toggleWatchlistCoin
+} from '../watchlist.js';
+import { t } from '../i18n.js';
+import { showMessage } from './ui.js';
+import { updateVisibleCoins } from './list-view.js';
+import { syncBackgroundAlerts } from './alerts-view.js';
+import { allCoins } from '../app.js';
+
+// --- Watchlist ---
+// The starred coins: the star toggles, the tab count and JSON import/export.
+// Persistence and the file format live in watchlist.js.
+
+export let watchlist = loadWatchlist();
+
+/** Shows the number of starred coins on the watchlist tab. */
+export const updateWatchlistCount = () => {
+  document.getElementById('watchlist-count').textContent = watchlist.size;
+};
+
+/** Stars or unstars a coin without opening its detail modal. */
+export const toggleStar = (coinId) => {
+  toggleWatchlistCoin(watchlist, coinId);
+  syncBackgroundAlerts();
+  updateWatchlistCount();
+  updateVisibleCoins();
+  feather.replace();
+};
+
+/** Downloads the starred coins as a JSON file. */
+export const handleWatchlistExport = () => {
+  if (watchlist.size === 0) {
+    showMessage(t('watchlist.nothingToExport'), 'info');
+    return;
+  }
+  exportWatchlist(watchlist, allCoins);
+};
+
+/** Merges the coins from an imported JSON file into the watchlist. */
+export const handleWatchlistImport = async (event) => {
+  const file = event.target.files[0];
+  event.target.value = ''; // Allow re-importing the same file
+  if (!file) return;
+
+  try {
+    const ids = parseWatchlistImport(await readFileAsText(file));
+    const sizeBefore = watchlist.size;
+    ids.forEach(id => watchlist.add(id));
+    saveWatchlist(watchlist);
+    syncBackgroundAlerts();
+    updateWatchlistCount();
+    updateVisibleCoins();
+    feather.replace();
+    showMessage(t('watchlist.imported', { count: watchlist.size - sizeBefore }), 'success');
+  } catch (error) {
+    showMessage(t('watchlist.importFailed', { error: error.message }), 'error');
+    console.error('Watchlist Import Error:', error);
+  }
+};
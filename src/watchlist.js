@@ -0,0 +1,80 @@
+import { downloadFile, fileTimestamp } from './files.js';
+import { t } from './i18n.js';
+
+// --- Watchlist (Starred Coins) ---
+const WATCHLIST_STORAGE_KEY = 'watchlist';
+const WATCHLIST_EXPORT_VERSION = 1;
+
+/**
+ * Loads the starred coin ids from localStorage.
+ * @returns {Set<string>} The starred coin ids.
+ */
+export const loadWatchlist = () => {
+  try {
+    const ids = JSON.parse(localStorage.getItem(WATCHLIST_STORAGE_KEY) || '[]');
+    return new Set(Array.isArray(ids) ? ids.map(String) : []);
+  } catch (error) {
+    console.warn('Ignoring corrupt watchlist in localStorage.', error);
+    return new Set();
+  }
+};
+
+/** Persists the starred coin ids to localStorage. */
+export const saveWatchlist = (watchlist) => {
+  localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify([...watchlist]));
+};
+
+/**
+ * Adds or removes a coin from the watchlist and persists the change.
+ * @returns {boolean} True if the coin is now starred.
+ */
+export const toggleWatchlistCoin = (watchlist, coinId) => {
+  const isStarred = !watchlist.delete(coinId);
+  if (isStarred) watchlist.add(coinId);
+  saveWatchlist(watchlist);
+  return isStarred;
+};
+
+/**
+ * Downloads the watchlist as a JSON file. Names and symbols are included so the
+ * file is readable by humans; only the ids are needed to import it again.
+ * @param {Set<string>} watchlist - The starred coin ids.
+ * @param {Array<Object>} coins - The known coins, used to look up names.
+ */
+export const exportWatchlist = (watchlist, coins) => {
+  const coinsById = new Map(coins.map(coin => [coin.id, coin]));
+  const payload = {
+    version: WATCHLIST_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    coins: [...watchlist].map(id => {
+      const coin = coinsById.get(id);
+      return coin ? { id, symbol: coin.symbol, name: coin.name } : { id };
+    })
+  };
+  downloadFile(`cryptopulse-watchlist-${fileTimestamp()}.json`, JSON.stringify(payload, null, 2), 'application/json');
+};
+
+/**
+ * Parses an exported watchlist file. Accepts either the export format or a
+ * plain JSON array of coin ids.
+ * @param {string} text - The raw file contents.
+ * @returns {Array<string>} The coin ids found in the file.
+ */
+export const parseWatchlistImport = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(t('watchlist.error.invalidJson'));
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : parsed && parsed.coins;
+  if (!Array.isArray(entries)) {
+    throw new Error(t('watchlist.error.notAList'));
+  }
+
+  return entries
+    .map(entry => (entry && typeof entry === 'object' ? entry.id : entry))
+    .filter(id => id !== undefined && id !== null && id !== '')
+    .map(String);
+};
@@ -0,0 +1,39 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { upsertAlertRule, describeAlertRule, evaluateAlertRules } from '../src/alerts.js';
+import { setDisplayCurrency } from '../src/format.js';
+import { setLanguage } from '../src/i18n.js';
+
+const bitcoin = { id: '90', symbol: 'BTC', name: 'Bitcoin', price: 67234.12, change24h: -3.456, rank: 1 };
+
+/** Creates a rule on Bitcoin. */
+const createRule = (condition, threshold) => upsertAlertRule({ coinId: '90', symbol: 'BTC', name: 'Bitcoin', condition, threshold });
+
+afterEach(() => {
+  setLanguage('en');
+  setDisplayCurrency('USD', 1);
+});
+
+describe('describeAlertRule', () => {
+  it('formats price and change thresholds like the rest of the app', () => {
+    expect(describeAlertRule(createRule('above', '70000'))).toBe('BTC: Price above $70,000');
+    expect(describeAlertRule(createRule('percent_change', '5'))).toBe('BTC: 24h change beyond ±5.00%');
+  });
+
+  it('shows USD price thresholds in the display currency and locale', () => {
+    setLanguage('fr');
+    setDisplayCurrency('EUR', 0.5);
+    expect(describeAlertRule(createRule('below', '70000'))).toMatch(/^BTC : Prix inférieur à 35\s000\s€$/);
+  });
+
+  it('marks both rank conditions as ranks', () => {
+    expect(describeAlertRule(createRule('rank_above', '10'))).toBe('BTC: Rank at or above #10');
+    expect(describeAlertRule(createRule('rank_below', '10'))).toBe('BTC: Rank below #10');
+  });
+});
+
+describe('evaluateAlertRules', () => {
+  it('describes the current value in the firing message', () => {
+    const [firing] = evaluateAlertRules([createRule('percent_change', '3')], [bitcoin], new Set());
+    expect(firing.message).toBe('Bitcoin (BTC) — 24h change beyond ±3.00%: 24h change is -3.46%.');
+  });
+});
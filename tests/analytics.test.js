@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { getTopRanked, getDominance, getChangeHistogram, getMarketBreadth } from '../src/analytics.js';
+
+const coin = (id, fields) => ({ id, symbol: id.toUpperCase(), ...fields });
+
+describe('getTopRanked', () => {
+  it('takes the best-ranked coins and skips unranked ones', () => {
+    const coins = [coin('c', { rank: 3 }), coin('x', { rank: null }), coin('a', { rank: 1 }), coin('b', { rank: 2 })];
+    expect(getTopRanked(coins, 2).map(c => c.id)).toEqual(['a', 'b']);
+  });
+});
+
+describe('getDominance', () => {
+  const coins = [coin('a', { marketCap: 600 }), coin('b', { marketCap: 300 }), coin('c', { marketCap: 100 })];
+
+  it('shares the global total between the largest coins and the rest', () => {
+    const { slices, restShare } = getDominance(coins, 2000, 2);
+    expect(slices.map(({ coin: c, share }) => [c.id, share])).toEqual([['a', 30], ['b', 15]]);
+    expect(restShare).toBeCloseTo(55);
+  });
+
+  it('falls back to the loaded coins when the global total is missing or smaller', () => {
+    expect(getDominance(coins, null, 1).slices[0].share).toBe(60);
+    expect(getDominance(coins, 500, 3).restShare).toBeCloseTo(0);
+  });
+
+  it('returns no slices without any market cap', () => {
+    expect(getDominance([coin('a', { marketCap: null })], null, 10)).toEqual({ slices: [], restShare: 0 });
+  });
+});
+
+describe('getChangeHistogram', () => {
+  it('counts changes into half-open bins with open-ended outer bins', () => {
+    const changes = [-25, -10, -0.5, 0, 1.9, 2, 40, null];
+    const bins = getChangeHistogram(changes.map((change24h, i) => coin(`c${i}`, { change24h })), [-10, 0, 2]);
+    expect(bins).toEqual([
+      { min: -Infinity, max: -10, count: 1 },
+      { min: -10, max: 0, count: 2 },
+      { min: 0, max: 2, count: 2 },
+      { min: 2, max: Infinity, count: 2 }
+    ]);
+  });
+});
+
+describe('getMarketBreadth', () => {
+  it('counts rising, falling and flat coins', () => {
+    const coins = [1, 2, -3, 0, null].map((change24h, i) => coin(`c${i}`, { change24h }));
+    expect(getMarketBreadth(coins)).toEqual({ up: 2, down: 1, unchanged: 1 });
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { fetchDataWithRetry, parseRetryAfter, clearRateLimits } from '../src/api.js';
+
+const URL = 'https://api.coinlore.net/api/global/';
+
+/** Builds the error axios rejects with for an HTTP error response. */
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  clearRateLimits();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('fetchDataWithRetry', () => {
+  it('returns the response data', async () => {
+    vi.spyOn(axios, 'get').mockResolvedValue({ data: { ok: true } });
+    await expect(fetchDataWithRetry(URL)).resolves.toEqual({ ok: true });
+  });
+
+  it('retries network failures with exponential backoff', async () => {
+    const get = vi.spyOn(axios, 'get')
+      .mockRejectedValueOnce(new Error('Network Error'))
+      .mockRejectedValueOnce(new Error('Network Error'))
+      .mockResolvedValue({ data: 'third time lucky' });
+
+    const result = fetchDataWithRetry(URL);
+    await vi.advanceTimersByTimeAsync(499);
+    expect(get).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(get).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(999); // The second wait is twice as long
+    expect(get).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(1);
+    await expect(result).resolves.toBe('third time lucky');
+    expect(get).toHaveBeenCalledTimes(3);
+  });
+
+  it('gives up after five attempts', async () => {
+    const get = vi.spyOn(axios, 'get').mockRejectedValue(httpError(503));
+    const result = fetchDataWithRetry(URL);
+    const assertion = expect(result).rejects.toThrow('Failed to fetch data after multiple retries.');
+    await vi.advanceTimersByTimeAsync(500 + 1000 + 2000 + 4000);
+    await assertion;
+    expect(get).toHaveBeenCalledTimes(5);
+  });
+
+  it('fails straight away on client errors', async () => {
+    const get = vi.spyOn(axios, 'get').mockRejectedValue(httpError(404));
+    await expect(fetchDataWithRetry(URL)).rejects.toThrow('The request was rejected (HTTP 404).');
+    expect(get).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry rate limits and leaves the host alone until Retry-After passes', async () => {
+    const get = vi.spyOn(axios, 'get').mockRejectedValueOnce(httpError(429, { 'retry-after': '30' }));
+    await expect(fetchDataWithRetry(URL)).rejects.toMatchObject({ retryAfterMs: 30000 });
+
+    get.mockResolvedValue({ data: 'fresh' });
+    await expect(fetchDataWithRetry(URL)).rejects.toMatchObject({ retryAfterMs: 30000 });
+    expect(get).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(30000);
+    await expect(fetchDataWithRetry(URL)).resolves.toBe('fresh');
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('reads seconds or an HTTP date', () => {
+    vi.setSystemTime(new Date('2025-01-01T00:00:00Z'));
+    expect(parseRetryAfter('120')).toBe(120000);
+    expect(parseRetryAfter('Wed, 01 Jan 2025 00:01:00 GMT')).toBe(60000);
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
@@ -0,0 +1,222 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { startCoinloreStub, routeCoinloreToStub } from './helpers/coinlore-stub.js';
+import { startPriceStreamStub } from './helpers/price-stream-stub.js';
+import { loadIndexHtml } from './helpers/index-html.js';
+
+// Drives the whole app in jsdom against the CoinLore and price stream stubs:
+// index.html's body is loaded, the app initialized, and assertions wait for
+// the rendered result.
+
+let stub;
+let streamStub;
+
+const getTableRows = () => [...document.querySelectorAll('#crypto-table-body tr')];
+const isModalOpen = () => !document.getElementById('coin-detail-modal').classList.contains('hidden');
+const getRoutedCoin = () => new URLSearchParams(window.location.search).get('coin');
+
+beforeAll(async () => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {}); // jsdom has no IndexedDB, so history and snapshots are skipped
+  stub = await startCoinloreStub();
+  routeCoinloreToStub(axios, stub);
+  streamStub = await startPriceStreamStub();
+  vi.stubEnv('VITE_PRICE_STREAM_URL', streamStub.url);
+  localStorage.clear();
+  localStorage.setItem('sortState', '{"key":'); // A corrupt saved setting must not stop the app from starting
+  await loadIndexHtml();
+
+  const { initializeApp } = await import('../src/app.js');
+  initializeApp();
+  await vi.waitFor(() => expect(getTableRows()).toHaveLength(15), { timeout: 5000 });
+});
+
+afterAll(async () => {
+  vi.restoreAllMocks();
+  vi.unstubAllEnvs();
+  await stub.close();
+  await streamStub.close();
+});
+
+describe('market table', () => {
+  it('renders the first page of tickers from the API', () => {
+    const rows = getTableRows();
+    expect(rows[0].dataset.coinId).toBe('90');
+    expect(rows[0].textContent).toContain('Bitcoin');
+    expect(rows[0].textContent).toContain('$67,234.12');
+    expect(rows[1].textContent).toContain('Ethereum');
+    expect(stub.requests).toContain('/api/tickers/?start=0&limit=100');
+  });
+
+  it('falls back to rank order when the saved sort is corrupt', () => {
+    expect(document.getElementById('sort-select').value).toBe('rank:asc');
+  });
+
+  it('renders the global stats', () => {
+    const stats = document.getElementById('global-stats').textContent;
+    expect(stats).toContain('14238');
+    expect(stats).toContain('55.03%');
+  });
+
+  it('pages through the loaded coins', async () => {
+    document.getElementById('next-button').click();
+    await vi.waitFor(() => expect(getTableRows()).toHaveLength(5));
+    expect(getTableRows()[0].textContent).toContain('Litecoin');
+    expect(document.getElementById('page-indicator').textContent).toBe('Page 2 of 2');
+
+    document.getElementById('prev-button').click();
+    expect(getTableRows()).toHaveLength(15);
+  });
+
+  it('filters by search text', async () => {
+    const search = document.getElementById('search-input');
+    search.value = 'doge';
+    search.dispatchEvent(new Event('input'));
+    await vi.waitFor(() => expect(getTableRows()).toHaveLength(1));
+    expect(getTableRows()[0].dataset.coinId).toBe('2');
+
+    search.value = '';
+    search.dispatchEvent(new Event('input'));
+    await vi.waitFor(() => expect(getTableRows()).toHaveLength(15));
+  });
+});
+
+describe('view toggle', () => {
+  it('switches between the table and cards', () => {
+    document.getElementById('view-cards').click();
+    const cards = document.querySelectorAll('#crypto-list [role="listitem"]');
+    expect(cards).toHaveLength(15);
+    expect(cards[0].textContent).toContain('Bitcoin (BTC)');
+    expect(document.querySelector('#crypto-list table')).toBeNull();
+    expect(localStorage.getItem('viewMode')).toBe('cards');
+
+    document.getElementById('view-table').click();
+    expect(getTableRows()).toHaveLength(15);
+    expect(document.querySelector('#crypto-list [role="listitem"]')).toBeNull();
+  });
+});
+
+describe('coin detail modal', () => {
+  it('opens from a row with the coin details and closes again', async () => {
+    getTableRows()[0].click();
+    expect(isModalOpen()).toBe(true);
+    expect(document.getElementById('modal-coin-name').textContent).toBe('Bitcoin (BTC)');
+    expect(document.getElementById('modal-overview-stats').textContent).toContain('$67,234.12');
+    expect(getRoutedCoin()).toBe('90');
+
+    document.getElementById('modal-close-button').click();
+    await vi.waitFor(() => expect(isModalOpen()).toBe(false));
+    expect(getRoutedCoin()).toBeNull();
+  });
+
+  it('loads exchange markets on the markets tab', async () => {
+    getTableRows()[0].click();
+    document.getElementById('modal-tab-markets').click();
+    await vi.waitFor(() => expect(document.querySelectorAll('#modal-markets tbody tr')).toHaveLength(10));
+    expect(document.getElementById('modal-markets').textContent).toContain('Binance');
+    expect(stub.requests).toContain('/api/coin/markets/?id=90');
+
+    document.getElementById('modal-tab-overview').click();
+    document.getElementById('modal-close-button').click();
+    await vi.waitFor(() => expect(isModalOpen()).toBe(false));
+  });
+
+  it('calculates positions, target profit and conversions on the calculator tab', async () => {
+    const type = (id, value) => {
+      const input = document.getElementById(id);
+      input.value = value;
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+    getTableRows()[0].click();
+    document.getElementById('modal-tab-calculator').click();
+    expect(document.getElementById('modal-panel-calculator').classList.contains('hidden')).toBe(false);
+
+    type('calc-amount', '1000');
+    expect(Number(document.getElementById('calc-quantity').value)).toBeCloseTo(1000 / 67234.12, 8);
+    type('calc-quantity', '2');
+    expect(document.getElementById('calc-amount').value).toBe('134468.24');
+
+    type('calc-target-price', String(67234.12 * 1.2));
+    const results = document.getElementById('calc-target-results').textContent;
+    expect(results).toContain('+20.00%');
+    expect(results).toContain('$26,893.65');
+
+    expect(document.getElementById('calc-from-coin').value).toBe('90');
+    expect(document.getElementById('calc-to-coin').value).toBe('80');
+    expect(document.getElementById('calc-convert-rate').textContent).toMatch(/^1 BTC = 19\.09\d* ETH$/);
+
+    document.getElementById('modal-tab-overview').click();
+    document.getElementById('modal-close-button').click();
+    await vi.waitFor(() => expect(isModalOpen()).toBe(false));
+  });
+
+  it('closes on Escape', async () => {
+    getTableRows()[1].click();
+    expect(document.getElementById('modal-coin-name').textContent).toBe('Ethereum (ETH)');
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    await vi.waitFor(() => expect(isModalOpen()).toBe(false));
+  });
+});
+
+describe('live price streaming', () => {
+  it('subscribes to the coins on screen', async () => {
+    await vi.waitFor(() => expect(streamStub.subscribed.size).toBe(14)); // Tether is the quote asset itself
+    expect(streamStub.subscribed).toContain('btcusdt@miniTicker');
+    expect(document.getElementById('stream-status').textContent).toBe('Live prices');
+  });
+
+  it('patches streamed prices into the list and flashes them', async () => {
+    streamStub.sendTicker('BTC', { price: 70000, open: 64000 });
+    await vi.waitFor(() => expect(getTableRows()[0].textContent).toContain('$70,000.00'), { timeout: 3000 });
+    expect(getTableRows()[0].querySelector('.animate-price-up')).not.toBeNull();
+    expect(getTableRows()[0].textContent).toContain('+9.38%');
+
+    streamStub.sendTicker('BTC', { price: 69000, open: 64000 });
+    await vi.waitFor(() => expect(getTableRows()[0].querySelector('.animate-price-down')).not.toBeNull(), { timeout: 3000 });
+  });
+
+  it('unsubscribes when switched off', async () => {
+    document.getElementById('streaming-toggle').click();
+    await vi.waitFor(() => expect(streamStub.subscribed.size).toBe(0));
+    expect(document.getElementById('stream-status').classList.contains('hidden')).toBe(true);
+    expect(localStorage.getItem('streamingEnabled')).toBe('false');
+  });
+});
+
+describe('market analytics', () => {
+  it('renders dominance, the change distribution and breadth when opened', async () => {
+    const section = document.getElementById('analytics-section');
+    expect(section.open).toBe(false);
+    section.open = true;
+    section.dispatchEvent(new Event('toggle'));
+
+    const panels = document.getElementById('analytics-panels');
+    expect(panels.textContent).toContain('Market Cap Dominance');
+    expect(panels.querySelector('[data-coin-id="90"]').textContent).toBe('BTC');
+    expect(panels.textContent).toContain('Others');
+    expect(panels.querySelectorAll('svg rect')).toHaveLength(8);
+    expect(panels.textContent).toMatch(/\d+ up \(/);
+    expect(localStorage.getItem('analyticsOpen')).toBe('true');
+
+    // jsdom has no IndexedDB, so the trend comes from this session's single refresh
+    await vi.waitFor(() => expect(document.getElementById('analytics-trends').textContent).toContain('Total Market Cap'));
+    expect(document.getElementById('analytics-trends').textContent).toContain('Totals are recorded at every refresh');
+  });
+});
+
+describe('language picker', () => {
+  it('translates the static markup and rendered text', async () => {
+    const select = document.getElementById('language-select');
+    select.value = 'fr';
+    select.dispatchEvent(new Event('change'));
+
+    expect(document.documentElement.lang).toBe('fr');
+    expect(document.getElementById('global-stats').textContent).toContain('Capitalisation totale');
+    expect(document.getElementById('page-indicator').textContent).toBe('Page 1 sur 2');
+    expect(document.getElementById('search-input').placeholder).toContain('Rechercher');
+    expect(localStorage.getItem('language')).toBe('fr');
+
+    select.value = 'en';
+    select.dispatchEvent(new Event('change'));
+    expect(document.getElementById('page-indicator').textContent).toBe('Page 1 of 2');
+    localStorage.removeItem('language');
+  });
+});
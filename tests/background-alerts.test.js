@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { adoptBackgroundTriggerState, fetchAlertCoins } from '../src/background-alerts.js';
+
+const makeRule = (id, overrides = {}) => ({
+  id, active: true, triggered: false, lastFiredByCoin: {}, lastTriggeredAt: null, ...overrides
+});
+
+/** A provider serving `count` coins with ids '1'…'count' in pages of two. */
+const makeProvider = (count) => ({
+  pageSize: 2,
+  starts: [],
+  fetchTickers(fetchJson, { start }) {
+    this.starts.push(start);
+    const ids = Array.from({ length: Math.max(0, Math.min(2, count - start)) }, (_, i) => String(start + i + 1));
+    return Promise.resolve(ids.map(id => ({ id, rank: Number(id) })));
+  }
+});
+
+describe('fetchAlertCoins', () => {
+  it('pages until the watched coins have been fetched', async () => {
+    const provider = makeProvider(10);
+    const rules = [makeRule('a', { coinId: '3' }), makeRule('b', { coinId: 'watchlist' })];
+    const coins = await fetchAlertCoins(provider, null, rules, ['6']);
+
+    expect(provider.starts).toEqual([0, 2, 4]);
+    expect(coins.map(coin => coin.id)).toEqual(['1', '2', '3', '4', '5', '6']);
+  });
+
+  it('ignores inactive rules and stops at the end of the market', async () => {
+    const provider = makeProvider(3);
+    const rules = [makeRule('a', { coinId: '1' }), makeRule('b', { coinId: '9', active: false })];
+    expect(await fetchAlertCoins(provider, null, rules, [])).toHaveLength(2);
+
+    rules[1].active = true;
+    expect(await fetchAlertCoins(provider, null, rules, [])).toHaveLength(3);
+    expect(provider.starts).toEqual([0, 0, 2]);
+  });
+
+  it('gives up on coins ranked beyond the background limit', async () => {
+    const coins = await fetchAlertCoins(makeProvider(1000), null, [makeRule('a', { coinId: '999' })], []);
+    expect(coins).toHaveLength(500);
+  });
+});
+
+describe('adoptBackgroundTriggerState', () => {
+  it('copies the trigger state of matching rules', () => {
+    const rules = [makeRule('a'), makeRule('b')];
+    const state = {
+      checkedInBackgroundAt: 1000,
+      rules: [makeRule('a', { triggered: true, lastFiredByCoin: { bitcoin: 900 }, lastTriggeredAt: 900 })]
+    };
+
+    expect(adoptBackgroundTriggerState(rules, state)).toBe(true);
+    expect(rules[0]).toMatchObject({ triggered: true, lastFiredByCoin: { bitcoin: 900 }, lastTriggeredAt: 900 });
+    expect(rules[1]).toEqual(makeRule('b'));
+  });
+
+  it('ignores state no background check has touched', () => {
+    const rules = [makeRule('a')];
+    const state = { checkedInBackgroundAt: null, rules: [makeRule('a', { triggered: true })] };
+
+    expect(adoptBackgroundTriggerState(rules, state)).toBe(false);
+    expect(adoptBackgroundTriggerState(rules, null)).toBe(false);
+    expect(rules[0].triggered).toBe(false);
+  });
+
+  it('reports no change when no rule matches', () => {
+    const rules = [makeRule('a')];
+    expect(adoptBackgroundTriggerState(rules, { checkedInBackgroundAt: 1000, rules: [makeRule('gone')] })).toBe(false);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { convertPosition, getTargetProfit, getRequiredMove, convertBetweenCoins } from '../src/calculator.js';
+
+describe('convertPosition', () => {
+  it('converts an amount into a quantity and back', () => {
+    expect(convertPosition({ amount: 500, price: 250 })).toEqual({ amount: 500, quantity: 2 });
+    expect(convertPosition({ quantity: 3, price: 250 })).toEqual({ amount: 750, quantity: 3 });
+  });
+
+  it('needs a positive price and a value', () => {
+    expect(convertPosition({ amount: 500, price: null })).toBeNull();
+    expect(convertPosition({ amount: 500, price: 0 })).toBeNull();
+    expect(convertPosition({ price: 250 })).toBeNull();
+  });
+});
+
+describe('getTargetProfit', () => {
+  it('computes profit without fees', () => {
+    expect(getTargetProfit({ quantity: 2, entryPrice: 100, targetPrice: 150 })).toEqual({
+      cost: 200, proceeds: 300, fees: 0, profit: 100, returnPercent: 50
+    });
+  });
+
+  it('charges the fee rate on both the buy and the sell', () => {
+    const result = getTargetProfit({ quantity: 1, entryPrice: 100, targetPrice: 200, feePercent: 1 });
+    expect(result.cost).toBeCloseTo(101);
+    expect(result.proceeds).toBeCloseTo(198);
+    expect(result.fees).toBeCloseTo(3);
+    expect(result.profit).toBeCloseTo(97);
+    expect(result.returnPercent).toBeCloseTo(96.04, 2);
+  });
+
+  it('reports losses and rejects missing inputs', () => {
+    expect(getTargetProfit({ quantity: 1, entryPrice: 100, targetPrice: 80 }).profit).toBe(-20);
+    expect(getTargetProfit({ quantity: null, entryPrice: 100, targetPrice: 80 })).toBeNull();
+    expect(getTargetProfit({ quantity: 1, entryPrice: 100, targetPrice: 80, feePercent: -1 })).toBeNull();
+  });
+});
+
+describe('getRequiredMove', () => {
+  it('returns the percentage move to a target', () => {
+    expect(getRequiredMove(200, 250)).toBe(25);
+    expect(getRequiredMove(200, 150)).toBe(-25);
+    expect(getRequiredMove(null, 150)).toBeNull();
+  });
+});
+
+describe('convertBetweenCoins', () => {
+  it('converts through USD prices', () => {
+    expect(convertBetweenCoins(2, 60000, 3000)).toBe(40);
+    expect(convertBetweenCoins(2, 60000, null)).toBeNull();
+  });
+});
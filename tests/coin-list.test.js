@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { filterCoins, paginate, sortCoins, matchesRangeFilters, indexCoinsBySymbol } from '../src/coin-list.js';
+
+const coins = [
+  { id: '90', name: 'Bitcoin', symbol: 'BTC', rank: 1, price: 67000, change24h: 1.2, marketCap: 1.3e12 },
+  { id: '80', name: 'Ethereum', symbol: 'ETH', rank: 2, price: 3500, change24h: -0.8, marketCap: 4.2e11 },
+  { id: '2', name: 'Dogecoin', symbol: 'DOGE', rank: 8, price: 0.12, change24h: 5.7, marketCap: null },
+  { id: '1', name: 'Litecoin', symbol: 'LTC', rank: 16, price: 72, change24h: -0.4, marketCap: 5.4e9 }
+];
+
+const defaults = {
+  scope: 'all',
+  watchlist: new Set(),
+  rangeFilters: {},
+  sortState: { key: 'rank', direction: 'asc' },
+  query: ''
+};
+
+const ids = (list) => list.map(coin => coin.id);
+
+describe('filterCoins', () => {
+  it('returns every coin in rank order by default', () => {
+    expect(ids(filterCoins(coins, defaults))).toEqual(['90', '80', '2', '1']);
+  });
+
+  it('keeps only starred coins in watchlist scope', () => {
+    const result = filterCoins(coins, { ...defaults, scope: 'watchlist', watchlist: new Set(['1', '80']) });
+    expect(ids(result)).toEqual(['80', '1']);
+  });
+
+  it('applies range filters, excluding coins missing a bounded value', () => {
+    const result = filterCoins(coins, { ...defaults, rangeFilters: { marketCap: { min: 1e10, max: null } } });
+    expect(ids(result)).toEqual(['90', '80']);
+  });
+
+  it('ranks search matches by relevance ahead of the sort order', () => {
+    const result = filterCoins(coins, { ...defaults, query: 'eth' });
+    expect(ids(result)).toEqual(['80']);
+  });
+});
+
+describe('sortCoins', () => {
+  it('sorts descending and keeps missing values last', () => {
+    expect(ids(sortCoins(coins, { key: 'marketCap', direction: 'desc' }))).toEqual(['90', '80', '1', '2']);
+    expect(ids(sortCoins(coins, { key: 'marketCap', direction: 'asc' }))).toEqual(['1', '80', '90', '2']);
+  });
+
+  it('does not modify the input', () => {
+    const copy = [...coins];
+    sortCoins(coins, { key: 'price', direction: 'asc' });
+    expect(coins).toEqual(copy);
+  });
+});
+
+describe('matchesRangeFilters', () => {
+  it('lets coins without a value through only when the field is unbounded', () => {
+    expect(matchesRangeFilters(coins[2], { marketCap: { min: null, max: null } })).toBe(true);
+    expect(matchesRangeFilters(coins[2], { marketCap: { min: 0, max: null } })).toBe(false);
+  });
+});
+
+describe('paginate', () => {
+  const items = Array.from({ length: 23 }, (_, index) => index);
+
+  it('returns the requested page and page count', () => {
+    expect(paginate(items, 2, 10)).toEqual({ items: [10, 11, 12, 13, 14, 15, 16, 17, 18, 19], page: 2, totalPages: 3, totalItems: 23 });
+    expect(paginate(items, 3, 10).items).toEqual([20, 21, 22]);
+  });
+
+  it('clamps a page past the end to the last page', () => {
+    expect(paginate(items, 9, 10).page).toBe(3);
+  });
+
+  it('clamps pages below one and handles empty lists', () => {
+    expect(paginate(items, 0, 10).page).toBe(1);
+    expect(paginate([], 4, 10)).toEqual({ items: [], page: 1, totalPages: 0, totalItems: 0 });
+  });
+});
+
+describe('indexCoinsBySymbol', () => {
+  it('keeps the highest-ranked coin for a shared symbol', () => {
+    const bridged = { id: '999', name: 'Bridged Ether', symbol: 'eth', rank: 300 };
+    const index = indexCoinsBySymbol([bridged, ...coins]);
+    expect(index.get('ETH').id).toBe('80');
+    expect(index.get('BTC').id).toBe('90');
+    expect(index.size).toBe(4);
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { toCsv, parseCsv } from '../src/files.js';
+
+describe('toCsv', () => {
+  it('quotes fields with delimiters, quotes and line breaks', () => {
+    expect(toCsv([['a,b', 'say "hi"', 'two\nlines', null, 3]])).toBe('"a,b","say ""hi""","two\nlines",,3');
+  });
+
+  it('neutralizes text a spreadsheet would run as a formula', () => {
+    expect(toCsv([['=HYPERLINK("x")', '+1', '-cmd', '@SUM(A1)', 'Bitcoin']]))
+      .toBe(`"'=HYPERLINK(""x"")",'+1,'-cmd,'@SUM(A1),Bitcoin`);
+  });
+
+  it('leaves negative numbers numeric', () => {
+    expect(toCsv([[-0.8, 0]])).toBe('-0.8,0');
+  });
+});
+
+describe('parseCsv', () => {
+  it('skips blank lines but keeps each row\'s source line', () => {
+    const rows = parseCsv('a,b\r\n\r\n"x\ny",z\n\nlast');
+    expect(rows.map(row => [...row])).toEqual([['a', 'b'], ['x\ny', 'z'], ['last']]);
+    expect(rows.map(row => row.line)).toEqual([1, 3, 6]);
+  });
+});
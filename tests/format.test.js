@@ -0,0 +1,107 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  setDisplayCurrency,
+  formatCurrency,
+  formatLargeNumber,
+  formatPercent,
+  formatSignedPercent,
+  parseNumericInput,
+  getPriceChangeClass
+} from '../src/format.js';
+import { setLanguage } from '../src/i18n.js';
+
+afterEach(() => {
+  setDisplayCurrency('USD', 1);
+  setLanguage('en');
+});
+
+describe('formatCurrency', () => {
+  it('formats USD amounts', () => {
+    expect(formatCurrency(1234.5)).toBe('$1,234.50');
+    expect(formatCurrency('67234.12')).toBe('$67,234.12');
+  });
+
+  it('shows zero for missing or invalid values', () => {
+    expect(formatCurrency(null)).toBe('$0.00');
+    expect(formatCurrency('not a number')).toBe('$0.00');
+    expect(formatCurrency(0)).toBe('$0.00');
+  });
+
+  it('converts into the display currency', () => {
+    setDisplayCurrency('EUR', 0.5);
+    expect(formatCurrency(100)).toBe('€50.00');
+  });
+
+  it('uses the symbol and significant digits for crypto denominations', () => {
+    setDisplayCurrency('BTC', 1 / 50000);
+    expect(formatCurrency(1000)).toBe('₿0.02');
+  });
+});
+
+describe('formatLargeNumber', () => {
+  it('abbreviates with K, M, B and T suffixes', () => {
+    expect(formatLargeNumber(999)).toBe('999');
+    expect(formatLargeNumber(1500)).toBe('1.5K');
+    expect(formatLargeNumber(19745231)).toBe('19.75M');
+    expect(formatLargeNumber(2.41e12)).toBe('2.41T');
+  });
+
+  it('stops at trillions', () => {
+    expect(formatLargeNumber(5.89e14)).toBe('589T');
+  });
+
+  it('returns N/A for non-numeric input', () => {
+    expect(formatLargeNumber(undefined)).toBe('N/A');
+    expect(formatLargeNumber('')).toBe('N/A');
+  });
+});
+
+describe('percentages', () => {
+  it('formats with two decimals and an explicit sign for gains', () => {
+    expect(formatPercent(1.234)).toBe('1.23%');
+    expect(formatSignedPercent(1.234)).toBe('+1.23%');
+    expect(formatSignedPercent(-0.4)).toBe('-0.40%');
+    expect(formatSignedPercent(null)).toBe('N/A');
+  });
+});
+
+describe('parseNumericInput', () => {
+  it('accepts plain numbers and K/M/B/T suffixes', () => {
+    expect(parseNumericInput('1.5B')).toBe(1.5e9);
+    expect(parseNumericInput('$2,500')).toBe(2500);
+    expect(parseNumericInput(' -3% ')).toBe(-3);
+  });
+
+  it('returns null for empty or invalid input', () => {
+    expect(parseNumericInput('')).toBeNull();
+    expect(parseNumericInput('abc')).toBeNull();
+  });
+
+  it('reads the decimal comma and space grouping in French', () => {
+    setLanguage('fr');
+    expect(parseNumericInput('1,5')).toBe(1.5);
+    expect(parseNumericInput('1,5M')).toBe(1.5e6);
+    expect(parseNumericInput('2 500,75')).toBe(2500.75);
+    expect(parseNumericInput('2\u202f500')).toBe(2500);
+  });
+
+  it('reads the decimal comma and dot grouping in Spanish', () => {
+    setLanguage('es');
+    expect(parseNumericInput('1,5')).toBe(1.5);
+    expect(parseNumericInput('1.500.000,25')).toBe(1500000.25);
+    expect(parseNumericInput('1.5B')).toBe(1.5e9);
+  });
+});
+
+describe('getPriceChangeClass', () => {
+  it('flashes up or down when the price moved', () => {
+    expect(getPriceChangeClass('101', 100)).toBe('animate-price-up');
+    expect(getPriceChangeClass(99, 100)).toBe('animate-price-down');
+  });
+
+  it('does not flash without a previous price or when unchanged', () => {
+    expect(getPriceChangeClass(100, 100)).toBe('');
+    expect(getPriceChangeClass(100, undefined)).toBe('');
+    expect(getPriceChangeClass(100, NaN)).toBe('');
+  });
+});
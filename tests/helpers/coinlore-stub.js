@@ -0,0 +1,82 @@
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+// --- CoinLore Stub Server ---
+// Serves the JSON fixtures in tests/fixtures/coinlore over real HTTP, so tests
+// exercise the app's request, retry and normalization code end to end.
+
+const FIXTURES_DIR = join(import.meta.dirname, '../fixtures/coinlore');
+const COINLORE_ORIGIN = 'https://api.coinlore.net';
+
+/** Maps a request onto its fixture file, or null for unknown endpoints. */
+const getFixtureName = (url) => {
+  if (url.pathname === '/api/tickers/') return 'tickers.json';
+  if (url.pathname === '/api/global/') return 'global.json';
+  if (url.pathname === '/api/coin/markets/') return `markets-${url.searchParams.get('id')}.json`;
+  return null;
+};
+
+/** Applies the tickers endpoint's `start` and `limit` paging to the fixture. */
+const pageTickers = (fixture, url) => {
+  const start = Number(url.searchParams.get('start') || 0);
+  const limit = Number(url.searchParams.get('limit') || 100);
+  return { ...fixture, data: fixture.data.slice(start, start + limit) };
+};
+
+/**
+ * Starts a stub of the CoinLore API on a free local port.
+ * @returns {Promise<Object>} The stub: its `origin`, the `requests` it received,
+ *   `respondWith` to override one endpoint, and `close`.
+ */
+export const startCoinloreStub = async () => {
+  const requests = [];
+  const overrides = new Map(); // Pathname → { status, headers, body }
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://stub');
+    requests.push(`${url.pathname}${url.search}`);
+    const headers = { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' };
+
+    const override = overrides.get(url.pathname);
+    if (override) {
+      res.writeHead(override.status || 200, { ...headers, ...override.headers });
+      res.end(JSON.stringify(override.body ?? {}));
+      return;
+    }
+
+    const fixtureName = getFixtureName(url);
+    try {
+      if (!fixtureName) throw new Error('Unknown endpoint');
+      const fixture = JSON.parse(await readFile(join(FIXTURES_DIR, fixtureName), 'utf8'));
+      res.writeHead(200, headers);
+      res.end(JSON.stringify(fixtureName === 'tickers.json' ? pageTickers(fixture, url) : fixture));
+    } catch {
+      res.writeHead(404, headers);
+      res.end(JSON.stringify({ error: `No fixture for ${url.pathname}` }));
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    origin,
+    requests,
+    respondWith: (pathname, response) => overrides.set(pathname, response),
+    reset: () => {
+      overrides.clear();
+      requests.length = 0;
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+/**
+ * Sends an axios instance's CoinLore requests to the stub instead of the real API.
+ * @returns {number} The interceptor id, for `axios.interceptors.request.eject`.
+ */
+export const routeCoinloreToStub = (axiosInstance, stub) => axiosInstance.interceptors.request.use(config => ({
+  ...config,
+  url: config.url.replace(COINLORE_ORIGIN, stub.origin)
+}));
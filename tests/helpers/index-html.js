@@ -0,0 +1,14 @@
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+// --- App Markup ---
+// Loads the body of index.html into the jsdom document, so app tests render into
+// the real markup.
+
+/** Loads the markup of index.html into the test document; its scripts are not run. */
+export const loadIndexHtml = async () => {
+  const source = await readFile(join(import.meta.dirname, '../../index.html'), 'utf8');
+  const page = new DOMParser().parseFromString(source, 'text/html');
+  page.querySelectorAll('script').forEach(script => script.remove());
+  document.body.innerHTML = page.body.innerHTML;
+};
@@ -0,0 +1,84 @@
+import { WebSocketServer } from 'ws';
+
+// --- Price Stream Stub Server ---
+// A local stand-in for the exchange's WebSocket stream: it records
+// SUBSCRIBE/UNSUBSCRIBE requests and pushes mini-ticker messages on demand.
+
+/**
+ * Starts a price stream stub on a free local port.
+ * @returns {Promise<Object>} The stub: its `url`, the `messages` clients sent, the
+ *   currently `subscribed` stream names, how many clients connected and are open, `sendTicker`
+ *   to push a price, `dropConnections` to simulate an outage, and `close`.
+ */
+export const startPriceStreamStub = async () => {
+  const messages = [];
+  const subscriptions = new Map(); // Open socket → its subscribed stream names
+  const server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+  let connectionCount = 0;
+
+  server.on('connection', (socket) => {
+    connectionCount++;
+    const subscribed = new Set();
+    subscriptions.set(socket, subscribed);
+    socket.on('message', (data) => {
+      const message = JSON.parse(String(data));
+      messages.push(message);
+      if (message.method === 'SUBSCRIBE') message.params.forEach(stream => subscribed.add(stream));
+      if (message.method === 'UNSUBSCRIBE') message.params.forEach(stream => subscribed.delete(stream));
+      socket.send(JSON.stringify({ result: null, id: message.id }));
+    });
+    socket.on('close', () => subscriptions.delete(socket));
+  });
+
+  await new Promise(resolve => server.on('listening', resolve));
+
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    messages,
+    /** Every stream name an open connection is subscribed to. */
+    get subscribed() {
+      return new Set([...subscriptions.values()].flatMap(streams => [...streams]));
+    },
+    get connectionCount() {
+      return connectionCount;
+    },
+    get openConnectionCount() {
+      return subscriptions.size;
+    },
+
+    /** Pushes a mini-ticker for a symbol quoted in USDT to every client. */
+    sendTicker: (symbol, { price, open = price }) => {
+      const message = JSON.stringify({
+        e: '24hrMiniTicker',
+        E: Date.now(),
+        s: `${symbol}USDT`,
+        c: String(price),
+        o: String(open),
+        h: String(Math.max(price, open)),
+        l: String(Math.min(price, open)),
+        v: '1000',
+        q: String(price * 1000)
+      });
+      server.clients.forEach(client => client.send(message));
+    },
+
+    /** Sends raw text to every client, e.g. to test malformed messages. */
+    sendRaw: (text) => {
+      server.clients.forEach(client => client.send(text));
+    },
+
+    /** Cuts every open connection, as a network drop would. */
+    dropConnections: () => {
+      server.clients.forEach(client => client.terminate());
+    },
+
+    reset: () => {
+      messages.length = 0;
+    },
+
+    close: () => new Promise(resolve => {
+      server.clients.forEach(client => client.terminate());
+      server.close(resolve);
+    })
+  };
+};
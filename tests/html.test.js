@@ -0,0 +1,73 @@
+import { describe, it, expect, vi } from 'vitest';
+import { html, raw, setHtml, renderKeyed, delegate } from '../src/html.js';
+
+describe('html', () => {
+  it('escapes interpolated strings in content and attributes', () => {
+    const name = '<img src=x onerror="alert(1)">';
+    expect(String(html`<td title="${name}">${name}</td>`)).toBe(
+      '<td title="&lt;img src=x onerror=&quot;alert(1)&quot;&gt;">&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</td>'
+    );
+  });
+
+  it('nests templates, joins arrays and skips null, undefined and false', () => {
+    const items = ['a&b', 'c'].map(item => html`<li>${item}</li>`);
+    expect(String(html`<ul>${items}${null}${undefined}${false}${0}</ul>`)).toBe('<ul><li>a&amp;b</li><li>c</li>0</ul>');
+  });
+
+  it('inserts raw markup only when explicitly trusted', () => {
+    const element = document.createElement('div');
+    setHtml(element, html`${raw('<svg></svg>')}${'<svg></svg>'}`);
+    expect(element.querySelectorAll('svg')).toHaveLength(1);
+  });
+});
+
+describe('renderKeyed', () => {
+  const row = (coin) => html`<tr data-key="${coin.id}"><td>${coin.name}</td><td>${coin.price}</td></tr>`;
+  const setUp = () => {
+    document.body.innerHTML = '<table><tbody></tbody></table>';
+    return document.querySelector('tbody');
+  };
+
+  it('keeps unchanged rows and cells, replacing only the cells that changed', () => {
+    const body = setUp();
+    renderKeyed(body, [{ id: 'a', name: 'A', price: 1 }, { id: 'b', name: 'B', price: 2 }].map(row));
+    const [rowA, rowB] = body.rows;
+    const [nameA, priceA] = rowA.cells;
+
+    renderKeyed(body, [{ id: 'a', name: 'A', price: 5 }, { id: 'b', name: 'B', price: 2 }].map(row));
+    expect(body.rows[0]).toBe(rowA);
+    expect(body.rows[1]).toBe(rowB);
+    expect(rowA.cells[0]).toBe(nameA);
+    expect(rowA.cells[1]).not.toBe(priceA);
+    expect(rowA.cells[1].textContent).toBe('5');
+  });
+
+  it('reorders, adds and removes rows by key', () => {
+    const body = setUp();
+    renderKeyed(body, [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }, { id: 'c', name: 'C' }].map(row));
+    const rowC = body.rows[2];
+
+    renderKeyed(body, [{ id: 'c', name: 'C' }, { id: 'd', name: 'D' }, { id: 'a', name: 'A' }].map(row));
+    expect([...body.rows].map(tr => tr.dataset.key)).toEqual(['c', 'd', 'a']);
+    expect(body.rows[0]).toBe(rowC);
+  });
+});
+
+describe('delegate', () => {
+  it('runs only the innermost action with its element', () => {
+    document.body.innerHTML = `
+      <div data-action="open" data-id="row">
+        <button data-action="star" data-id="star"><span>★</span></button>
+      </div>`;
+    const handlers = { open: vi.fn(), star: vi.fn() };
+    delegate(document.body, 'click', handlers);
+
+    document.querySelector('span').click();
+    expect(handlers.star).toHaveBeenCalledTimes(1);
+    expect(handlers.star.mock.calls[0][0].dataset.id).toBe('star');
+    expect(handlers.open).not.toHaveBeenCalled();
+
+    document.querySelector('[data-action="open"]').click();
+    expect(handlers.open).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { LANGUAGES, setLanguage, t, translateDocument } from '../src/i18n.js';
+import { formatLargeNumber, formatPercent } from '../src/format.js';
+
+afterEach(() => {
+  setLanguage('en');
+  vi.restoreAllMocks();
+});
+
+describe('t', () => {
+  it('fills in placeholders', () => {
+    expect(t('pagination.page', { page: 2, total: 7 })).toBe('Page 2 of 7');
+    setLanguage('es');
+    expect(t('pagination.page', { page: 2, total: 7 })).toBe('Página 2 de 7');
+  });
+
+  it('picks the plural form from count', () => {
+    expect(t('watchlist.imported', { count: 1 })).toBe('Imported 1 new coin into your watchlist.');
+    expect(t('watchlist.imported', { count: 3 })).toBe('Imported 3 new coins into your watchlist.');
+    setLanguage('fr');
+    expect(t('portfolio.imported', { count: 0 })).toBe('0 transaction importée.');
+    expect(t('portfolio.imported', { count: 2 })).toBe('2 transactions importées.');
+  });
+
+  it('falls back to English, then to the key itself', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    setLanguage('xx');
+    expect(t('stats.activeCoins')).toBe('Active Coins');
+    expect(t('no.such.key')).toBe('no.such.key');
+    expect(warn).toHaveBeenCalledOnce();
+  });
+});
+
+describe('translateDocument', () => {
+  it('translates marked text and attributes and sets the page language', () => {
+    document.body.innerHTML = '<h1 data-i18n="settings.title"></h1><input data-i18n-attr="placeholder:search.placeholder; aria-label:list.label">';
+    setLanguage('fr');
+    translateDocument();
+
+    expect(document.querySelector('h1').textContent).toBe('Paramètres');
+    expect(document.querySelector('input').getAttribute('aria-label')).toBe('Cryptomonnaies');
+    expect(document.querySelector('input').placeholder).toContain('Rechercher');
+    expect(document.documentElement.lang).toBe('fr');
+    expect(document.documentElement.dir).toBe('ltr');
+  });
+});
+
+describe('number formats', () => {
+  it('follow the active language', () => {
+    setLanguage('fr');
+    const expectedCompact = new Intl.NumberFormat('fr-FR', { notation: 'compact', maximumFractionDigits: 2 }).format(1.2e9);
+    expect(formatLargeNumber(1.2e9)).toBe(expectedCompact);
+    expect(formatLargeNumber(1.2e9)).toMatch(/^1,2\sMd$/);
+    expect(formatPercent(12.5)).toMatch(/^12,50\s%$/);
+  });
+});
+
+describe('catalogs', () => {
+  const englishKeys = Object.keys(LANGUAGES.en.messages);
+
+  it.each(Object.keys(LANGUAGES).filter(code => code !== 'en'))('%s translates every English message', (code) => {
+    expect(Object.keys(LANGUAGES[code].messages).sort()).toEqual([...englishKeys].sort());
+  });
+});
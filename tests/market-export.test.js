@@ -0,0 +1,21 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { loadExportSettings } from '../src/market-export.js';
+
+afterEach(() => {
+  localStorage.clear();
+  vi.restoreAllMocks();
+});
+
+describe('loadExportSettings', () => {
+  it('drops columns that no longer exist', () => {
+    localStorage.setItem('exportSettings', JSON.stringify({ format: 'json', columns: ['price', 'gone'] }));
+    expect(loadExportSettings()).toMatchObject({ format: 'json', columns: ['price'] });
+  });
+
+  it('falls back to the defaults when the saved settings are corrupt', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    localStorage.setItem('exportSettings', '{"format":');
+    expect(loadExportSettings()).toMatchObject({ format: 'csv', rows: 'all', sorted: true });
+    expect(warn).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { createTransaction, parseTransactionsCsv } from '../src/portfolio.js';
+
+const coins = [{ id: '90', symbol: 'BTC', name: 'Bitcoin', rank: 1 }];
+const header = 'date,type,symbol,quantity,price_usd';
+
+describe('createTransaction', () => {
+  const input = { coinId: '90', type: 'buy', quantity: '1', price: '100', date: '2024-02-29' };
+
+  it('accepts a real calendar date', () => {
+    expect(createTransaction(input).date).toBe('2024-02-29');
+  });
+
+  it('rejects dates that do not exist', () => {
+    ['2024-13-45', '2023-02-29', '2024-04-31', '24-01-01'].forEach(date => {
+      expect(() => createTransaction({ ...input, date })).toThrow(`Invalid date "${date}"`);
+    });
+  });
+});
+
+describe('parseTransactionsCsv', () => {
+  it('resolves symbols to loaded coins', () => {
+    const [tx] = parseTransactionsCsv(`${header}\n2024-01-01,buy,btc,2,100`, coins);
+    expect(tx).toMatchObject({ coinId: '90', symbol: 'BTC', name: 'Bitcoin', quantity: 2, price: 100 });
+  });
+
+  it('resolves a shared symbol to the highest-ranked coin', () => {
+    const bridged = { id: '999', symbol: 'BTC', name: 'Bridged Bitcoin', rank: 250 };
+    const [tx] = parseTransactionsCsv(`${header}\n2024-01-01,buy,BTC,1,100`, [...coins, bridged]);
+    expect(tx).toMatchObject({ coinId: '90', name: 'Bitcoin' });
+  });
+
+  it('reports the source line of a bad row, counting blank lines', () => {
+    const text = `${header}\n\n2024-01-01,buy,BTC,1,100\n\r\n2024-01-02,buy,BTC,0,100\n`;
+    expect(() => parseTransactionsCsv(text, coins)).toThrow(/^Line 5: Quantity/);
+  });
+
+  it('counts line breaks inside quoted fields', () => {
+    const text = 'date,type,coin_id,name,quantity,price_usd\n2024-01-01,buy,90,"Bit\ncoin",1,100\n2024-01-02,sell,90,x,1,-5';
+    expect(() => parseTransactionsCsv(text, coins)).toThrow(/^Line 4: Price/);
+  });
+});
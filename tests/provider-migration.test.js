@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { collectSavedSymbols, migrateSavedCoinIds } from '../src/provider-migration.js';
+
+// CoinLore ids on one side, CoinGecko ids on the other
+const oldCoins = [
+  { id: '90', symbol: 'BTC', rank: 1 },
+  { id: '80', symbol: 'ETH', rank: 2 }
+];
+const newCoins = [
+  { id: 'bitcoin', symbol: 'btc', rank: 1 },
+  { id: 'ethereum', symbol: 'eth', rank: 2 },
+  { id: 'bridged-ether', symbol: 'eth', rank: 250 }
+];
+
+const makeSaved = () => ({
+  watchlist: new Set(['90', '80']),
+  transactions: [{ coinId: '90', symbol: 'BTC' }, { coinId: '2', symbol: 'DOGE' }],
+  alertRules: [
+    { coinId: '80', symbol: 'ETH', triggered: { 80: true }, lastFiredByCoin: { 80: 1000 } },
+    { coinId: 'watchlist', symbol: '', triggered: {}, lastFiredByCoin: { 90: 2000 } }
+  ]
+});
+
+describe('collectSavedSymbols', () => {
+  it('finds the symbol behind every saved id', () => {
+    expect(collectSavedSymbols(makeSaved(), oldCoins)).toEqual({ 90: 'BTC', 80: 'ETH', 2: 'DOGE' });
+  });
+
+  it('skips starred coins whose symbol is unknown', () => {
+    const saved = { watchlist: new Set(['404']), transactions: [], alertRules: [] };
+    expect(collectSavedSymbols(saved, oldCoins)).toEqual({});
+  });
+});
+
+describe('migrateSavedCoinIds', () => {
+  it('moves saved ids to the highest-ranked coin with the same symbol', () => {
+    const saved = makeSaved();
+    const result = migrateSavedCoinIds(saved, collectSavedSymbols(saved, oldCoins), newCoins);
+
+    expect(result.changed).toBe(true);
+    expect([...saved.watchlist]).toEqual(['bitcoin', 'ethereum']);
+    expect(saved.transactions.map(tx => tx.coinId)).toEqual(['bitcoin', '2']);
+    expect(saved.alertRules[0]).toMatchObject({
+      coinId: 'ethereum', triggered: { ethereum: true }, lastFiredByCoin: { ethereum: 1000 }
+    });
+    expect(saved.alertRules[1]).toMatchObject({ coinId: 'watchlist', lastFiredByCoin: { bitcoin: 2000 } });
+  });
+
+  it('keeps ids without a loaded match pending', () => {
+    const saved = makeSaved();
+    const { pending } = migrateSavedCoinIds(saved, collectSavedSymbols(saved, oldCoins), newCoins);
+    expect(pending).toEqual({ 2: 'DOGE' });
+
+    const later = migrateSavedCoinIds(saved, pending, [...newCoins, { id: 'dogecoin', symbol: 'DOGE', rank: 8 }]);
+    expect(later).toEqual({ pending: {}, changed: true });
+    expect(saved.transactions[1].coinId).toBe('dogecoin');
+  });
+
+  it('changes nothing while no pending coin has loaded', () => {
+    const saved = makeSaved();
+    expect(migrateSavedCoinIds(saved, { 2: 'DOGE' }, newCoins)).toEqual({ pending: { 2: 'DOGE' }, changed: false });
+    expect(saved.transactions[1].coinId).toBe('2');
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { startCoinloreStub, routeCoinloreToStub } from './helpers/coinlore-stub.js';
+import { loadIndexHtml } from './helpers/index-html.js';
+
+// Refreshes the market data against a changed API response and checks the list
+// follows it rather than keeping coins the API no longer returns.
+
+let stub;
+
+const getTableRows = () => [...document.querySelectorAll('#crypto-table-body tr')];
+
+beforeAll(async () => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {}); // jsdom has no IndexedDB, so history and snapshots are skipped
+  stub = await startCoinloreStub();
+  routeCoinloreToStub(axios, stub);
+  localStorage.clear();
+  localStorage.setItem('streamingEnabled', 'false');
+  await loadIndexHtml();
+
+  const { initializeApp } = await import('../src/app.js');
+  initializeApp();
+  await vi.waitFor(() => expect(getTableRows()).toHaveLength(15), { timeout: 5000 });
+});
+
+afterAll(async () => {
+  vi.restoreAllMocks();
+  await stub.close();
+});
+
+describe('refreshing the market data', () => {
+  it('drops a coin the next refresh no longer lists', async () => {
+    expect(getTableRows()[7].dataset.coinId).toBe('2');
+    const tickers = JSON.parse(await readFile(join(import.meta.dirname, 'fixtures/coinlore/tickers.json'), 'utf8'));
+    stub.respondWith('/api/tickers/', { body: { ...tickers, data: tickers.data.filter(coin => coin.id !== '2') } });
+
+    document.getElementById('refresh-now-button').click();
+    await vi.waitFor(() => expect(getTableRows()[7].dataset.coinId).not.toBe('2'));
+    expect(getTableRows().map(row => row.dataset.coinId)).not.toContain('2');
+    expect(getTableRows()[14].textContent).toContain('Litecoin');
+    expect(document.getElementById('page-indicator').textContent).toBe('Page 1 of 2');
+  });
+});
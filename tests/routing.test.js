@@ -0,0 +1,43 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { startCoinloreStub, routeCoinloreToStub } from './helpers/coinlore-stub.js';
+import { loadIndexHtml } from './helpers/index-html.js';
+
+// Boots the app from a shared link, before any market data or saved snapshot
+// exists, and checks the linked state survives until the data arrives.
+
+let stub;
+
+const getTableRows = () => [...document.querySelectorAll('#crypto-table-body tr')];
+const getRoutedPage = () => new URLSearchParams(window.location.search).get('page');
+
+beforeAll(async () => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {}); // jsdom has no IndexedDB, so history and snapshots are skipped
+  stub = await startCoinloreStub();
+  routeCoinloreToStub(axios, stub);
+  localStorage.clear();
+  localStorage.setItem('streamingEnabled', 'false');
+  window.history.replaceState(null, '', '/?page=2');
+  await loadIndexHtml();
+
+  const { initializeApp } = await import('../src/app.js');
+  initializeApp();
+});
+
+afterAll(async () => {
+  vi.restoreAllMocks();
+  await stub.close();
+});
+
+describe('cold load from a link', () => {
+  it('keeps the linked page in the URL while the data loads', () => {
+    expect(getTableRows()).toHaveLength(0);
+    expect(getRoutedPage()).toBe('2');
+  });
+
+  it('shows the linked page once the data has loaded', async () => {
+    await vi.waitFor(() => expect(getTableRows()).toHaveLength(5), { timeout: 5000 });
+    expect(getTableRows()[0].textContent).toContain('Litecoin');
+    expect(document.getElementById('page-indicator').textContent).toBe('Page 2 of 2');
+    expect(getRoutedPage()).toBe('2');
+  });
+});
@@ -0,0 +1,18 @@
+import axios from 'axios';
+import { WebSocket } from 'ws';
+
+// --- Browser Globals ---
+// index.html loads axios and feather as vendored scripts, jsdom lacks matchMedia, and the
+// WebSocket it exposes is Node's, which rejects jsdom's events; provide them the
+// way the page does before any app module is imported.
+
+globalThis.axios = axios;
+globalThis.feather = { replace: () => {}, icons: {} }; // Icons are decorative; nothing under test reads them
+globalThis.WebSocket = WebSocket;
+
+window.matchMedia = window.matchMedia || ((query) => ({
+  matches: false,
+  media: query,
+  addEventListener: () => {},
+  removeEventListener: () => {}
+}));
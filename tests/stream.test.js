@@ -0,0 +1,123 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { createPriceStream, parseTickerMessage } from '../src/stream.js';
+import { startPriceStreamStub } from './helpers/price-stream-stub.js';
+
+let stub;
+let stream;
+
+/** Creates a stream against the stub that collects every flush. */
+const createTestStream = (options = {}) => {
+  const flushes = [];
+  const statuses = [];
+  stream = createPriceStream({
+    url: stub.url,
+    onPrices: updates => flushes.push(updates),
+    onStatusChange: status => statuses.push(status),
+    flushInterval: 50,
+    minReconnectDelay: 50,
+    ...options
+  });
+  return { flushes, statuses };
+};
+
+beforeAll(async () => {
+  stub = await startPriceStreamStub();
+});
+
+afterAll(async () => {
+  await stub.close();
+});
+
+beforeEach(() => {
+  stub.reset();
+});
+
+afterEach(async () => {
+  stream?.stop();
+  stream = null;
+  await vi.waitFor(() => expect(stub.openConnectionCount).toBe(0)); // Keep each test's subscriptions its own
+});
+
+describe('parseTickerMessage', () => {
+  it('reads the price and 24h change from a mini-ticker', () => {
+    const update = parseTickerMessage(JSON.stringify({ e: '24hrMiniTicker', E: 1, s: 'BTCUSDT', c: '110', o: '100' }));
+    expect(update).toEqual({ symbol: 'BTC', price: 110, change24h: expect.closeTo(10, 6), time: 1 });
+  });
+
+  it('ignores subscription replies, other quote assets and malformed messages', () => {
+    expect(parseTickerMessage('{"result":null,"id":1}')).toBeNull();
+    expect(parseTickerMessage(JSON.stringify({ e: '24hrMiniTicker', s: 'ETHBTC', c: '0.05', o: '0.05' }))).toBeNull();
+    expect(parseTickerMessage('not json')).toBeNull();
+  });
+});
+
+describe('createPriceStream', () => {
+  it('subscribes to the requested symbols once connected', async () => {
+    const { statuses } = createTestStream();
+    stream.setSymbols(['btc', 'ETH', 'USDT']);
+    stream.start();
+
+    await vi.waitFor(() => expect(stream.getStatus()).toBe('live'));
+    await vi.waitFor(() => expect([...stub.subscribed]).toEqual(['btcusdt@miniTicker', 'ethusdt@miniTicker']));
+    expect(statuses).toEqual(['connecting', 'live']);
+  });
+
+  it('only sends the difference when the symbols change', async () => {
+    createTestStream();
+    stream.setSymbols(['BTC', 'ETH']);
+    stream.start();
+    await vi.waitFor(() => expect(stub.subscribed.size).toBe(2));
+
+    stream.setSymbols(['BTC', 'DOGE']);
+    await vi.waitFor(() => expect([...stub.subscribed].sort()).toEqual(['btcusdt@miniTicker', 'dogeusdt@miniTicker']));
+    expect(stub.messages.slice(1).map(({ method, params }) => ({ method, params }))).toEqual([
+      { method: 'SUBSCRIBE', params: ['dogeusdt@miniTicker'] },
+      { method: 'UNSUBSCRIBE', params: ['ethusdt@miniTicker'] }
+    ]);
+  });
+
+  it('coalesces ticks into one flush with the latest price per symbol', async () => {
+    const { flushes } = createTestStream();
+    stream.setSymbols(['BTC', 'ETH']);
+    stream.start();
+    await vi.waitFor(() => expect(stub.subscribed.size).toBe(2));
+
+    stub.sendTicker('BTC', { price: 100 });
+    stub.sendTicker('BTC', { price: 101 });
+    stub.sendTicker('ETH', { price: 50 });
+    stub.sendTicker('BTC', { price: 102 });
+    stub.sendTicker('XRP', { price: 1 }); // Not subscribed
+    stub.sendRaw('garbage');
+
+    await vi.waitFor(() => expect(flushes).toHaveLength(1));
+    expect(flushes[0].map(({ symbol, price }) => [symbol, price])).toEqual([['BTC', 102], ['ETH', 50]]);
+  });
+
+  it('reconnects and resubscribes after the connection drops', async () => {
+    const { statuses, flushes } = createTestStream();
+    stream.setSymbols(['BTC']);
+    stream.start();
+    await vi.waitFor(() => expect(stub.subscribed.size).toBe(1));
+    const connections = stub.connectionCount;
+
+    stub.dropConnections();
+    await vi.waitFor(() => expect(statuses).toContain('reconnecting'));
+    await vi.waitFor(() => expect(stream.getStatus()).toBe('live'));
+    await vi.waitFor(() => expect([...stub.subscribed]).toEqual(['btcusdt@miniTicker']));
+    expect(stub.connectionCount).toBe(connections + 1);
+
+    stub.sendTicker('BTC', { price: 200 });
+    await vi.waitFor(() => expect(flushes).toHaveLength(1));
+  });
+
+  it('stops reconnecting once stopped', async () => {
+    const { statuses } = createTestStream();
+    stream.start();
+    await vi.waitFor(() => expect(stream.getStatus()).toBe('live'));
+
+    stream.stop();
+    expect(stream.getStatus()).toBe('off');
+    await new Promise(resolve => setTimeout(resolve, 150));
+    expect(statuses).toEqual(['connecting', 'live', 'off']);
+  });
+});
@@ -0,0 +1,54 @@
+import { createHash } from 'node:crypto';
+import { resolve } from 'node:path';
+import { defineConfig, build } from 'vite';
+import tailwindcss from '@tailwindcss/vite';
+
+// --- Build Configuration ---
+
+/**
+ * Bundles src/sw.js into a classic script at the root of the output, so the
+ * service worker controls the whole site and can share the alert and provider
+ * modules without needing module service worker support. The app's hashed
+ * bundle files are injected as the shell to precache, and their hash versions
+ * the cache, so every deploy installs a fresh shell.
+ */
+const serviceWorkerPlugin = () => {
+  let outDir;
+  let shellAssets = [];
+  return {
+    name: 'cryptopulse-service-worker',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir);
+    },
+    generateBundle(options, bundle) {
+      shellAssets = Object.keys(bundle).filter(fileName => !fileName.endsWith('.map')).map(fileName => `/${fileName}`);
+    },
+    async closeBundle() {
+      await build({
+        configFile: false,
+        publicDir: false,
+        logLevel: 'warn',
+        define: {
+          __SHELL_ASSETS__: JSON.stringify(shellAssets),
+          __SHELL_VERSION__: JSON.stringify(createHash('sha256').update(shellAssets.join('\n')).digest('hex').slice(0, 10))
+        },
+        build: {
+          outDir,
+          emptyOutDir: false,
+          copyPublicDir: false,
+          lib: {
+            entry: resolve(import.meta.dirname, 'src/sw.js'),
+            formats: ['iife'],
+            name: 'cryptopulseServiceWorker',
+            fileName: () => 'sw.js'
+          }
+        }
+      });
+    }
+  };
+};
+
+export default defineConfig({
+  plugins: [tailwindcss(), serviceWorkerPlugin()]
+});